@@ -0,0 +1,42 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Decoded assets of the batch a render belongs to, see runWithSharedAssets
+const batchAssets = new AsyncLocalStorage();
+
+/**
+ * Run a function with a shared asset scope. Renders started inside it decode each
+ * background, image, decoration and badge icon once and reuse it, until the function settles.
+ * @param {function(): Promise<*>} fn
+ * @returns {Promise<*>}
+ */
+function runWithSharedAssets(fn) {
+    return batchAssets.run(new Map(), fn);
+}
+
+/**
+ * Load an asset once per shared asset scope. Outside a scope `load` is simply called.
+ * Failures are shared too, so a broken background isn't retried for every job.
+ * @param {string} kind - What the asset is, loads of the same source into different things need different kinds
+ * @param {string|Buffer} source - Image URL, path or Buffer
+ * @param {function(): Promise<*>} load
+ * @returns {Promise<*>}
+ */
+function sharedAsset(kind, source, load) {
+    const assets = batchAssets.getStore();
+    if (!assets || (typeof source !== 'string' && !Buffer.isBuffer(source))) {
+        return load();
+    }
+    if (!assets.has(kind)) {
+        assets.set(kind, new Map());
+    }
+    const loaded = assets.get(kind);
+    if (!loaded.has(source)) {
+        loaded.set(source, load());
+    }
+    return loaded.get(source);
+}
+
+module.exports = {
+    runWithSharedAssets,
+    sharedAsset
+};
@@ -0,0 +1,86 @@
+const { generateWelcomeImage } = require('./generators/welcome');
+const { generateGoodbyeImage } = require('./generators/goodbye');
+const { generateRankCard } = require('./generators/rank');
+const { generateProfileCard } = require('./generators/profile');
+const { generateServerBanner } = require('./generators/banner');
+const { generateLeaderboard } = require('./generators/leaderboard');
+const { runWithSharedAssets } = require('./assets');
+const { ValidationError } = require('./errors');
+
+// Generators by batch job type
+const generators = {
+    welcome: generateWelcomeImage,
+    goodbye: generateGoodbyeImage,
+    rank: generateRankCard,
+    profile: generateProfileCard,
+    banner: generateServerBanner,
+    leaderboard: generateLeaderboard
+};
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Run one batch job
+ * @param {*} job
+ * @returns {Promise<*>}
+ */
+async function runJob(job) {
+    if (!job || typeof job !== 'object') {
+        throw new ValidationError('Batch job must be an object with a type and options.');
+    }
+    const generate = generators[job.type];
+    if (!generate) {
+        throw new ValidationError(`Unknown batch job type "${job.type}". Expected one of: ${Object.keys(generators).join(', ')}`);
+    }
+    return generate(job.options);
+}
+
+/**
+ * Render many images at once. Backgrounds, images, decorations and badge icons used by several jobs
+ * are downloaded and decoded once for the whole batch, and at most `concurrency` jobs render at a time.
+ * A failing job doesn't stop the others: results come back in job order, each either
+ * {status: "fulfilled", value} or {status: "rejected", reason}, like Promise.allSettled.
+ * @param {Array<{type: string, options: object, id?: *}>} jobs - `type` is welcome, goodbye, rank, profile, banner or leaderboard,
+ *  `options` are that generator's options and `id` is copied to the result
+ * @param {object} [options]
+ * @param {number} [options.concurrency=4] - Jobs rendered at the same time
+ * @returns {Promise<Array<{id?: *, type: string, status: string, value?: *, reason?: Error}>>}
+ */
+async function renderBatch(jobs, options = {}) {
+    if (!Array.isArray(jobs)) {
+        throw new ValidationError('Jobs must be an array.');
+    }
+    if (!options || typeof options !== 'object') {
+        throw new ValidationError('Batch options must be an object.');
+    }
+    const { concurrency = DEFAULT_CONCURRENCY } = options;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new ValidationError('Concurrency must be a positive integer.');
+    }
+
+    const results = new Array(jobs.length);
+    let next = 0;
+
+    // Each worker takes the next job until none are left
+    const work = async () => {
+        while (next < jobs.length) {
+            const index = next++;
+            const job = jobs[index];
+            const result = { id: job && job.id, type: job && job.type };
+            try {
+                results[index] = { ...result, status: 'fulfilled', value: await runJob(job) };
+            } catch (error) {
+                results[index] = { ...result, status: 'rejected', reason: error };
+            }
+        }
+    };
+
+    await runWithSharedAssets(() => Promise.all(
+        Array.from({ length: Math.min(concurrency, jobs.length) }, work)
+    ));
+    return results;
+}
+
+module.exports = {
+    renderBatch
+};
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+const { log } = require('./logger');
+
+const DEFAULT_TTL = 60 * 60 * 1000;
+const DEFAULT_MAX_MEMORY_BYTES = 50 * 1024 * 1024;
+
+/**
+ * A cache entry as stored by cache stores
+ * @typedef {object} CacheEntry
+ * @property {Buffer} buffer - Image data
+ * @property {string} [etag] - ETag response header, used to revalidate
+ * @property {string} [lastModified] - Last-Modified response header, used to revalidate
+ * @property {number} expires - Timestamp (ms) until which the entry is used without revalidating
+ */
+
+/**
+ * A cache store. Methods may be synchronous or return promises.
+ * @typedef {object} CacheStore
+ * @property {function(string): (CacheEntry|undefined|Promise<CacheEntry|undefined>)} get
+ * @property {function(string, CacheEntry): (void|Promise<void>)} set
+ * @property {function(string): (void|Promise<void>)} delete
+ * @property {function(): (void|Promise<void>)} clear
+ */
+
+/**
+ * Create an in-memory LRU store bounded by the total size of the cached buffers
+ * @param {object} [options]
+ * @param {number} [options.maxBytes=52428800] - Least recently used entries are evicted beyond this size
+ * @returns {CacheStore & {size: number, bytes: number, maxBytes: number}}
+ */
+function createMemoryStore(options = {}) {
+    const { maxBytes = DEFAULT_MAX_MEMORY_BYTES } = options;
+    if (typeof maxBytes !== 'number' || maxBytes < 0) {
+        throw new ValidationError('Cache maxBytes must be a non-negative number.');
+    }
+
+    // Map iteration order doubles as the recency order, oldest first
+    const entries = new Map();
+    let bytes = 0;
+
+    const remove = key => {
+        const entry = entries.get(key);
+        if (entry) {
+            bytes -= entry.buffer.length;
+            entries.delete(key);
+        }
+    };
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (entry) {
+                entries.delete(key);
+                entries.set(key, entry);
+            }
+            return entry;
+        },
+        set(key, entry) {
+            remove(key);
+            if (entry.buffer.length > maxBytes) return;
+            entries.set(key, entry);
+            bytes += entry.buffer.length;
+            for (const oldest of entries.keys()) {
+                if (bytes <= maxBytes) break;
+                remove(oldest);
+            }
+        },
+        delete: remove,
+        clear() {
+            entries.clear();
+            bytes = 0;
+        },
+        get size() {
+            return entries.size;
+        },
+        get bytes() {
+            return bytes;
+        },
+        maxBytes
+    };
+}
+
+/**
+ * Write a file through a temporary file and a rename, so other processes never read it half written
+ * @param {string} file
+ * @param {Buffer|string} data
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(file, data) {
+    const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+        await fs.promises.writeFile(temp, data);
+        await fs.promises.rename(temp, file);
+    } catch (error) {
+        await fs.promises.rm(temp, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Create a store that keeps entries as files in a directory, so they survive restarts
+ * and can be shared between processes
+ * @param {string} directory - Cache directory, created when missing
+ * @returns {CacheStore}
+ */
+function createDiskStore(directory) {
+    if (typeof directory !== 'string' || directory.trim() === '') {
+        throw new ValidationError('Cache directory must be a non-empty string.');
+    }
+
+    const filePath = (key, ext) => path.join(directory, `${crypto.createHash('sha1').update(key).digest('hex')}.${ext}`);
+    const hashOf = buffer => crypto.createHash('sha1').update(buffer).digest('hex');
+
+    return {
+        async get(key) {
+            try {
+                const meta = JSON.parse(await fs.promises.readFile(filePath(key, 'json'), 'utf8'));
+                if (meta.key !== key) return undefined;
+                const buffer = await fs.promises.readFile(filePath(key, 'bin'));
+                // Another process may have replaced the body since the metadata was written
+                if (meta.hash !== hashOf(buffer)) return undefined;
+                return { buffer, etag: meta.etag, lastModified: meta.lastModified, expires: meta.expires };
+            } catch (error) {
+                if (error.code === 'ENOENT') return undefined;
+                throw error;
+            }
+        },
+        async set(key, entry) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            await writeFileAtomic(filePath(key, 'bin'), entry.buffer);
+            await writeFileAtomic(filePath(key, 'json'), JSON.stringify({
+                key,
+                hash: hashOf(entry.buffer),
+                etag: entry.etag,
+                lastModified: entry.lastModified,
+                expires: entry.expires
+            }));
+        },
+        async delete(key) {
+            await Promise.all(['json', 'bin'].map(ext => fs.promises.rm(filePath(key, ext), { force: true })));
+        },
+        async clear() {
+            const files = await fs.promises.readdir(directory).catch(() => []);
+            await Promise.all(files
+                .filter(file => /^[0-9a-f]{40}\.(json|bin)(\.[0-9a-f]{12}\.tmp)?$/.test(file))
+                .map(file => fs.promises.rm(path.join(directory, file), { force: true })));
+        }
+    };
+}
+
+let ttl = DEFAULT_TTL;
+let memory = createMemoryStore();
+let store = null;
+// Fetches in flight by key, so concurrent renders share one request
+const pending = new Map();
+const stats = { hits: 0, misses: 0, revalidated: 0, stale: 0 };
+
+/**
+ * Validate a cache store adapter
+ * @param {*} adapter
+ */
+function validateStore(adapter) {
+    if (!adapter || typeof adapter !== 'object' || ['get', 'set', 'delete', 'clear'].some(method => typeof adapter[method] !== 'function')) {
+        throw new ValidationError('Cache store must be an object with get, set, delete and clear methods.');
+    }
+}
+
+/**
+ * Configure the image cache used for remote avatars, backgrounds, badge icons and emoji.
+ * Settings that are left out keep their current value.
+ * @param {object} options
+ * @param {number} [options.ttl=3600000] - How long (ms) a downloaded image is used before it is revalidated
+ * @param {number} [options.maxMemoryBytes=52428800] - Size of the in-memory LRU, 0 disables it
+ * @param {string} [options.directory] - Keep images on disk in this directory as well
+ * @param {CacheStore|null} [options.store] - Custom store (e.g. Redis) checked after memory, null removes it
+ */
+function configureCache(options) {
+    if (!options || typeof options !== 'object') {
+        throw new ValidationError('Cache options must be an object.');
+    }
+    if (options.ttl !== undefined && (typeof options.ttl !== 'number' || options.ttl < 0)) {
+        throw new ValidationError('Cache ttl must be a non-negative number of milliseconds.');
+    }
+    if (options.directory !== undefined && options.store !== undefined) {
+        throw new ValidationError('Cache options accept either a directory or a store, not both.');
+    }
+    if (options.store !== undefined && options.store !== null) {
+        validateStore(options.store);
+    }
+
+    if (options.maxMemoryBytes !== undefined) {
+        memory = createMemoryStore({ maxBytes: options.maxMemoryBytes });
+    }
+    if (options.directory !== undefined) {
+        store = createDiskStore(options.directory);
+    }
+    if (options.store !== undefined) {
+        store = options.store;
+    }
+    if (options.ttl !== undefined) {
+        ttl = options.ttl;
+    }
+}
+
+/**
+ * Run a store operation, a failing store is logged and treated as a miss
+ * @param {string} action
+ * @param {function(): *} operation
+ * @returns {Promise<*>}
+ */
+async function useStore(action, operation) {
+    if (!store) return undefined;
+    try {
+        return await operation(store);
+    } catch (error) {
+        log.warn(`Image cache store failed to ${action}`, { error });
+        return undefined;
+    }
+}
+
+/**
+ * Find an entry in memory, then in the store
+ * @param {string} key
+ * @returns {Promise<CacheEntry|undefined>}
+ */
+async function lookup(key) {
+    const cached = memory.get(key);
+    if (cached) return cached;
+    const stored = await useStore('read', s => s.get(key));
+    if (stored) memory.set(key, stored);
+    return stored;
+}
+
+/**
+ * Save an entry in memory and in the store
+ * @param {string} key
+ * @param {CacheEntry} entry
+ */
+async function save(key, entry) {
+    memory.set(key, entry);
+    await useStore('write', s => s.set(key, entry));
+}
+
+/**
+ * Get a cached resource, fetching or revalidating it when needed
+ * @param {string} key - Cache key, usually the URL
+ * @param {function(object): Promise<{status: number, buffer?: Buffer, etag?: string, lastModified?: string}>} fetcher -
+ *  Receives the conditional request headers and resolves with status 304 when the cached copy is still valid
+ * @returns {Promise<Buffer>}
+ */
+function getCached(key, fetcher) {
+    if (!pending.has(key)) {
+        pending.set(key, resolveCached(key, fetcher).finally(() => pending.delete(key)));
+    }
+    return pending.get(key);
+}
+
+/**
+ * @see getCached
+ */
+async function resolveCached(key, fetcher) {
+    const entry = await lookup(key);
+    if (entry && entry.expires > Date.now()) {
+        stats.hits++;
+        return entry.buffer;
+    }
+
+    const headers = {};
+    if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    let response;
+    try {
+        response = await fetcher(headers);
+    } catch (error) {
+        if (!entry) throw error;
+        // Better an outdated image than a failed render
+        log.warn(`Revalidating cached image ${key} failed, using the cached copy`, { source: key, error });
+        stats.stale++;
+        return entry.buffer;
+    }
+
+    if (response.status === 304 && entry) {
+        stats.revalidated++;
+        await save(key, { ...entry, expires: Date.now() + ttl });
+        return entry.buffer;
+    }
+
+    stats.misses++;
+    await save(key, {
+        buffer: response.buffer,
+        etag: response.etag,
+        lastModified: response.lastModified,
+        expires: Date.now() + ttl
+    });
+    return response.buffer;
+}
+
+/**
+ * Empty the image cache (memory and store) and reset its counters
+ * @returns {Promise<void>}
+ */
+async function clearImageCache() {
+    memory.clear();
+    await useStore('clear', s => s.clear());
+    Object.keys(stats).forEach(key => { stats[key] = 0; });
+}
+
+/**
+ * Image cache counters and memory usage
+ * @returns {{hits: number, misses: number, revalidated: number, stale: number, entries: number, bytes: number, maxBytes: number, store: boolean}}
+ */
+function getImageCacheStats() {
+    return {
+        ...stats,
+        entries: memory.size,
+        bytes: memory.bytes,
+        maxBytes: memory.maxBytes,
+        store: store !== null
+    };
+}
+
+module.exports = {
+    createMemoryStore,
+    createDiskStore,
+    configureCache,
+    getCached,
+    clearImageCache,
+    getImageCacheStats
+};
@@ -0,0 +1,487 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { renderBatch } = require('./batch');
+const { createRenderPool } = require('./pool');
+const { createServer } = require('./server');
+const { createPlayground } = require('./playground');
+const { describeOptions, TYPES } = require('./playground/schema');
+const { resolveOutputOptions, mapImageSources, OUTPUT_FORMATS } = require('./utils');
+const { ValidationError } = require('./errors');
+const { version } = require('../package.json');
+
+const USAGE = `Usage: cwk-gen render [type] [options] [--<option> <value>...]
+       cwk-gen serve [--port <port>] [--host <host>] [--secret <secret>] [--workers <n>]
+       cwk-gen playground [--port <port>] [--host <host>]
+
+Render a welcome, goodbye, rank, profile, banner or leaderboard image, serve renders over HTTP,
+or design cards in the browser with a live preview.
+
+Render options:
+  -c, --config <path>    JSON or YAML file with the generator options, or a directory of them to render in bulk
+  -o, --out <path>       File to write, "-" for stdout, or the output directory for a directory of configs
+  --format <format>      png, jpeg, webp, avif or gif (default: from the --out extension, or png)
+  --quality <0-100>      Encoder quality for jpeg, webp and avif
+  --concurrency <n>      Configs rendered at the same time from a directory (default: 4)
+
+Serve options:
+  --port <port>          Port to listen on (default: 3000)
+  --host <host>          Address to listen on (default: 127.0.0.1)
+  --secret <secret>      Key for signed GET URLs (default: the CWK_GEN_SECRET environment variable)
+  --workers <n>          Render in n worker threads instead of the main thread (default: 0)
+
+Playground options:
+  --port <port>          Port to listen on (default: 4000)
+  --host <host>          Address to listen on (default: 127.0.0.1)
+
+  -h, --help             Show this help
+  -v, --version          Show the version
+
+Any other --<option> sets a generator option, and overrides the config: --username Jane --level 5.
+Use dots for nested options (--avatar.shape hexagon) and repeat a flag for a list.
+A config is either the generator options, or {type, options} when it names its own type.
+Relative image paths in a config are read from the config's directory.
+
+Examples:
+  cwk-gen render rank --config card.json --out rank.png
+  cwk-gen render banner --serverName CWK --memberCount 1200 --out banner.webp
+  cwk-gen render --config cards/ --out renders/ --format jpeg
+  CWK_GEN_SECRET=change-me cwk-gen serve --port 8080 --workers 2
+  cwk-gen playground`;
+
+// Flags handled by the CLI, everything else is a generator option
+const CLI_FLAGS = ['config', 'out', 'format', 'quality', 'concurrency', 'port', 'host', 'secret', 'workers', 'help', 'version'];
+const SHORT_FLAGS = { c: 'config', o: 'out', h: 'help', v: 'version' };
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+// Output formats by file extension
+const EXTENSION_FORMATS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.webp': 'webp', '.avif': 'avif', '.gif': 'gif' };
+
+/**
+ * Turn a numeric CLI flag value (--port, --quality, ...) into a number, other values are left for validation to reject
+ * @param {string|boolean} value
+ * @returns {*}
+ */
+function coerce(value) {
+    return typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Turn generator option values from flags into numbers and booleans where the generator's JSDoc documents
+ * the option as one. Everything else stays a string, so --userId 123456789012345678 and --username 2024 keep their digits.
+ * @param {object} options - Generator options from flags
+ * @param {string} type - Generator type
+ * @returns {object}
+ */
+function coerceOptions(options, type) {
+    const types = TYPES.includes(type) ? Object.fromEntries(describeOptions(type).map(field => [field.name, field.type.split('|')])) : {};
+    const convert = (value, name) => {
+        if (Array.isArray(value)) return value.map(item => convert(item, name));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, convert(item, name ? `${name}.${key}` : key)]));
+        }
+        const documented = types[name] || [];
+        if (typeof value !== 'string') return value;
+        if (documented.includes('number') && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+        if (documented.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+        return value;
+    };
+    return convert(options, '');
+}
+
+/**
+ * Set a dotted key on an object, turning repeated keys into a list
+ * @param {object} target
+ * @param {string} key - e.g. "avatar.shape"
+ * @param {*} value
+ */
+function setOption(target, key, value) {
+    const parts = key.split('.');
+    if (parts.some(part => !part || part === '__proto__' || part === 'constructor' || part === 'prototype')) {
+        throw new ValidationError(`Invalid option name "--${key}".`);
+    }
+    const last = parts.pop();
+    const parent = parts.reduce((object, part) => {
+        if (!object[part] || typeof object[part] !== 'object') object[part] = {};
+        return object[part];
+    }, target);
+    if (Object.prototype.hasOwnProperty.call(parent, last)) {
+        parent[last] = [].concat(parent[last], value);
+    } else {
+        parent[last] = value;
+    }
+}
+
+/**
+ * Split command-line arguments into positionals, CLI flags and generator options.
+ * Flags are --name value, --name=value, --name (true) or --no-name (false).
+ * Generator option values stay strings here, prepareJob converts them once the type is known (see coerceOptions).
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {{positionals: string[], flags: object, options: object}}
+ */
+function parseArgs(argv) {
+    const positionals = [];
+    const flags = {};
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = /^--?([^=]+)(?:=(.*))?$/s.exec(arg);
+        if (!match || arg === '-' || /^-\d/.test(arg)) {
+            positionals.push(arg);
+            continue;
+        }
+
+        let name = arg.startsWith('--') ? match[1] : SHORT_FLAGS[match[1]];
+        if (!name) {
+            throw new ValidationError(`Unknown flag "${arg}".`);
+        }
+        let value = match[2];
+        if (value === undefined) {
+            const next = argv[i + 1];
+            if (name.startsWith('no-')) {
+                name = name.slice(3);
+                value = false;
+            } else if (['help', 'version'].includes(name)) {
+                value = true;
+            } else if (next !== undefined && (!next.startsWith('-') || next === '-' || /^-\d/.test(next))) {
+                value = next;
+                i++;
+            } else {
+                value = true;
+            }
+        }
+
+        if (CLI_FLAGS.includes(name)) {
+            flags[name] = value;
+        } else {
+            setOption(options, name, value);
+        }
+    }
+
+    return { positionals, flags, options };
+}
+
+/**
+ * Merge flag options over config options, keeping the config's other nested options
+ * @param {object} target
+ * @param {object} source
+ * @returns {object}
+ */
+function mergeOptions(target, source) {
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    const merged = { ...target };
+    Object.entries(source).forEach(([key, value]) => {
+        merged[key] = isObject(value) && isObject(target[key]) ? mergeOptions(target[key], value) : value;
+    });
+    return merged;
+}
+
+/**
+ * Resolve relative image paths in options against a directory
+ * @param {object} options
+ * @param {string} dir
+ * @returns {object}
+ */
+function resolveImagePaths(options, dir) {
+    return mapImageSources(options, source => (/^(https?|data):/i.test(source) ? source : path.resolve(dir, source)));
+}
+
+/**
+ * Read a JSON or YAML config as a batch job
+ * @param {string} file
+ * @param {string} [type] - Generator type from the command line, used when the config doesn't name one
+ * @param {string} cwd - Errors show the path relative to it
+ * @returns {Promise<{type: string, options: object}>}
+ */
+async function readConfig(file, type, cwd) {
+    const name = path.relative(cwd, file);
+    const text = await fs.promises.readFile(file, 'utf8');
+    let config;
+    try {
+        config = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase()) ? yaml.load(text) : JSON.parse(text);
+    } catch (error) {
+        throw new ValidationError(`Can't parse ${name}: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ValidationError(`Config ${name} must be an object of generator options.`);
+    }
+
+    const isJob = typeof config.type === 'string' && config.options && typeof config.options === 'object';
+    const job = isJob ? config : { type, options: config };
+    if (!job.type) {
+        throw new ValidationError(`Config ${name} doesn't name a type, pass one: cwk-gen render <type> --config ${name}`);
+    }
+    return { type: type || job.type, options: resolveImagePaths(job.options, path.dirname(file)) };
+}
+
+/**
+ * Apply the command-line options and output flags to a job
+ * @param {{type: string, options: object}} job
+ * @param {object} options - Generator options from flags
+ * @param {object} flags
+ * @param {string} [extensionFormat] - Format implied by the --out file name
+ * @returns {{type: string, options: object, format: string}}
+ */
+function prepareJob(job, options, flags, extensionFormat) {
+    const merged = mergeOptions(job.options, coerceOptions(options, job.type));
+    const format = flags.format || extensionFormat;
+    if (format !== undefined || flags.quality !== undefined) {
+        const current = resolveOutputOptions(merged.output, merged.format === 'gif' ? 'gif' : undefined);
+        merged.output = {
+            format: format || current.format,
+            quality: flags.quality !== undefined ? coerce(flags.quality) : current.quality
+        };
+        delete merged.format;
+    }
+    const output = resolveOutputOptions(merged.output, merged.format);
+    if (!OUTPUT_FORMATS[output.format]) {
+        throw new ValidationError(`Output format "${output.format}" can't be written to a file.`);
+    }
+    return { type: job.type, options: merged, format: output.format };
+}
+
+/**
+ * Name of an output file
+ * @param {string} name
+ * @param {string} format
+ * @returns {string}
+ */
+function fileName(name, format) {
+    return `${name}.${format === 'jpeg' ? 'jpg' : format}`;
+}
+
+/**
+ * Print a render's warnings
+ * @param {{write: function(string): *}} stderr
+ * @param {string} label
+ * @param {Buffer} image
+ */
+function printWarnings(stderr, label, image) {
+    (image.warnings || []).forEach(warning => stderr.write(`${label}: warning ${warning.code}: ${warning.message}\n`));
+}
+
+/**
+ * Render one job to a file or stdout
+ * @returns {Promise<number>} Exit code
+ */
+async function renderOne(type, { flags, options }, { stdout, stderr, cwd }) {
+    const out = typeof flags.out === 'string' ? flags.out : undefined;
+    const job = flags.config
+        ? await readConfig(path.resolve(cwd, flags.config), type, cwd)
+        : { type, options: {} };
+    if (!job.type) {
+        throw new ValidationError('Pass the type of image to render: cwk-gen render <type>');
+    }
+
+    const extensionFormat = out && out !== '-' ? EXTENSION_FORMATS[path.extname(out).toLowerCase()] : undefined;
+    const prepared = prepareJob(job, resolveImagePaths(options, cwd), flags, extensionFormat);
+    const [result] = await renderBatch([prepared]);
+    if (result.status === 'rejected') throw result.reason;
+
+    if (out === '-') {
+        printWarnings(stderr, prepared.type, result.value);
+        stdout.write(result.value);
+        return 0;
+    }
+    // Without --out, or when it is a directory, the file is named after the type
+    let file = path.resolve(cwd, out || '.');
+    const stats = await fs.promises.stat(file).catch(() => null);
+    if (!out || (stats && stats.isDirectory())) {
+        file = path.join(file, fileName(prepared.type, prepared.format));
+    }
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, result.value);
+    printWarnings(stderr, path.relative(cwd, file), result.value);
+    stderr.write(`Rendered ${path.relative(cwd, file)}\n`);
+    return 0;
+}
+
+/**
+ * Render every config in a directory into an output directory
+ * @returns {Promise<number>} Exit code
+ */
+async function renderDirectory(type, dir, { flags, options }, { stderr, cwd }) {
+    const concurrency = flags.concurrency !== undefined ? coerce(flags.concurrency) : undefined;
+    const outDir = path.resolve(cwd, typeof flags.out === 'string' ? flags.out : '.');
+    const files = (await fs.promises.readdir(dir))
+        .filter(file => CONFIG_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort();
+    if (files.length === 0) {
+        throw new ValidationError(`No ${CONFIG_EXTENSIONS.join(', ')} configs found in ${dir}.`);
+    }
+
+    // Configs that can't be read fail on their own, like failed renders
+    const jobs = await Promise.all(files.map(async file => {
+        try {
+            return { ...prepareJob(await readConfig(path.join(dir, file), type, cwd), resolveImagePaths(options, cwd), flags), id: file };
+        } catch (error) {
+            return { id: file, error };
+        }
+    }));
+    const results = await renderBatch(jobs.filter(job => !job.error), concurrency === undefined ? {} : { concurrency });
+    await fs.promises.mkdir(outDir, { recursive: true });
+
+    let failed = 0;
+    for (const job of jobs) {
+        const result = job.error ? { status: 'rejected', reason: job.error } : results.find(entry => entry.id === job.id);
+        if (result.status === 'rejected') {
+            failed++;
+            stderr.write(`${job.id}: ${result.reason.message}\n`);
+            continue;
+        }
+        const name = fileName(path.basename(job.id, path.extname(job.id)), job.format);
+        await fs.promises.writeFile(path.join(outDir, name), result.value);
+        printWarnings(stderr, job.id, result.value);
+        stderr.write(`Rendered ${job.id} -> ${path.relative(cwd, path.join(outDir, name))}\n`);
+    }
+    stderr.write(`${jobs.length - failed} of ${jobs.length} rendered\n`);
+    return failed > 0 ? 1 : 0;
+}
+
+/**
+ * Read --port and --host
+ * @param {object} flags
+ * @param {number} defaultPort
+ * @returns {{port: number, host: string}}
+ */
+function listenAddress(flags, defaultPort) {
+    const port = flags.port === undefined ? defaultPort : coerce(flags.port);
+    const host = typeof flags.host === 'string' ? flags.host : '127.0.0.1';
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new ValidationError('--port must be a port number.');
+    }
+    return { port, host };
+}
+
+/**
+ * Listen, then wait for SIGINT or SIGTERM and close the server
+ * @param {http.Server} server
+ * @param {{port: number, host: string}} address
+ * @param {NodeJS.WritableStream} stderr
+ * @param {function(string): string} describe - Turns the server's URL into the line printed once it listens
+ * @returns {Promise<void>} Resolves once the server has closed
+ */
+async function listenUntilStopped(server, { port, host }, stderr, describe) {
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    stderr.write(`${describe(`http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`)}\n`);
+
+    await new Promise(resolve => {
+        const stop = () => {
+            process.off('SIGINT', stop);
+            process.off('SIGTERM', stop);
+            resolve();
+        };
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+    });
+    stderr.write('Shutting down\n');
+    const closed = new Promise(resolve => server.close(resolve));
+    if (typeof server.closeIdleConnections === 'function') server.closeIdleConnections();
+    await closed;
+}
+
+/**
+ * Serve renders over HTTP until SIGINT or SIGTERM
+ * @returns {Promise<number>} Exit code
+ */
+async function serve({ flags, options }, { stderr }) {
+    const unknown = Object.keys(options)[0];
+    if (unknown) {
+        throw new ValidationError(`Unknown serve flag "--${unknown}".`);
+    }
+    const address = listenAddress(flags, 3000);
+    const workers = flags.workers === undefined ? 0 : coerce(flags.workers);
+    const secret = typeof flags.secret === 'string' ? flags.secret : process.env.CWK_GEN_SECRET || undefined;
+    if (!Number.isInteger(workers) || workers < 0) {
+        throw new ValidationError('--workers must be a non-negative integer.');
+    }
+
+    const pool = workers > 0 ? createRenderPool({ size: workers }) : undefined;
+    try {
+        await listenUntilStopped(createServer({ secret, pool }), address, stderr, url => (
+            `Listening on ${url}${secret ? '' : ', signed GET URLs are off without --secret'}`
+        ));
+    } finally {
+        if (pool) await pool.close();
+    }
+    return 0;
+}
+
+/**
+ * Run the playground until SIGINT or SIGTERM
+ * @returns {Promise<number>} Exit code
+ */
+async function playground({ flags, options }, { stderr }) {
+    const unknown = Object.keys(options)[0] || ['secret', 'workers'].find(flag => flags[flag] !== undefined);
+    if (unknown) {
+        throw new ValidationError(`Unknown playground flag "--${unknown}".`);
+    }
+    await listenUntilStopped(createPlayground(), listenAddress(flags, 4000), stderr, url => `Playground running on ${url}/`);
+    return 0;
+}
+
+/**
+ * Run the command line
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {object} [io]
+ * @param {NodeJS.WritableStream} [io.stdout=process.stdout] - Where images go with --out -
+ * @param {NodeJS.WritableStream} [io.stderr=process.stderr] - Progress, warnings and errors
+ * @param {string} [io.cwd=process.cwd()] - Directory paths are resolved against
+ * @returns {Promise<number>} Exit code: 0 when everything rendered or a server stopped, 1 when a render failed, 2 for usage errors
+ */
+async function run(argv, { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = {}) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        stderr.write(`cwk-gen: ${error.message}\n${USAGE}\n`);
+        return 2;
+    }
+
+    const { positionals, flags } = args;
+    if (flags.version) {
+        stdout.write(`${version}\n`);
+        return 0;
+    }
+    if (flags.help || positionals.length === 0) {
+        (flags.help ? stdout : stderr).write(`${USAGE}\n`);
+        return flags.help ? 0 : 2;
+    }
+    const [command, type, ...extra] = positionals;
+    if (!['render', 'serve', 'playground'].includes(command) || extra.length > 0 || (command !== 'render' && type !== undefined)) {
+        stderr.write(`cwk-gen: Unknown command "${positionals.join(' ')}".\n${USAGE}\n`);
+        return 2;
+    }
+
+    const io = { stdout, stderr, cwd };
+    try {
+        if (command === 'serve') {
+            return await serve(args, io);
+        }
+        if (command === 'playground') {
+            return await playground(args, io);
+        }
+        const config = typeof flags.config === 'string' ? path.resolve(cwd, flags.config) : undefined;
+        if (flags.config !== undefined && !config) {
+            throw new ValidationError('--config needs a file or directory.');
+        }
+        const stats = config && await fs.promises.stat(config).catch(() => {
+            throw new ValidationError(`Can't find the config ${flags.config}.`);
+        });
+        if (stats && stats.isDirectory()) {
+            return await renderDirectory(type, config, args, io);
+        }
+        return await renderOne(type, args, io);
+    } catch (error) {
+        stderr.write(`cwk-gen: ${error.message}\n`);
+        return error instanceof ValidationError ? 2 : 1;
+    }
+}
+
+module.exports = {
+    run,
+    parseArgs
+};
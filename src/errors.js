@@ -0,0 +1,101 @@
+/**
+ * Thrown for invalid options, templates or themes. Extends TypeError, which the option checks threw before.
+ * `code` is INVALID_OPTION unless a more specific code is given, e.g. UNKNOWN_TEMPLATE or PAGE_OUT_OF_RANGE.
+ */
+class ValidationError extends TypeError {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.code="INVALID_OPTION"]
+     */
+    constructor(message, { code = 'INVALID_OPTION' } = {}) {
+        super(message);
+        this.name = 'ValidationError';
+        this.code = code;
+    }
+}
+
+/**
+ * Thrown when an image can't be downloaded, read or decoded.
+ * `code` is IMAGE_LOAD_FAILED, or AVATAR_LOAD_FAILED when it was the user's avatar.
+ */
+class ImageLoadError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.code="IMAGE_LOAD_FAILED"]
+     * @param {string} [details.source] - URL or path of the image, if it has one
+     * @param {number} [details.status] - HTTP status of the failed download
+     * @param {Error} [details.cause]
+     */
+    constructor(message, { code = 'IMAGE_LOAD_FAILED', source, status, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ImageLoadError';
+        this.code = code;
+        this.source = source;
+        this.status = status;
+    }
+}
+
+/**
+ * Thrown when an image breaks the limits set with configureFetch, before it is decoded.
+ * `code` tells what was violated:
+ *  INVALID_URL, HOST_NOT_ALLOWED, PRIVATE_ADDRESS, TOO_MANY_REDIRECTS,
+ *  IMAGE_TOO_LARGE, UNSUPPORTED_IMAGE_TYPE or TOO_MANY_PIXELS
+ */
+class ImagePolicyError extends ImageLoadError {
+    /**
+     * @param {string} message
+     * @param {string} code
+     * @param {string} [source] - URL or path of the image, if it has one
+     */
+    constructor(message, code, source) {
+        super(message, { code, source });
+        this.name = 'ImagePolicyError';
+    }
+}
+
+/**
+ * Thrown when a font file can't be found. `code` is FONT_NOT_FOUND.
+ */
+class FontNotFoundError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.path] - Font file path
+     * @param {string} [details.family] - Font family it was registered as
+     */
+    constructor(message, { path, family } = {}) {
+        super(message);
+        this.name = 'FontNotFoundError';
+        this.code = 'FONT_NOT_FOUND';
+        this.path = path;
+        this.family = family;
+    }
+}
+
+/**
+ * Thrown when drawing or encoding an image fails for any other reason. `code` is RENDER_FAILED
+ * and `cause` holds the original error. Render pools also use RENDER_TIMEOUT, POOL_CLOSED and RENDER_ABORTED.
+ */
+class RenderError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.code="RENDER_FAILED"]
+     * @param {Error} [details.cause]
+     */
+    constructor(message, { code = 'RENDER_FAILED', cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'RenderError';
+        this.code = code;
+    }
+}
+
+module.exports = {
+    ValidationError,
+    ImageLoadError,
+    ImagePolicyError,
+    FontNotFoundError,
+    RenderError
+};
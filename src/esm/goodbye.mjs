@@ -0,0 +1,6 @@
+// ESM entry, re-exports the CommonJS module so both share one instance (caches, fonts, settings)
+import cjs from '../generators/goodbye.js';
+
+export const {
+    generateGoodbyeImage
+} = cjs;
@@ -0,0 +1,39 @@
+// ESM entry, re-exports the CommonJS module so both share one instance (caches, fonts, settings)
+import cjs from '../index.js';
+
+export const {
+    generateWelcomeImage,
+    generateGoodbyeImage,
+    generateRankCard,
+    generateProfileCard,
+    generateServerBanner,
+    generateLeaderboard,
+    renderBatch,
+    createRenderPool,
+    createServer,
+    signRenderURL,
+    createPlayground,
+    loadFont,
+    registerFonts,
+    registerFontDirectory,
+    registerEmojiSet,
+    renderTemplate,
+    registerTemplate,
+    getTemplate,
+    registerTheme,
+    getTheme,
+    formatText,
+    registerFormatter,
+    configureCache,
+    clearCache,
+    getCacheStats,
+    configureFetch,
+    setLogger,
+    ValidationError,
+    ImageLoadError,
+    ImagePolicyError,
+    FontNotFoundError,
+    RenderError
+} = cjs;
+
+export default cjs;
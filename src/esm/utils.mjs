@@ -0,0 +1,55 @@
+// ESM entry, re-exports the CommonJS module so both share one instance (caches, fonts, settings)
+import cjs from '../utils.js';
+
+export const {
+    loadImageBuffer,
+    isHttpURL,
+    decodeImage,
+    mapImageSources,
+    cropToCircle,
+    cropToShape,
+    clipToShape,
+    traceAvatarShape,
+    AVATAR_SHAPES,
+    PRESENCE_COLORS,
+    loadFont,
+    registerFonts,
+    getRegisteredFonts,
+    isFontRegistered,
+    registerFontDirectory,
+    checkFontFamilies,
+    wrapText,
+    parseRichText,
+    loadRichTextImages,
+    wrapRichText,
+    measureRichText,
+    drawRichText,
+    fitText,
+    registerEmojiSet,
+    applyTextShadow,
+    resolveBackgroundConfig,
+    drawImageFit,
+    IMAGE_FIT_MODES,
+    resolveAvatarOptions,
+    resolveAvatarFallback,
+    LEADERBOARD_LAYOUT,
+    leaderboardPageHeight,
+    getDefaultAvatarURL,
+    createInitialsAvatar,
+    validateGradient,
+    createGradient,
+    formatDuration,
+    isGifBuffer,
+    toAnimatedAvatarURL,
+    loadGifFrames,
+    loadImageFrames,
+    buildFrameTimeline,
+    encodeGif,
+    OUTPUT_FORMATS,
+    resolveOutputOptions,
+    encodeCanvas,
+    createCanvas,
+    loadImage,
+    clearCache,
+    getCacheStats
+} = cjs;
@@ -0,0 +1,343 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { ValidationError, ImagePolicyError } = require('./errors');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses that must not be reachable through user-supplied URLs: loopback, private networks,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const privateAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const defaultFetchOptions = {
+    timeout: 5000,
+    maxBytes: 10 * 1024 * 1024,
+    maxRedirects: 5,
+    allowedHosts: null,
+    blockedHosts: [],
+    allowPrivateAddresses: false,
+    maxPixels: 25000000 // 5000 x 5000
+};
+
+let fetchOptions = { ...defaultFetchOptions };
+
+/**
+ * Check fetch options, throwing a ValidationError for invalid values
+ * @param {object} options
+ */
+function validateFetchOptions(options) {
+    if (!options || typeof options !== 'object') {
+        throw new ValidationError('Fetch options must be an object.');
+    }
+    ['timeout', 'maxBytes', 'maxPixels'].forEach(name => {
+        if (options[name] !== undefined && (typeof options[name] !== 'number' || options[name] <= 0)) {
+            throw new ValidationError(`Fetch option ${name} must be a positive number.`);
+        }
+    });
+    if (options.maxRedirects !== undefined && (!Number.isInteger(options.maxRedirects) || options.maxRedirects < 0)) {
+        throw new ValidationError('Fetch option maxRedirects must be a non-negative integer.');
+    }
+    if (options.allowedHosts !== undefined && options.allowedHosts !== null && !isHostList(options.allowedHosts)) {
+        throw new ValidationError('Fetch option allowedHosts must be an array of host names or null.');
+    }
+    if (options.blockedHosts !== undefined && !isHostList(options.blockedHosts)) {
+        throw new ValidationError('Fetch option blockedHosts must be an array of host names.');
+    }
+}
+
+/**
+ * @param {*} hosts
+ * @returns {boolean}
+ */
+function isHostList(hosts) {
+    return Array.isArray(hosts) && hosts.every(host => typeof host === 'string' && host.trim() !== '');
+}
+
+/**
+ * Set the limits used when downloading remote images. Settings that are left out keep their current value.
+ * @param {object} options
+ * @param {number} [options.timeout=5000] - Time (ms) allowed for the whole download, redirects included
+ * @param {number} [options.maxBytes=10485760] - Largest response body accepted
+ * @param {number} [options.maxRedirects=5] - Redirects followed before giving up
+ * @param {string[]|null} [options.allowedHosts=null] - Only fetch from these hosts, "*.example.com" matches subdomains
+ * @param {string[]} [options.blockedHosts=[]] - Never fetch from these hosts
+ * @param {boolean} [options.allowPrivateAddresses=false] - Allow loopback, private network and link-local addresses
+ * @param {number} [options.maxPixels=25000000] - Largest width x height accepted, checked before decoding
+ */
+function configureFetch(options) {
+    validateFetchOptions(options);
+    fetchOptions = { ...fetchOptions, ...options };
+}
+
+/**
+ * Current fetch limits with per-call overrides applied
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function resolveFetchOptions(overrides) {
+    if (overrides === undefined) return fetchOptions;
+    validateFetchOptions(overrides);
+    return { ...fetchOptions, ...overrides };
+}
+
+/**
+ * Whether a host name matches a list entry, "*.example.com" matches any subdomain of example.com
+ * @param {string} hostname
+ * @param {string[]} hosts
+ * @returns {boolean}
+ */
+function matchesHost(hostname, hosts) {
+    return hosts.some(host => {
+        const pattern = host.toLowerCase();
+        return pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern;
+    });
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not publicly routable
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return privateAddresses.check(mapped[1], 'ipv4');
+    return privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check a URL against the protocol, host lists and (for IP literals) private addresses
+ * @param {string} url
+ * @param {object} [options] - Fetch options, see configureFetch
+ * @returns {URL}
+ */
+function checkUrl(url, options = fetchOptions) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new ImagePolicyError(`Invalid image URL: ${url}`, 'INVALID_URL', url);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new ImagePolicyError(`Image URLs must use http or https: ${url}`, 'INVALID_URL', url);
+    }
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (matchesHost(hostname, options.blockedHosts) || (options.allowedHosts && !matchesHost(hostname, options.allowedHosts))) {
+        throw new ImagePolicyError(`Images from ${hostname} are not allowed.`, 'HOST_NOT_ALLOWED', url);
+    }
+    if (!options.allowPrivateAddresses && isPrivateAddress(hostname)) {
+        throw new ImagePolicyError(`Images from private address ${hostname} are not allowed.`, 'PRIVATE_ADDRESS', url);
+    }
+    return parsed;
+}
+
+/**
+ * DNS lookup that refuses host names resolving to private addresses, so the address that was checked
+ * is the one connected to
+ * @param {string} hostname
+ * @param {object} options
+ * @param {function} callback
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return callback(new ImagePolicyError(`Images from ${hostname} are not allowed, it resolves to private address ${blocked.address}.`, 'PRIVATE_ADDRESS', hostname));
+        }
+        callback(null, addresses);
+    });
+}
+
+// Requests that refuse private addresses don't share sockets with ones that allow them, on Node's
+// keep-alive global agents a reused connection would skip publicLookup
+const publicAgents = { httpAgent: new http.Agent(), httpsAgent: new https.Agent() };
+
+/**
+ * Read the type and dimensions of an image from its header, without decoding it
+ * @param {Buffer} buffer
+ * @returns {{type: string, width: number, height: number}|null} null when the format is not recognized
+ */
+function inspectImage(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+    if (buffer.readUInt32BE(0) === 0x89504E47 && buffer.length >= 24) {
+        return { type: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return { type: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.toString('ascii', 0, 2) === 'BM' && buffer.length >= 26) {
+        return { type: 'image/bmp', width: Math.abs(buffer.readInt32LE(18)), height: Math.abs(buffer.readInt32LE(22)) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' && buffer.length >= 30) {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { type: 'image/webp', width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { type: 'image/webp', width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { type: 'image/webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        // Walk the JPEG segments to the start-of-frame marker holding the dimensions
+        let offset = 2;
+        while (offset + 9 < buffer.length && buffer[offset] === 0xFF) {
+            const marker = buffer[offset + 1];
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                return { type: 'image/jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return { type: 'image/jpeg', width: 0, height: 0 };
+    }
+    return null;
+}
+
+/**
+ * Check that a buffer is a supported image format within the pixel limit
+ * @param {Buffer} buffer
+ * @param {object} [options] - Fetch options, see configureFetch
+ * @param {string} [source] - Image URL or path for error messages
+ * @returns {{type: string, width: number, height: number}}
+ */
+function checkImage(buffer, options = fetchOptions, source) {
+    const info = inspectImage(buffer);
+    if (!info) {
+        throw new ImagePolicyError('Unsupported image type, expected PNG, JPEG, GIF, WebP or BMP.', 'UNSUPPORTED_IMAGE_TYPE', source);
+    }
+    if (info.width * info.height > options.maxPixels) {
+        throw new ImagePolicyError(`Image is too large: ${info.width}x${info.height} exceeds ${options.maxPixels} pixels.`, 'TOO_MANY_PIXELS', source);
+    }
+    return info;
+}
+
+/**
+ * Read a response stream into a Buffer, stopping once it grows past maxBytes
+ * @param {import('stream').Readable} stream
+ * @param {number} maxBytes
+ * @param {string} url
+ * @returns {Promise<Buffer>}
+ */
+function readBody(stream, maxBytes, url) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy();
+                reject(new ImagePolicyError(`Image is larger than ${maxBytes} bytes.`, 'IMAGE_TOO_LARGE', url));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+        stream.on('close', () => {
+            if (!stream.readableEnded) reject(new Error('Image download was interrupted.'));
+        });
+    });
+}
+
+/**
+ * Download an image within the fetch limits. Redirects are followed by hand so every hop is checked.
+ * @param {string} url
+ * @param {object} [headers] - Extra request headers, e.g. the cache's If-None-Match
+ * @param {object} [overrides] - Per-call fetch options, see configureFetch
+ * @returns {Promise<{status: number, buffer?: Buffer, etag?: string, lastModified?: string}>} status 304 has no buffer
+ */
+async function fetchImage(url, headers = {}, overrides) {
+    const options = resolveFetchOptions(overrides);
+    const controller = new AbortController();
+    let stream = null;
+    const timer = setTimeout(() => {
+        controller.abort();
+        if (stream) stream.destroy(new Error(`timeout of ${options.timeout}ms exceeded`));
+    }, options.timeout);
+
+    try {
+        let current = url;
+        for (let redirects = 0; ; redirects++) {
+            checkUrl(current, options);
+            const response = await axios.get(current, {
+                responseType: 'stream',
+                headers,
+                maxRedirects: 0,
+                signal: controller.signal,
+                ...(options.allowPrivateAddresses ? {} : { ...publicAgents, lookup: publicLookup }),
+                validateStatus: status => (status >= 200 && status < 300) || status === 304 || REDIRECT_STATUSES.includes(status)
+            });
+            stream = response.data;
+
+            if (REDIRECT_STATUSES.includes(response.status)) {
+                stream.destroy();
+                if (redirects >= options.maxRedirects) {
+                    throw new ImagePolicyError(`Image URL redirected more than ${options.maxRedirects} times.`, 'TOO_MANY_REDIRECTS', url);
+                }
+                if (!response.headers.location) {
+                    throw new Error(`Redirect from ${current} has no location.`);
+                }
+                current = new URL(response.headers.location, current).href;
+                continue;
+            }
+            if (response.status === 304) {
+                stream.destroy();
+                return { status: 304 };
+            }
+
+            const length = Number(response.headers['content-length']);
+            if (length > options.maxBytes) {
+                stream.destroy();
+                throw new ImagePolicyError(`Image is larger than ${options.maxBytes} bytes.`, 'IMAGE_TOO_LARGE', url);
+            }
+            const buffer = await readBody(stream, options.maxBytes, url);
+            checkImage(buffer, options, url);
+            return {
+                status: response.status,
+                buffer,
+                etag: response.headers.etag,
+                lastModified: response.headers['last-modified']
+            };
+        }
+    } catch (error) {
+        // Policy errors raised inside the DNS lookup come back wrapped by axios
+        if (error.cause instanceof ImagePolicyError) {
+            error.cause.source = url;
+            throw error.cause;
+        }
+        if (controller.signal.aborted && !(error instanceof ImagePolicyError)) {
+            throw new Error(`timeout of ${options.timeout}ms exceeded`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    configureFetch,
+    resolveFetchOptions,
+    checkUrl,
+    checkImage,
+    inspectImage,
+    isPrivateAddress,
+    fetchImage
+};
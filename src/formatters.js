@@ -0,0 +1,87 @@
+const { ValidationError } = require('./errors');
+const compactFormat = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+
+/**
+ * Turn a Date, timestamp or date string into a Date, or null if it is not a valid date
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (!(value instanceof Date) && typeof value !== 'number' && typeof value !== 'string') return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the English ordinal suffix for a number
+ * @param {number} n
+ * @returns {string}
+ */
+function ordinalSuffix(n) {
+    const lastTwo = Math.abs(n) % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return 'th';
+    return { 1: 'st', 2: 'nd', 3: 'rd' }[Math.abs(n) % 10] || 'th';
+}
+
+// Formatters usable in placeholders as {name:formatter}, values that do not fit a formatter pass through
+const formatters = new Map([
+    ['number', value => (typeof value === 'number' ? value.toLocaleString('en-US') : value)],
+    ['compact', value => (typeof value === 'number' ? compactFormat.format(value).toLowerCase() : value)],
+    ['ordinal', value => (typeof value === 'number' ? `${value.toLocaleString('en-US')}${ordinalSuffix(Math.round(value))}` : value)],
+    ['upper', value => String(value).toUpperCase()],
+    ['lower', value => String(value).toLowerCase()],
+    ['date', value => {
+        const date = toDate(value);
+        return date ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : value;
+    }]
+]);
+
+/**
+ * Register a placeholder formatter, registering an existing name replaces it
+ * @param {string} name - Formatter name, used as {variable:name}
+ * @param {function(*): *} formatter - Receives the variable value and returns the formatted value
+ */
+function registerFormatter(name, formatter) {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+        throw new ValidationError('Formatter name must be a non-empty string of letters, digits, "_" or "-".');
+    }
+    if (typeof formatter !== 'function') {
+        throw new ValidationError('Formatter must be a function.');
+    }
+    formatters.set(name, formatter);
+}
+
+/**
+ * Run a value through a chain of formatters, left to right
+ * @param {*} value
+ * @param {string[]} names - Formatter names
+ * @returns {*}
+ */
+function applyFormatters(value, names) {
+    return names.reduce((result, name) => {
+        const formatter = formatters.get(name);
+        if (!formatter) {
+            throw new ValidationError(`Unknown formatter "${name}". Available formatters: ${[...formatters.keys()].join(', ')}`);
+        }
+        return result == null ? result : formatter(result);
+    }, value);
+}
+
+/**
+ * Default text for a value interpolated into display text: numbers get thousands separators
+ * and dates are formatted like the `date` formatter
+ * @param {*} value
+ * @returns {string}
+ */
+function toDisplayText(value) {
+    if (value == null) return '';
+    if (typeof value === 'number') return applyFormatters(value, ['number']);
+    if (value instanceof Date) return applyFormatters(value, ['date']);
+    return String(value);
+}
+
+module.exports = {
+    registerFormatter,
+    applyFormatters,
+    toDisplayText
+};
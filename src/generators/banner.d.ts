@@ -0,0 +1,2 @@
+// Types for the cwk-gen/banner subpath
+export { generateServerBanner, ServerBannerOptions } from '../index';
@@ -1,112 +1,95 @@
-const { createCanvas, loadImage } = require('@napi-rs/canvas');
-const { loadImageBuffer, applyTextShadow, _caches } = require('../utils'); // Added _caches
+const { resolveBackgroundConfig, checkFontFamilies, resolveOutputOptions } = require('../utils');
+const { renderTemplate } = require('../layout');
+const { ValidationError, ImageLoadError, RenderError } = require('../errors');
+const { log } = require('../logger');
+const { formatText } = require('../layout/bindings');
+const { resolveTheme } = require('../themes');
 
 /**
  * Generate a server banner for Discord
  * @param {object} options
  * @param {string} options.serverName - Server name
  * @param {number} options.memberCount - Number of members
- * @param {string|Buffer} [options.background] - Background image URL or Buffer
- * @param {string} [options.color="#7289DA"] - Primary color
- * @param {string} [options.textColor="#FFFFFF"] - Text color
+ * @param {string} [options.membersText="{memberCount} Members"] - Member count line, supports placeholders such as {memberCount:compact} and {server}
+ * @param {object} [options.variables] - Extra placeholder values, e.g. { online: 42 } for {online}
+ * @param {string|Buffer|object} [options.background] - Background image URL/Buffer or config {image, color, gradient, fit, position, blur, opacity, overlayColor, overlayOpacity, fallback}
+ * @param {string} [options.color=theme.color] - Primary color
+ * @param {string} [options.textColor=theme.textColor] - Text color
  * @param {number} [options.width=800] - Image width
  * @param {number} [options.height=300] - Image height
- * @param {string} [options.font="sans-serif"] - Font family
- * @param {boolean} [options.shadow=true] - Whether to add text shadow
- * @returns {Promise<Buffer>}
+ * @param {string|string[]} [options.font=theme.font] - Font family, or a fallback stack such as ["Poppins", "Noto Sans JP"] where each character uses the first family that has it
+ * @param {boolean} [options.shadow=theme.shadow] - Whether to add text shadow
+ * @param {string|object} [options.output="png"] - "png", "jpeg", "webp", "avif", "gif" or "canvas" (the Canvas itself, for further drawing), or {format, quality} with quality 0-100 for jpeg, webp and avif
+ * @param {boolean} [options.resolveWithObject=false] - Resolve with {buffer, canvas, mimeType, width, height, format, warnings, timings} instead of the image
+ * @param {string|object} [options.template="banner"] - Registered template name or a custom layout tree
+ * @param {string|object} [options.theme="default"] - Theme name or inline theme tokens, per-call options override it
+ * @returns {Promise<Buffer|Canvas|object>}
  */
 async function generateServerBanner(options) {
     // 1. Options validation
     if (!options || typeof options !== 'object') {
-        throw new TypeError('Options object is required.');
+        throw new ValidationError('Options object is required.');
     }
     if (typeof options.serverName !== 'string' || options.serverName.trim() === '') {
-        throw new TypeError('Server name must be a non-empty string.');
+        throw new ValidationError('Server name must be a non-empty string.');
     }
     if (typeof options.memberCount !== 'number' || options.memberCount < 0) {
-        throw new TypeError('Member count must be a non-negative number.');
+        throw new ValidationError('Member count must be a non-negative number.');
     }
+    if (options.variables !== undefined && (!options.variables || typeof options.variables !== 'object')) {
+        throw new ValidationError('Variables must be an object.');
+    }
+    const output = resolveOutputOptions(options.output, options.format);
+
+    const theme = resolveTheme(options.theme);
 
     const {
         serverName,
         memberCount,
+        membersText = "{memberCount} Members",
+        variables = {},
         background,
-        color = "#7289DA",
-        textColor = "#FFFFFF",
+        color = theme.color,
+        textColor = theme.textColor,
         width = 800,
         height = 300,
-        font = "sans-serif",
-        shadow = true 
+        font = theme.font,
+        shadow = theme.shadow,
+        template = "banner"
     } = options;
 
     // Font registration check
-    const genericFontFamilies = ["sans-serif", "serif", "monospace"];
-    if (font && !genericFontFamilies.includes(font.toLowerCase()) && !_caches._registeredFontFamilies.has(font)) {
-        console.warn(`Warning (generateServerBanner for ${serverName}): Font family '${font}' was specified but not found among registered fonts. The system will attempt to use a fallback font, which may affect visual output.`);
-    }
-
-    try { // Outer try-catch for general errors
-        // Create canvas
-        const canvas = createCanvas(width, height);
-        const ctx = canvas.getContext('2d');
-
-        // Draw background
-        if (background) {
-            try {
-                const bgBuffer = await loadImageBuffer(background);
-                const bgImage = await loadImage(bgBuffer);
-                ctx.drawImage(bgImage, 0, 0, width, height);
-            } catch (err) {
-                console.error(`Error loading background for server banner (server: ${serverName}), using solid color instead:`, err);
-                ctx.fillStyle = color;
-                ctx.fillRect(0, 0, width, height);
-            }
-        } else {
-            ctx.fillStyle = color;
-            ctx.fillRect(0, 0, width, height);
-        }
-
-        // Dark overlay
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-        ctx.fillRect(0, 0, width, height);
+    checkFontFamilies(font, `generateServerBanner for ${serverName}`);
 
-        // Apply text shadow settings before drawing text
-        // Assuming applyTextShadow is available and working from utils.js
-        if (typeof applyTextShadow === 'function') {
-            applyTextShadow(ctx, { 
-                enabled: shadow, 
-                blur: 10, 
-                offsetX: 5, 
-                offsetY: 5 
-            });
-        } else {
-            // Fallback or error if applyTextShadow is not loaded correctly
-            console.warn("applyTextShadow function not available. Shadow might not be applied.");
-             if (shadow) { // Manual fallback if function is missing
-                ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-                ctx.shadowBlur = 10;
-                ctx.shadowOffsetX = 5;
-                ctx.shadowOffsetY = 5;
-            }
-        }
-        
+    const textVariables = { memberCount, server: serverName, ...variables };
+    const membersLine = formatText(membersText, textVariables);
 
-        // Draw server name
-        ctx.font = `bold 60px ${font}`;
-        ctx.fillStyle = textColor;
-        const serverNameWidth = ctx.measureText(serverName).width;
-        ctx.fillText(serverName, (width - serverNameWidth) / 2, height / 2 - 30);
+    const bgConfig = resolveBackgroundConfig(background, {
+        color: color,
+        overlayColor: theme.overlayColor
+    });
 
-        // Draw member count
-        const membersText = `${memberCount.toLocaleString()} Members`;
-        ctx.font = `30px ${font}`; // Font is set again here
-        const membersWidth = ctx.measureText(membersText).width;
-        ctx.fillText(membersText, (width - membersWidth) / 2, height / 2 + 40);
-
-        return canvas.toBuffer('image/png');
+    try {
+        return await renderTemplate(template, {
+            serverName,
+            memberCount,
+            background: bgConfig,
+            color,
+            textColor,
+            width,
+            height,
+            font,
+            shadow,
+            shadowColor: theme.shadowColor,
+            overlayColor: theme.overlayColor,
+            membersText: membersLine
+        }, { output, resolveWithObject: options.resolveWithObject });
     } catch (error) {
-        console.error(`Failed to generate server banner for ${serverName}:`, error);
-        throw new Error(`Failed to generate server banner for ${serverName}. Reason: ${error.message}`);
+        log.debug(`Failed to generate server banner for ${serverName}`, { error });
+        if (error instanceof ValidationError || error instanceof ImageLoadError) {
+            throw error;
+        }
+        throw new RenderError(`Failed to generate server banner for ${serverName}. Reason: ${error.message}`, { cause: error });
     }
 }
 
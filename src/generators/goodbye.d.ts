@@ -0,0 +1,2 @@
+// Types for the cwk-gen/goodbye subpath
+export { generateGoodbyeImage, GoodbyeImageOptions } from '../index';
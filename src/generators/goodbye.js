@@ -0,0 +1,178 @@
+const { resolveBackgroundConfig, formatDuration, resolveAvatarOptions, resolveAvatarFallback, checkFontFamilies, resolveOutputOptions } = require('../utils');
+const { renderTemplate } = require('../layout');
+const { ValidationError, ImageLoadError, ImagePolicyError, RenderError } = require('../errors');
+const { log } = require('../logger');
+const { formatText } = require('../layout/bindings');
+const { resolveTheme } = require('../themes');
+
+// Canvas filters for the avatarFilter option
+const AVATAR_FILTERS = {
+    none: null,
+    grayscale: 'grayscale(100%)',
+    desaturate: 'saturate(35%)'
+};
+
+/**
+ * Whether a value is a Date, timestamp or date string that points at a real date.
+ * new Date() also takes null, booleans and arrays, which would show as 1970.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+    if (!(value instanceof Date) && typeof value !== 'number' && typeof value !== 'string') return false;
+    if (typeof value === 'string' && value.trim() === '') return false;
+    return !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Generate a goodbye image for Discord, the counterpart of generateWelcomeImage
+ * @param {object} options
+ * @param {string} options.username - User's username
+ * @param {string} options.avatarURL - URL to user's avatar
+ * @param {string|Buffer|object} [options.background] - Background image URL/Buffer or config {image, color, gradient, fit, position, blur, opacity, overlayColor, overlayOpacity, fallback}
+ * @param {string} [options.title="GOODBYE"] - Title text, supports placeholders
+ * @param {string} [options.message="{username} has left the server."] - Goodbye message, supports placeholders such as {username}, {memberCount} and {server}
+ * @param {number} [options.memberCount] - Member count after the user left
+ * @param {string} [options.serverName] - Server name, used by the {server} placeholder
+ * @param {Date|number|string} [options.joinedAt] - When the user joined, enables the "member since" line
+ * @param {Date|number|string} [options.leftAt=Date.now()] - When the user left
+ * @param {string} [options.memberSinceText="Member for {duration}"] - "Member since" line, also supports {duration} and {joinedAt:date}
+ * @param {object} [options.variables] - Extra placeholder values, e.g. { level: 5 } for {level}
+ * @param {string} [options.avatarFilter="grayscale"] - Avatar effect: "grayscale", "desaturate" or "none"
+ * @param {string} [options.color=theme.color] - Fallback color if background fails or not provided
+ * @param {string} [options.textColor=theme.textColor] - Text color
+ * @param {number} [options.width=1200] - Image width
+ * @param {number} [options.height=400] - Image height
+ * @param {number} [options.avatarSize=180] - Avatar size
+ * @param {string|string[]} [options.font=theme.font] - Font family, or a fallback stack such as ["Poppins", "Noto Sans JP"] where each character uses the first family that has it
+ * @param {boolean} [options.shadow=theme.shadow] - Whether to add text shadow
+ * @param {string} [options.avatarBorderColor=theme.avatarBorderColor] - Avatar border color
+ * @param {object} [options.avatar] - Avatar style: {shape, border: {width, color, gradient, image}, status, frame}
+ * @param {string|Buffer} [options.avatarFallback] - Avatar to use when avatarURL fails to load: "default" (Discord's default avatar), "initials" or an image Buffer
+ * @param {string} [options.userId] - User ID, picks the "default" fallback avatar like Discord does
+ * @param {string} [options.format="png"] - Output format, "png" or "gif" (keeps animated avatars and backgrounds moving)
+ * @param {string|object} [options.output="png"] - "png", "jpeg", "webp", "avif", "gif" or "canvas" (the Canvas itself, for further drawing), or {format, quality} with quality 0-100 for jpeg, webp and avif
+ * @param {boolean} [options.resolveWithObject=false] - Resolve with {buffer, canvas, mimeType, width, height, format, warnings, timings} instead of the image
+ * @param {string|object} [options.template="goodbye"] - Registered template name or a custom layout tree
+ * @param {string|object} [options.theme="default"] - Theme name or inline theme tokens, per-call options override it
+ * @returns {Promise<Buffer|Canvas|object>} The image, `warnings` on it includes AVATAR_FALLBACK when a fallback avatar was used
+ */
+async function generateGoodbyeImage(options) {
+    // 1. Options validation
+    if (!options || typeof options !== 'object') {
+        throw new ValidationError('Options object is required.');
+    }
+    if (typeof options.username !== 'string' || options.username.trim() === '') {
+        throw new ValidationError('Username must be a non-empty string.');
+    }
+    if (typeof options.avatarURL !== 'string' || options.avatarURL.trim() === '') {
+        throw new ValidationError('Avatar URL must be a non-empty string.');
+    }
+    if (options.memberCount !== undefined && (typeof options.memberCount !== 'number' || options.memberCount < 0)) {
+        throw new ValidationError('Member count must be a non-negative number.');
+    }
+    if (options.joinedAt !== undefined && !isValidDate(options.joinedAt)) {
+        throw new ValidationError('Joined at must be a valid date.');
+    }
+    if (options.leftAt !== undefined && !isValidDate(options.leftAt)) {
+        throw new ValidationError('Left at must be a valid date.');
+    }
+    if (options.variables !== undefined && (!options.variables || typeof options.variables !== 'object')) {
+        throw new ValidationError('Variables must be an object.');
+    }
+    if (options.avatarFilter !== undefined && !(options.avatarFilter in AVATAR_FILTERS)) {
+        throw new ValidationError(`Avatar filter must be one of: ${Object.keys(AVATAR_FILTERS).join(', ')}.`);
+    }
+    const output = resolveOutputOptions(options.output, options.format);
+
+    const theme = resolveTheme(options.theme);
+
+    const {
+        username,
+        avatarURL,
+        background,
+        title = "GOODBYE",
+        message = "{username} has left the server.",
+        memberCount,
+        serverName = "",
+        joinedAt,
+        leftAt = Date.now(),
+        memberSinceText = "Member for {duration}",
+        avatarFilter = "grayscale",
+        variables = {},
+        color = theme.color,
+        textColor = theme.textColor,
+        width = 1200,
+        height = 400,
+        avatarSize = 180,
+        font = theme.font,
+        shadow = theme.shadow,
+        avatarBorderColor = theme.avatarBorderColor,
+        template = "goodbye"
+    } = options;
+
+    // Font registration check
+    checkFontFamilies(font, `generateGoodbyeImage for ${username}`);
+
+    const avatar = {
+        ...resolveAvatarOptions(options.avatar, { borderWidth: 8, borderColor: avatarBorderColor }),
+        fallback: resolveAvatarFallback(options.avatarFallback, { username, userId: options.userId })
+    };
+
+    const textVariables = {
+        username,
+        memberCount,
+        server: serverName,
+        joinedAt: joinedAt === undefined ? undefined : new Date(joinedAt),
+        duration: joinedAt === undefined ? undefined : formatDuration(new Date(leftAt).getTime() - new Date(joinedAt).getTime()),
+        ...variables
+    };
+    const titleText = formatText(title, textVariables);
+    const messageText = formatText(message, textVariables);
+    const memberSince = joinedAt === undefined ? '' : formatText(memberSinceText, textVariables);
+
+    const bgConfig = resolveBackgroundConfig(background, {
+        color: color,
+        overlayOpacity: theme.overlayOpacity,
+        overlayColor: theme.overlayColor
+    });
+
+    try {
+        return await renderTemplate(template, {
+            username,
+            avatarURL,
+            background: bgConfig,
+            title: titleText,
+            message: messageText,
+            memberSince,
+            avatarFilter: AVATAR_FILTERS[avatarFilter],
+            color,
+            textColor,
+            width,
+            height,
+            avatarSize,
+            font,
+            shadow,
+            shadowColor: theme.shadowColor,
+            avatarBorderColor,
+            avatar
+        }, { output, resolveWithObject: options.resolveWithObject });
+
+    } catch (error) {
+        log.debug(`Failed to generate goodbye image for ${username}`, { error });
+        if (error.layerType === 'avatar' && !(error instanceof ImagePolicyError)) {
+            throw new ImageLoadError(`Failed to load or process avatar for ${username} (goodbye image). Reason: ${error.message}`, {
+                code: 'AVATAR_LOAD_FAILED',
+                source: error.source,
+                status: error.status,
+                cause: error
+            });
+        }
+        if (error instanceof ValidationError || error instanceof ImageLoadError) {
+            throw error;
+        }
+        throw new RenderError(`Failed to generate goodbye image for ${username}. Reason: ${error.message}`, { cause: error });
+    }
+}
+
+module.exports = { generateGoodbyeImage };
@@ -0,0 +1,2 @@
+// Types for the cwk-gen/leaderboard subpath
+export { generateLeaderboard, LeaderboardOptions, LeaderboardEntry } from '../index';
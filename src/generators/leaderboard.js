@@ -0,0 +1,194 @@
+const { resolveBackgroundConfig, resolveAvatarOptions, resolveAvatarFallback, PRESENCE_COLORS, checkFontFamilies, resolveOutputOptions, LEADERBOARD_LAYOUT, leaderboardPageHeight } = require('../utils');
+const { renderTemplate } = require('../layout');
+const { ValidationError, ImageLoadError, ImagePolicyError, RenderError } = require('../errors');
+const { log } = require('../logger');
+const { formatText } = require('../layout/bindings');
+const { resolveTheme } = require('../themes');
+
+// Medal colors for the top three ranks
+const MEDAL_COLORS = {
+    1: '#FFD700',
+    2: '#C0C0C0',
+    3: '#CD7F32'
+};
+
+/**
+ * Generate a leaderboard image for Discord
+ * @param {object} options
+ * @param {Array<{username: string, avatarURL: string, level: number, xp: number, requiredXp: number, rank: number, status?: string, userId?: string}>} options.entries - Leaderboard entries (any order, sorted by rank)
+ * @param {number} [options.page=1] - Page to render, starting at 1
+ * @param {number} [options.perPage=10] - Entries per page
+ * @param {string} [options.title="LEADERBOARD"] - Title text, supports placeholders such as {server}, {page} and {totalPages}
+ * @param {string} [options.serverName] - Server name, used by the {server} placeholder
+ * @param {object} [options.variables] - Extra placeholder values for the title
+ * @param {string|Buffer|object} [options.background] - Background image URL/Buffer or config {image, color, gradient, fit, position, blur, opacity, overlayColor, overlayOpacity, fallback}
+ * @param {string} [options.color=theme.color] - Primary color
+ * @param {string} [options.textColor=theme.textColor] - Text color
+ * @param {string} [options.progressColor=theme.progressColor] - Progress bar color
+ * @param {number} [options.width=800] - Image width (height grows with the number of rows)
+ * @param {number} [options.rowHeight=70] - Height of each row
+ * @param {string|string[]} [options.font=theme.font] - Font family, or a fallback stack such as ["Poppins", "Noto Sans JP"] where each character uses the first family that has it
+ * @param {boolean} [options.shadow=theme.shadow] - Whether to add text shadow
+ * @param {string} [options.avatarBorderColor=theme.avatarBorderColor] - Avatar border color outside the top three
+ * @param {object} [options.avatar] - Avatar style for every row: {shape, border: {width, color, gradient, image}, status, frame}, entries can set their own status
+ * @param {string|Buffer} [options.avatarFallback] - Avatar to use when an entry's avatar fails to load: "default" (Discord's default avatar, picked from the entry's userId), "initials" or an image Buffer
+ * @param {string|object} [options.output="png"] - "png", "jpeg", "webp", "avif", "gif" or "canvas" (the Canvas itself, for further drawing), or {format, quality} with quality 0-100 for jpeg, webp and avif
+ * @param {boolean} [options.resolveWithObject=false] - Resolve with {buffer, canvas, mimeType, width, height, format, warnings, timings} instead of the image
+ * @param {string|object} [options.template="leaderboard"] - Registered template name or a custom layout tree
+ * @param {string|object} [options.theme="default"] - Theme name or inline theme tokens, per-call options override it
+ * @returns {Promise<Buffer|Canvas|object>} The image, `warnings` on it includes AVATAR_FALLBACK for each fallback avatar used
+ */
+async function generateLeaderboard(options) {
+    // 1. Options validation
+    if (!options || typeof options !== 'object') {
+        throw new ValidationError('Options object is required.');
+    }
+    if (!Array.isArray(options.entries) || options.entries.length === 0) {
+        throw new ValidationError('Entries must be a non-empty array.');
+    }
+    options.entries.forEach((entry, i) => {
+        if (!entry || typeof entry !== 'object') {
+            throw new ValidationError(`Entry ${i} must be an object.`);
+        }
+        if (typeof entry.username !== 'string' || entry.username.trim() === '') {
+            throw new ValidationError(`Entry ${i}: Username must be a non-empty string.`);
+        }
+        if (typeof entry.avatarURL !== 'string' || entry.avatarURL.trim() === '') {
+            throw new ValidationError(`Entry ${i}: Avatar URL must be a non-empty string.`);
+        }
+        if (typeof entry.level !== 'number' || entry.level < 0) {
+            throw new ValidationError(`Entry ${i}: Level must be a non-negative number.`);
+        }
+        if (typeof entry.xp !== 'number' || entry.xp < 0) {
+            throw new ValidationError(`Entry ${i}: XP must be a non-negative number.`);
+        }
+        if (typeof entry.requiredXp !== 'number' || entry.requiredXp <= 0) {
+            throw new ValidationError(`Entry ${i}: Required XP must be a positive number.`);
+        }
+        if (typeof entry.rank !== 'number' || entry.rank < 0) {
+            throw new ValidationError(`Entry ${i}: Rank must be a non-negative number.`);
+        }
+        if (entry.status !== undefined && !(entry.status in PRESENCE_COLORS)) {
+            throw new ValidationError(`Entry ${i}: Status must be one of: ${Object.keys(PRESENCE_COLORS).join(', ')}.`);
+        }
+        if (entry.userId !== undefined && (typeof entry.userId !== 'string' || !/^\d+$/.test(entry.userId))) {
+            throw new ValidationError(`Entry ${i}: User ID must be a string of digits.`);
+        }
+    });
+    if (options.page !== undefined && (!Number.isInteger(options.page) || options.page < 1)) {
+        throw new ValidationError('Page must be a positive integer.');
+    }
+    if (options.variables !== undefined && (!options.variables || typeof options.variables !== 'object')) {
+        throw new ValidationError('Variables must be an object.');
+    }
+    if (options.perPage !== undefined && (!Number.isInteger(options.perPage) || options.perPage < 1)) {
+        throw new ValidationError('Per page must be a positive integer.');
+    }
+    const output = resolveOutputOptions(options.output, options.format);
+
+    const theme = resolveTheme(options.theme);
+
+    const {
+        entries,
+        page = 1,
+        perPage = LEADERBOARD_LAYOUT.perPage,
+        title = "LEADERBOARD",
+        serverName = "",
+        variables = {},
+        background,
+        color = theme.color,
+        textColor = theme.textColor,
+        progressColor = theme.progressColor,
+        width = 800,
+        rowHeight = LEADERBOARD_LAYOUT.rowHeight,
+        font = theme.font,
+        shadow = theme.shadow,
+        avatarBorderColor = theme.avatarBorderColor,
+        template = "leaderboard"
+    } = options;
+
+    const totalPages = Math.ceil(entries.length / perPage);
+    if (page > totalPages) {
+        throw new ValidationError(`Page ${page} is out of range, the leaderboard has ${totalPages} page(s).`, { code: 'PAGE_OUT_OF_RANGE' });
+    }
+
+    // Font registration check
+    checkFontFamilies(font, `generateLeaderboard`);
+
+    const avatar = resolveAvatarOptions(options.avatar, { borderWidth: 2, borderColor: avatarBorderColor });
+    const titleText = formatText(title, { server: serverName, page, totalPages, ...variables });
+
+    const pageEntries = [...entries]
+        .sort((a, b) => a.rank - b.rank)
+        .slice((page - 1) * perPage, page * perPage);
+    const fallbacks = pageEntries.map(entry => resolveAvatarFallback(options.avatarFallback, entry));
+
+    const bgConfig = resolveBackgroundConfig(background, {
+        color: color,
+        opacity: 0.7,
+        overlayColor: theme.overlayColor
+    });
+
+    try {
+        const rows = pageEntries.map((entry, i) => {
+            const medalColor = MEDAL_COLORS[entry.rank];
+            return {
+                ...entry,
+                rankText: `#${entry.rank}`,
+                xpText: `${entry.xp.toLocaleString()} / ${entry.requiredXp.toLocaleString()} XP`,
+                progress: Math.min(entry.xp / entry.requiredXp, 1),
+                medalColor,
+                rankColor: medalColor ? '#23272A' : textColor,
+                avatar: {
+                    ...avatar,
+                    // Medal rings replace the configured border on the top three
+                    border: medalColor ? { width: avatar.border.width, color: medalColor } : avatar.border,
+                    status: entry.status || avatar.status,
+                    fallback: fallbacks[i]
+                },
+                progressColor: medalColor || progressColor
+            };
+        });
+
+        return await renderTemplate(template, {
+            title: titleText,
+            background: bgConfig,
+            color,
+            textColor,
+            progressColor,
+            width,
+            height: leaderboardPageHeight(rows.length, rowHeight),
+            rowHeight,
+            rowGap: LEADERBOARD_LAYOUT.rowGap,
+            avatarSize: rowHeight - 20,
+            font,
+            shadow,
+            shadowColor: theme.shadowColor,
+            overlayColor: theme.overlayColor,
+            panelColor: theme.panelColor,
+            progressTrackColor: theme.progressTrackColor,
+            rows,
+            page,
+            totalPages,
+            pageText: `Page ${page} of ${totalPages}`
+        }, { output, resolveWithObject: options.resolveWithObject });
+
+    } catch (error) {
+        log.debug(`Failed to generate leaderboard (page ${page})`, { error });
+        if (error.layerType === 'avatar' && !(error instanceof ImagePolicyError)) {
+            const entry = pageEntries.find(e => e.avatarURL === error.source);
+            throw new ImageLoadError(`Failed to load or process avatar for ${entry ? entry.username : error.source} (leaderboard). Reason: ${error.message}`, {
+                code: 'AVATAR_LOAD_FAILED',
+                source: error.source,
+                status: error.status,
+                cause: error
+            });
+        }
+        if (error instanceof ValidationError || error instanceof ImageLoadError) {
+            throw error;
+        }
+        throw new RenderError(`Failed to generate leaderboard (page ${page}). Reason: ${error.message}`, { cause: error });
+    }
+}
+
+module.exports = { generateLeaderboard };
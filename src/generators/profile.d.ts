@@ -0,0 +1,2 @@
+// Types for the cwk-gen/profile subpath
+export { generateProfileCard, ProfileCardOptions, ProfileStat, ProfileBadge } from '../index';
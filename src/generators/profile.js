@@ -1,35 +1,76 @@
-const { createCanvas, loadImage } = require('@napi-rs/canvas');
-const { loadImageBuffer, cropToCircle, wrapText, applyTextShadow, _caches } = require('../utils');
+const { resolveBackgroundConfig, resolveAvatarOptions, resolveAvatarFallback, checkFontFamilies, resolveOutputOptions } = require('../utils');
+const { renderTemplate } = require('../layout');
+const { ValidationError, ImageLoadError, ImagePolicyError, RenderError } = require('../errors');
+const { log } = require('../logger');
+const { formatText } = require('../layout/bindings');
+const { resolveTheme } = require('../themes');
 
 /**
  * Generate a profile card for Discord
  * @param {object} options
  * @param {string} options.username - User's username
  * @param {string} options.avatarURL - URL to user's avatar
- * @param {string} [options.bio=""] - User's bio
- * @param {Array<{name: string, value: string}>} [options.stats=[]] - User stats
- * @param {Array<{name: string, icon: string}>} [options.badges=[]] - User badges (icon is URL/path)
- * @param {string|Buffer} [options.background] - Background image URL or Buffer
- * @param {string} [options.color="#7289DA"] - Primary color
- * @param {string} [options.textColor="#FFFFFF"] - Text color
+ * @param {string} [options.bio=""] - User's bio, supports placeholders such as {username}, {level} and {xp:compact}
+ * @param {Array<{name: string, value: string|number}>} [options.stats=[]] - User stats, string values support placeholders
+ * @param {Array<{name: string, icon: string|Buffer}>} [options.badges=[]] - User badges (icon is URL/path or Buffer)
+ * @param {object} [options.variables] - Placeholder values for the bio and stats, e.g. { level: 5, xp: 1234 }
+ * @param {string|Buffer|object} [options.background] - Background image URL/Buffer or config {image, color, gradient, fit, position, blur, opacity, overlayColor, overlayOpacity, fallback}
+ * @param {string} [options.color=theme.color] - Primary color
+ * @param {string} [options.textColor=theme.textColor] - Text color
  * @param {number} [options.width=600] - Image width
  * @param {number} [options.height=400] - Image height
  * @param {number} [options.avatarSize=150] - Avatar size
- * @param {string} [options.font="sans-serif"] - Font family
- * @param {boolean} [options.shadow=true] - Whether to add text shadow for username and stats
- * @returns {Promise<Buffer>}
+ * @param {string|string[]} [options.font=theme.font] - Font family, or a fallback stack such as ["Poppins", "Noto Sans JP"] where each character uses the first family that has it
+ * @param {boolean} [options.shadow=theme.shadow] - Whether to add text shadow for username and stats
+ * @param {string} [options.avatarBorderColor=theme.avatarBorderColor] - Avatar border color
+ * @param {object} [options.avatar] - Avatar style: {shape, border: {width, color, gradient, image}, status, frame}
+ * @param {string|Buffer} [options.avatarFallback] - Avatar to use when avatarURL fails to load: "default" (Discord's default avatar), "initials" or an image Buffer
+ * @param {string} [options.userId] - User ID, picks the "default" fallback avatar like Discord does
+ * @param {string|object} [options.output="png"] - "png", "jpeg", "webp", "avif", "gif" or "canvas" (the Canvas itself, for further drawing), or {format, quality} with quality 0-100 for jpeg, webp and avif
+ * @param {boolean} [options.resolveWithObject=false] - Resolve with {buffer, canvas, mimeType, width, height, format, warnings, timings} instead of the image
+ * @param {string|object} [options.template="profile"] - Registered template name or a custom layout tree
+ * @param {string|object} [options.theme="default"] - Theme name or inline theme tokens, per-call options override it
+ * @returns {Promise<Buffer|Canvas|object>} The image, `warnings` on it includes AVATAR_FALLBACK when a fallback avatar was used
  */
 async function generateProfileCard(options) {
     // 1. Options validation
     if (!options || typeof options !== 'object') {
-        throw new TypeError('Options object is required.');
+        throw new ValidationError('Options object is required.');
     }
     if (typeof options.username !== 'string' || options.username.trim() === '') {
-        throw new TypeError('Username must be a non-empty string.');
+        throw new ValidationError('Username must be a non-empty string.');
     }
     if (typeof options.avatarURL !== 'string' || options.avatarURL.trim() === '') {
-        throw new TypeError('Avatar URL must be a non-empty string.');
+        throw new ValidationError('Avatar URL must be a non-empty string.');
     }
+    if (options.variables !== undefined && (!options.variables || typeof options.variables !== 'object')) {
+        throw new ValidationError('Variables must be an object.');
+    }
+    if (options.stats !== undefined && !Array.isArray(options.stats)) {
+        throw new ValidationError('Stats must be an array.');
+    }
+    (options.stats || []).forEach((stat, i) => {
+        if (!stat || typeof stat !== 'object' || typeof stat.name !== 'string') {
+            throw new ValidationError(`Stat ${i} must be an object with a name.`);
+        }
+        if (typeof stat.value !== 'string' && typeof stat.value !== 'number') {
+            throw new ValidationError(`Stat ${i} (${stat.name}) must have a string or number value.`);
+        }
+    });
+    if (options.badges !== undefined && !Array.isArray(options.badges)) {
+        throw new ValidationError('Badges must be an array.');
+    }
+    (options.badges || []).forEach((badge, i) => {
+        if (!badge || typeof badge !== 'object' || typeof badge.name !== 'string') {
+            throw new ValidationError(`Badge ${i} must be an object with a name.`);
+        }
+        if (!Buffer.isBuffer(badge.icon) && (typeof badge.icon !== 'string' || badge.icon.trim() === '')) {
+            throw new ValidationError(`Badge ${i} (${badge.name}) icon must be an image URL, path or Buffer.`);
+        }
+    });
+    const output = resolveOutputOptions(options.output, options.format);
+
+    const theme = resolveTheme(options.theme);
 
     const {
         username,
@@ -37,186 +78,73 @@ async function generateProfileCard(options) {
         bio = "",
         stats = [],
         badges = [],
+        variables = {},
         background,
-        color = "#7289DA",
-        textColor = "#FFFFFF",
+        color = theme.color,
+        textColor = theme.textColor,
         width = 600,
         height = 400,
         avatarSize = 150,
-        font = "sans-serif",
-        shadow = true 
+        font = theme.font,
+        shadow = theme.shadow,
+        avatarBorderColor = theme.avatarBorderColor,
+        template = "profile"
     } = options;
 
     // Font registration check
-    const genericFontFamilies = ["sans-serif", "serif", "monospace"];
-    if (font && !genericFontFamilies.includes(font.toLowerCase()) && !_caches._registeredFontFamilies.has(font)) {
-        console.warn(`Warning (generateProfileCard for ${username}): Font family '${font}' was specified but not found among registered fonts. The system will attempt to use a fallback font, which may affect visual output.`);
-    }
-
-    try { 
-        const canvas = createCanvas(width, height);
-        const ctx = canvas.getContext('2d');
-
-        // Draw background
-        if (background) {
-            try {
-                const bgBuffer = await loadImageBuffer(background);
-                const bgImage = await loadImage(bgBuffer);
-                
-                ctx.save();
-                ctx.globalAlpha = 0.7; 
-                ctx.drawImage(bgImage, 0, 0, width, height);
-                ctx.restore(); 
-                
-                ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-                ctx.fillRect(0, 0, width, height);
-
-            } catch (err) {
-                console.error(`Error loading background for profile card (user: ${username}), using solid color instead:`, err);
-                ctx.fillStyle = color; 
-                ctx.fillRect(0, 0, width, height);
-            }
-        } else {
-            ctx.fillStyle = color;
-            ctx.fillRect(0, 0, width, height);
-        }
+    checkFontFamilies(font, `generateProfileCard for ${username}`);
 
-        // Draw avatar
-        try {
-            const avatarBuffer = await loadImageBuffer(avatarURL);
-            const circularAvatar = await cropToCircle(avatarBuffer, avatarSize);
-            const avatarImage = await loadImage(circularAvatar);
-            
-            const avatarX = 30;
-            const avatarY = 30;
-            
-            ctx.beginPath();
-            ctx.arc(avatarX + avatarSize/2, avatarY + avatarSize/2, avatarSize/2 + 5, 0, Math.PI * 2);
-            ctx.fillStyle = '#FFFFFF'; 
-            ctx.fill();
-            
-            ctx.drawImage(avatarImage, avatarX, avatarY, avatarSize, avatarSize);
-        } catch (err) {
-            throw new Error(`Failed to load or process avatar for ${username}. Reason: ${err.message}`);
-        }
-
-        // Apply shadow for username
-        applyTextShadow(ctx, { enabled: shadow });
-        
-        // Draw username
-        ctx.font = `bold 30px ${font}`;
-        ctx.fillStyle = textColor;
-        ctx.fillText(username, 30 + avatarSize + 20, 60); // Username Y position is 60
-        
-        // Disable shadow for bio text
-        applyTextShadow(ctx, { enabled: false });
+    const avatar = {
+        ...resolveAvatarOptions(options.avatar, { borderWidth: 5, borderColor: avatarBorderColor }),
+        fallback: resolveAvatarFallback(options.avatarFallback, { username, userId: options.userId })
+    };
 
-        // Draw bio
-        const bioY = 100; // Starting Y for bio content
-        let bioLineHeight = 25;
-        let bioLines = [];
-        if (bio && bio.trim() !== "") {
-            ctx.font = `18px ${font}`;
-            ctx.fillStyle = textColor; 
-            const wrappedBio = wrapText(ctx, bio, width - (30 + avatarSize + 20) - 30);
-            bioLines = wrappedBio.split('\n');
-            
-            bioLines.forEach((line, i) => {
-                ctx.fillText(line, 30 + avatarSize + 20, bioY + i * bioLineHeight);
-            });
-        }
+    const textVariables = { username, ...variables };
+    const bioText = formatText(bio, textVariables);
+    const statItems = stats.map(stat => ({ ...stat, value: formatText(stat.value, textVariables) }));
 
-        // Draw stats
-        if (stats.length > 0) {
-            const statBoxHeight = 80; 
-            const statBoxY = height - statBoxHeight - 30; 
-            const statBoxWidth = width - 60; 
-            
-            ctx.fillStyle = 'rgba(0, 0, 0, 0.3)'; 
-            ctx.roundRect(30, statBoxY, statBoxWidth, statBoxHeight, 10); 
-            ctx.fill();
-            
-            applyTextShadow(ctx, { enabled: shadow });
+    const bgConfig = resolveBackgroundConfig(background, {
+        color: color,
+        opacity: 0.7,
+        overlayColor: theme.overlayColor
+    });
 
-            const statItemWidth = statBoxWidth / stats.length;
-            stats.forEach((stat, i) => {
-                const statX = 30 + i * statItemWidth;
-                
-                ctx.font = `bold 16px ${font}`;
-                ctx.fillStyle = textColor;
-                const nameWidth = ctx.measureText(stat.name).width;
-                ctx.fillText(stat.name, statX + (statItemWidth - nameWidth) / 2, statBoxY + 30);
-                
-                ctx.font = `20px ${font}`; 
-                const valueWidth = ctx.measureText(stat.value).width;
-                ctx.fillText(stat.value, statX + (statItemWidth - valueWidth) / 2, statBoxY + 60);
+    try { 
+        return await renderTemplate(template, {
+            username,
+            avatarURL,
+            bio: bioText,
+            stats: statItems,
+            badges,
+            background: bgConfig,
+            color,
+            textColor,
+            width,
+            height,
+            avatarSize,
+            font,
+            shadow,
+            avatarBorderColor,
+            avatar,
+            shadowColor: theme.shadowColor,
+            overlayColor: theme.overlayColor,
+            panelColor: theme.panelColor
+        }, { output, resolveWithObject: options.resolveWithObject });
+
+    } catch (error) {
+        log.debug(`Failed to generate profile card for ${username}`, { error });
+        if (error.layerType === 'avatar' && !(error instanceof ImagePolicyError)) {
+            throw new ImageLoadError(`Failed to load or process avatar for ${username}. Reason: ${error.message}`, {
+                code: 'AVATAR_LOAD_FAILED',
+                source: error.source,
+                status: error.status,
+                cause: error
             });
-            
-            applyTextShadow(ctx, { enabled: false });
-        }
-
-        // Draw badges
-        if (badges && badges.length > 0) {
-            applyTextShadow(ctx, { enabled: false }); // Ensure shadow is off for badges section
-
-            const badgeSize = 32; 
-            const badgeSpacing = 8;
-            const badgesPerRow = 5; 
-            const badgeStartX = 30 + avatarSize + 20;
-            const badgeNameOffsetY = 10; // Space between badge icon and its name
-            const badgeRowSpacing = 15; // Extra vertical spacing between rows of badges (icon + name)
-
-            let currentBioHeight = 0;
-            if (bio && bio.trim() !== "") {
-                // bioLines and bioLineHeight are already calculated above
-                currentBioHeight = bioLines.length * bioLineHeight;
-            }
-            
-            const bioTextEndY = bioY + currentBioHeight;
-            let badgeStartYValue = bioTextEndY + (currentBioHeight > 0 ? 15 : 0); 
-            if (!bio || bio.trim() === "") { 
-                badgeStartYValue = bioY; // Start badges where bio would have started
-            }
-
-            for (let i = 0; i < badges.length; i++) {
-                const badge = badges[i];
-                const row = Math.floor(i / badgesPerRow);
-                const col = i % badgesPerRow;
-                
-                // Calculate Y position for the current badge icon
-                // Each row includes badge icon height + badge name offset + badge row spacing
-                const badgeIconY = badgeStartYValue + row * (badgeSize + badgeNameOffsetY + badgeRowSpacing);
-                const badgeX = badgeStartX + col * (badgeSize + badgeSpacing);
-
-                try {
-                    const badgeIconBuffer = await loadImageBuffer(badge.icon);
-                    const badgeImage = await loadImage(badgeIconBuffer);
-                    ctx.drawImage(badgeImage, badgeX, badgeIconY, badgeSize, badgeSize);
-                } catch (err) {
-                    console.warn(`Failed to load badge icon for '${badge.name}' from '${badge.icon}'. Drawing placeholder.`);
-                    ctx.fillStyle = 'rgba(128, 128, 128, 0.5)';
-                    ctx.fillRect(badgeX, badgeIconY, badgeSize, badgeSize);
-                    ctx.strokeStyle = 'rgba(0,0,0,0.3)';
-                    ctx.lineWidth = 1;
-                    ctx.strokeRect(badgeX, badgeIconY, badgeSize, badgeSize);
-                }
-
-                // Draw badge name
-                ctx.font = `10px ${font}`; 
-                ctx.fillStyle = textColor;
-                const badgeNameWidth = ctx.measureText(badge.name).width;
-                ctx.fillText(badge.name, badgeX + (badgeSize - badgeNameWidth) / 2, badgeIconY + badgeSize + badgeNameOffsetY);
-            }
         }
-
-        return canvas.toBuffer('image/png');
-
-    } catch (error) { 
-        console.error(`Failed to generate profile card for ${username}:`, error);
-        if (error.message.startsWith('Failed to load or process avatar for')) {
-            throw error; 
+        if (error instanceof ValidationError || error instanceof ImageLoadError) {
+            throw error;
         }
-        throw new Error(`Failed to generate profile card for ${username}. Reason: ${error.message}`);
+        throw new RenderError(`Failed to generate profile card for ${username}. Reason: ${error.message}`, { cause: error });
     }
 }
 
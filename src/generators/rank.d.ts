@@ -0,0 +1,2 @@
+// Types for the cwk-gen/rank subpath
+export { generateRankCard, RankCardOptions } from '../index';
@@ -1,5 +1,8 @@
-const { createCanvas, loadImage } = require('@napi-rs/canvas');
-const { loadImageBuffer, cropToCircle, applyTextShadow, _caches } = require('../utils'); // Added _caches
+const { resolveBackgroundConfig, resolveAvatarOptions, resolveAvatarFallback, checkFontFamilies, resolveOutputOptions } = require('../utils');
+const { renderTemplate } = require('../layout');
+const { ValidationError, ImageLoadError, ImagePolicyError, RenderError } = require('../errors');
+const { log } = require('../logger');
+const { resolveTheme } = require('../themes');
 
 /**
  * Generate a rank card for Discord
@@ -10,40 +13,52 @@ const { loadImageBuffer, cropToCircle, applyTextShadow, _caches } = require('../
  * @param {number} options.xp - Current XP
  * @param {number} options.requiredXp - Required XP for next level
  * @param {number} options.rank - User's rank position
- * @param {string|Buffer} [options.background] - Background image URL or Buffer
- * @param {string} [options.color="#7289DA"] - Primary color
- * @param {string} [options.textColor="#FFFFFF"] - Text color
- * @param {string} [options.progressColor="#FFFFFF"] - Progress bar color
+ * @param {string|Buffer|object} [options.background] - Background image URL/Buffer or config {image, color, gradient, fit, position, blur, opacity, overlayColor, overlayOpacity, fallback}
+ * @param {string} [options.color=theme.color] - Primary color
+ * @param {string} [options.textColor=theme.textColor] - Text color
+ * @param {string} [options.progressColor=theme.progressColor] - Progress bar color
  * @param {number} [options.width=800] - Image width
  * @param {number} [options.height=200] - Image height
  * @param {number} [options.avatarSize=100] - Avatar size
- * @param {string} [options.font="sans-serif"] - Font family
- * @param {boolean} [options.shadow=true] - Whether to add text shadow
- * @returns {Promise<Buffer>}
+ * @param {string|string[]} [options.font=theme.font] - Font family, or a fallback stack such as ["Poppins", "Noto Sans JP"] where each character uses the first family that has it
+ * @param {boolean} [options.shadow=theme.shadow] - Whether to add text shadow
+ * @param {string} [options.avatarBorderColor=theme.avatarBorderColor] - Avatar border color
+ * @param {object} [options.avatar] - Avatar style: {shape, border: {width, color, gradient, image}, status, frame}
+ * @param {string|Buffer} [options.avatarFallback] - Avatar to use when avatarURL fails to load: "default" (Discord's default avatar), "initials" or an image Buffer
+ * @param {string} [options.userId] - User ID, picks the "default" fallback avatar like Discord does
+ * @param {string} [options.format="png"] - Output format, "png" or "gif" (keeps animated avatars and backgrounds moving)
+ * @param {string|object} [options.output="png"] - "png", "jpeg", "webp", "avif", "gif" or "canvas" (the Canvas itself, for further drawing), or {format, quality} with quality 0-100 for jpeg, webp and avif
+ * @param {boolean} [options.resolveWithObject=false] - Resolve with {buffer, canvas, mimeType, width, height, format, warnings, timings} instead of the image
+ * @param {string|object} [options.template="rank"] - Registered template name or a custom layout tree
+ * @param {string|object} [options.theme="default"] - Theme name or inline theme tokens, per-call options override it
+ * @returns {Promise<Buffer|Canvas|object>} The image, `warnings` on it includes AVATAR_FALLBACK when a fallback avatar was used
  */
 async function generateRankCard(options) {
     // 1. Options validation
     if (!options || typeof options !== 'object') {
-        throw new TypeError('Options object is required.');
+        throw new ValidationError('Options object is required.');
     }
     if (typeof options.username !== 'string' || options.username.trim() === '') {
-        throw new TypeError('Username must be a non-empty string.');
+        throw new ValidationError('Username must be a non-empty string.');
     }
     if (typeof options.avatarURL !== 'string' || options.avatarURL.trim() === '') {
-        throw new TypeError('Avatar URL must be a non-empty string.');
+        throw new ValidationError('Avatar URL must be a non-empty string.');
     }
     if (typeof options.level !== 'number' || options.level < 0) {
-        throw new TypeError('Level must be a non-negative number.');
+        throw new ValidationError('Level must be a non-negative number.');
     }
     if (typeof options.xp !== 'number' || options.xp < 0) {
-        throw new TypeError('XP must be a non-negative number.');
+        throw new ValidationError('XP must be a non-negative number.');
     }
     if (typeof options.requiredXp !== 'number' || options.requiredXp <= 0) {
-        throw new TypeError('Required XP must be a positive number.');
+        throw new ValidationError('Required XP must be a positive number.');
     }
     if (typeof options.rank !== 'number' || options.rank < 0) { 
-        throw new TypeError('Rank must be a non-negative number.');
+        throw new ValidationError('Rank must be a non-negative number.');
     }
+    const output = resolveOutputOptions(options.output, options.format);
+
+    const theme = resolveTheme(options.theme);
 
     const {
         username,
@@ -53,143 +68,75 @@ async function generateRankCard(options) {
         requiredXp,
         rank,
         background,
-        color = "#7289DA",
-        textColor = "#FFFFFF",
-        progressColor = "#FFFFFF",
+        color = theme.color,
+        textColor = theme.textColor,
+        progressColor = theme.progressColor,
         width = 800,
         height = 200,
         avatarSize = 100,
-        font = "sans-serif",
-        shadow = true 
+        font = theme.font,
+        shadow = theme.shadow,
+        avatarBorderColor = theme.avatarBorderColor,
+        template = "rank"
     } = options;
 
     // Font registration check
-    const genericFontFamilies = ["sans-serif", "serif", "monospace"];
-    if (font && !genericFontFamilies.includes(font.toLowerCase()) && !_caches._registeredFontFamilies.has(font)) {
-        console.warn(`Warning (generateRankCard for ${username}): Font family '${font}' was specified but not found among registered fonts. The system will attempt to use a fallback font, which may affect visual output.`);
-    }
-
-    try { 
-        const canvas = createCanvas(width, height);
-        const ctx = canvas.getContext('2d');
-
-        // Draw background
-        if (background) {
-            try {
-                const bgBuffer = await loadImageBuffer(background);
-                const bgImage = await loadImage(bgBuffer);
-                
-                ctx.save();
-                ctx.globalAlpha = 0.7; 
-                ctx.drawImage(bgImage, 0, 0, width, height);
-                ctx.restore(); 
-                
-                ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-                ctx.fillRect(0, 0, width, height);
-            } catch (err) {
-                console.error(`Error loading background for rank card (user: ${username}), using solid color instead:`, err);
-                ctx.fillStyle = color; 
-                ctx.fillRect(0, 0, width, height);
-            }
-        } else {
-            ctx.fillStyle = color;
-            ctx.fillRect(0, 0, width, height);
-        }
-
-        // Draw avatar
-        try {
-            const avatarBuffer = await loadImageBuffer(avatarURL);
-            const circularAvatar = await cropToCircle(avatarBuffer, avatarSize);
-            const avatarImage = await loadImage(circularAvatar);
-            
-            const avatarX = 30;
-            const avatarY = (height - avatarSize) / 2;
-            
-            ctx.beginPath();
-            ctx.arc(avatarX + avatarSize/2, avatarY + avatarSize/2, avatarSize/2 + 3, 0, Math.PI * 2);
-            ctx.fillStyle = '#FFFFFF'; 
-            ctx.fill();
-            
-            ctx.drawImage(avatarImage, avatarX, avatarY, avatarSize, avatarSize);
-        } catch (err) {
-            throw new Error(`Failed to load or process avatar for ${username} (rank card). Reason: ${err.message}`);
-        }
-
-        // Apply text shadow settings
-        if (typeof applyTextShadow === 'function') {
-            applyTextShadow(ctx, { enabled: shadow });
-        } else {
-            console.warn("applyTextShadow function not available. Shadow might not be applied for rank card text.");
-             if (shadow) { // Manual fallback
-                ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-                ctx.shadowBlur = 5;
-                ctx.shadowOffsetX = 2;
-                ctx.shadowOffsetY = 2;
-            }
-        }
-
-        // Draw username
-        ctx.font = `bold 25px ${font}`;
-        ctx.fillStyle = textColor;
-        ctx.fillText(username, 30 + avatarSize + 20, 50);
-
-        // Draw rank
-        ctx.font = `20px ${font}`;
-        ctx.fillText(`#${rank}`, 30 + avatarSize + 20, 80);
-        
-        // Draw level
-        ctx.font = `bold 20px ${font}`;
-        ctx.fillText(`Level: ${level}`, width - 150, 50);
-
-        // Draw XP
-        ctx.font = `20px ${font}`;
-        ctx.fillText(`${xp.toLocaleString()} / ${requiredXp.toLocaleString()} XP`, width - 150, 80);
-
-        // Progress bar
-        const progressBarHeight = 20;
-        const progressBarY = height - 50;
-        const progressBarWidth = width - (30 + avatarSize + 20) - 30; 
-        const progressBarX = 30 + avatarSize + 20;
+    checkFontFamilies(font, `generateRankCard for ${username}`);
 
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)'; 
-        ctx.fillRect(progressBarX, progressBarY, progressBarWidth, progressBarHeight);
+    const avatar = {
+        ...resolveAvatarOptions(options.avatar, { borderWidth: 3, borderColor: avatarBorderColor }),
+        fallback: resolveAvatarFallback(options.avatarFallback, { username, userId: options.userId })
+    };
 
-        const currentProgress = Math.min(xp / requiredXp, 1); 
-        ctx.fillStyle = progressColor;
-        ctx.fillRect(progressBarX, progressBarY, progressBarWidth * currentProgress, progressBarHeight);
+    const bgConfig = resolveBackgroundConfig(background, {
+        color: color,
+        opacity: 0.7,
+        overlayColor: theme.overlayColor
+    });
 
-        ctx.strokeStyle = textColor; 
-        ctx.lineWidth = 2;
-        ctx.strokeRect(progressBarX, progressBarY, progressBarWidth, progressBarHeight);
-        
-        // Disable shadow for progress percentage text.
-        if (typeof applyTextShadow === 'function') {
-            applyTextShadow(ctx, { enabled: false });
-        } else {
-            // Manual fallback
-            ctx.shadowColor = 'transparent';
-            ctx.shadowBlur = 0;
-            ctx.shadowOffsetX = 0;
-            ctx.shadowOffsetY = 0;
+    try { 
+        const progress = Math.min(xp / requiredXp, 1);
+
+        return await renderTemplate(template, {
+            username,
+            avatarURL,
+            level,
+            xp,
+            requiredXp,
+            rank,
+            background: bgConfig,
+            color,
+            textColor,
+            progressColor,
+            width,
+            height,
+            avatarSize,
+            font,
+            shadow,
+            avatarBorderColor,
+            avatar,
+            shadowColor: theme.shadowColor,
+            overlayColor: theme.overlayColor,
+            progressTrackColor: theme.progressTrackColor,
+            progress,
+            xpText: `${xp.toLocaleString()} / ${requiredXp.toLocaleString()} XP`,
+            progressText: `${Math.round(progress * 100)}%`
+        }, { output, resolveWithObject: options.resolveWithObject });
+
+    } catch (error) {
+        log.debug(`Failed to generate rank card for ${username}`, { error });
+        if (error.layerType === 'avatar' && !(error instanceof ImagePolicyError)) {
+            throw new ImageLoadError(`Failed to load or process avatar for ${username} (rank card). Reason: ${error.message}`, {
+                code: 'AVATAR_LOAD_FAILED',
+                source: error.source,
+                status: error.status,
+                cause: error
+            });
         }
-        
-        ctx.font = `bold 16px ${font}`;
-        ctx.fillStyle = textColor; 
-        const percentText = `${Math.round(currentProgress * 100)}%`;
-        const percentTextMetrics = ctx.measureText(percentText);
-        const percentTextX = progressBarX + (progressBarWidth / 2) - (percentTextMetrics.width / 2);
-        const percentTextY = progressBarY + (progressBarHeight / 2) + 6; 
-
-        ctx.fillText(percentText, percentTextX, percentTextY);
-
-        return canvas.toBuffer('image/png');
-
-    } catch (error) { 
-        console.error(`Failed to generate rank card for ${username}:`, error);
-        if (error.message.includes(`Failed to load or process avatar for ${username} (rank card)`)) {
+        if (error instanceof ValidationError || error instanceof ImageLoadError) {
             throw error;
         }
-        throw new Error(`Failed to generate rank card for ${username}. Reason: ${error.message}`);
+        throw new RenderError(`Failed to generate rank card for ${username}. Reason: ${error.message}`, { cause: error });
     }
 }
 
@@ -0,0 +1,2 @@
+// Types for the cwk-gen/welcome subpath
+export { generateWelcomeImage, WelcomeImageOptions } from '../index';
@@ -0,0 +1,640 @@
+/// <reference types="node" />
+import type { Canvas } from '@napi-rs/canvas';
+
+// Images
+
+/** Image URL, local file path or image data */
+export type ImageSource = string | Buffer;
+
+export type ImageFit = 'cover' | 'contain' | 'fill' | 'tile';
+
+export interface GradientStop {
+    /** Position along the gradient, 0..1 */
+    offset: number;
+    color: string;
+}
+
+export interface Gradient {
+    /** Default "linear" */
+    type?: 'linear' | 'radial' | 'conic';
+    /** Evenly spaced colors, or explicit stops */
+    colors: Array<string | GradientStop>;
+    /** Degrees, 0 runs left to right and 90 top to bottom (conic: where the first color starts). Default 0 */
+    angle?: number;
+}
+
+/**
+ * Background config. Drawing order is: color, gradient, then the first of `image` and `fallback` that loads,
+ * with the overlay on top of the image.
+ */
+export interface BackgroundConfig {
+    image?: ImageSource;
+    /** Solid fill, shown when there is no image or it fails to load */
+    color?: string;
+    /** Gradient drawn over the color */
+    gradient?: Gradient;
+    /** Default "cover" */
+    fit?: ImageFit;
+    /** Anchor the image is aligned to when cropped or letterboxed. Default "center" */
+    position?: string;
+    /** Image blur in pixels. Default 0 */
+    blur?: number;
+    /** Image opacity. Default 1 */
+    opacity?: number;
+    /** Color drawn over the image */
+    overlayColor?: string;
+    /** Overlay opacity. Default 1 */
+    overlayOpacity?: number;
+    /** Images to try in order when `image` fails to load */
+    fallback?: ImageSource | ImageSource[];
+}
+
+/** Background image URL/Buffer, or a background config */
+export type Background = ImageSource | BackgroundConfig;
+
+// Avatars
+
+export type AvatarShape = 'circle' | 'rounded-square' | 'hexagon' | 'squircle';
+
+export type PresenceStatus = 'online' | 'idle' | 'dnd' | 'offline' | 'streaming';
+
+export interface AvatarBorder {
+    width?: number;
+    color?: string;
+    gradient?: Gradient;
+    image?: ImageSource;
+}
+
+export interface AvatarOptions {
+    /** Default "circle" */
+    shape?: AvatarShape;
+    border?: AvatarBorder;
+    /** Presence dot cut out of the avatar's edge */
+    status?: PresenceStatus | null;
+    /** Decoration image drawn over the avatar */
+    frame?: ImageSource | null;
+}
+
+/** Avatar used when the avatar fails to load: Discord's default avatar, the user's initials or an image */
+export type AvatarFallback = 'default' | 'initials' | Buffer;
+
+// Output
+
+export type OutputFormat = 'png' | 'jpeg' | 'webp' | 'avif' | 'gif' | 'canvas';
+
+export interface OutputConfig {
+    format: OutputFormat;
+    /** 0-100, for jpeg (default 90), webp (default 90) and avif (default 80) */
+    quality?: number;
+}
+
+export type Output = OutputFormat | OutputConfig;
+
+/** Something that was replaced to complete a render */
+export interface RenderWarning {
+    /** e.g. "AVATAR_FALLBACK" */
+    code: string;
+    message: string;
+    source?: string;
+}
+
+/** An encoded image */
+export type RenderedImage = Buffer & { readonly warnings: RenderWarning[] };
+
+/** The canvas returned for output "canvas" */
+export type RenderedCanvas = Canvas & { readonly warnings: RenderWarning[] };
+
+/** Milliseconds spent in each stage of a render */
+export interface RenderTimings {
+    load: number;
+    layout: number;
+    draw: number;
+    encode: number;
+    total: number;
+}
+
+/** What renders resolve with when `resolveWithObject` is set */
+export interface RenderResult {
+    /** null for output "canvas" */
+    buffer: Buffer | null;
+    /** Only set for output "canvas" */
+    canvas: Canvas | null;
+    /** null for output "canvas" */
+    mimeType: string | null;
+    width: number;
+    height: number;
+    format: OutputFormat;
+    warnings: RenderWarning[];
+    timings: RenderTimings;
+}
+
+// Themes and templates
+
+export interface ThemeTokens {
+    /** Primary color, also the background fallback */
+    color?: string;
+    textColor?: string;
+    progressColor?: string;
+    progressTrackColor?: string;
+    /** A family, or a fallback stack such as ['Poppins', 'Noto Sans JP'] where each character uses the first family that has it */
+    font?: FontFamily;
+    overlayColor?: string;
+    overlayOpacity?: number;
+    /** Whether text shadows are drawn */
+    shadow?: boolean;
+    shadowColor?: string;
+    avatarBorderColor?: string;
+    /** Boxes drawn behind content, e.g. profile stats */
+    panelColor?: string;
+}
+
+/** Inline theme tokens, missing tokens come from the `extends` theme (default "default") */
+export interface InlineTheme extends ThemeTokens {
+    extends?: string;
+}
+
+export type Theme = Required<ThemeTokens>;
+
+/** Pixels, or a string such as "50%" or a {placeholder} */
+export type Length = number | string;
+
+export type LayerType = 'group' | 'repeat' | 'background' | 'avatar' | 'image' | 'text' | 'progress' | 'shape' | 'badges' | 'stats';
+
+/** A layer of a template. Props besides the common ones depend on the layer type. */
+export interface TemplateLayer {
+    type: LayerType;
+    id?: string;
+    /** A length, or `{ after: id, gap }` to follow another layer */
+    x?: Length | { after: string; gap?: Length };
+    /** A length, or `{ below: id, gap }` to follow another layer */
+    y?: Length | { below: string; gap?: Length };
+    width?: Length;
+    height?: Length;
+    anchor?: string;
+    zIndex?: number;
+    opacity?: number;
+    /** Canvas filter, e.g. "grayscale(1)" */
+    filter?: string;
+    /** The layer is dropped unless this resolves to a truthy value */
+    if?: unknown;
+    /** Children of "group" and "repeat" layers */
+    layers?: TemplateLayer[];
+    [prop: string]: unknown;
+}
+
+export interface Template {
+    width: Length;
+    height: Length;
+    layers: TemplateLayer[];
+}
+
+/** Options every generator takes */
+export interface BaseImageOptions {
+    background?: Background;
+    color?: string;
+    textColor?: string;
+    width?: number;
+    /** A family, or a fallback stack such as ['Poppins', 'Noto Sans JP'] where each character uses the first family that has it */
+    font?: FontFamily;
+    shadow?: boolean;
+    /** Default "png" */
+    output?: Output;
+    /** Resolve with a RenderResult instead of the image */
+    resolveWithObject?: boolean;
+    /** Registered template name or a custom layout tree */
+    template?: string | Template;
+    /** Theme name or inline theme tokens, per-call options override it. Default "default" */
+    theme?: string | InlineTheme;
+}
+
+/** Options of the generators that draw a single user's avatar */
+export interface AvatarImageOptions extends BaseImageOptions {
+    username: string;
+    /** URL or local path of the user's avatar */
+    avatarURL: string;
+    height?: number;
+    avatarSize?: number;
+    avatarBorderColor?: string;
+    avatar?: AvatarOptions;
+    avatarFallback?: AvatarFallback;
+    /** User ID, picks the "default" fallback avatar like Discord does */
+    userId?: string;
+}
+
+/** Extra placeholder values, e.g. { level: 5 } for {level} */
+export type Variables = Record<string, unknown>;
+
+// Generators
+
+export interface WelcomeImageOptions extends AvatarImageOptions {
+    /** Default "WELCOME" */
+    title?: string;
+    /** Default "Welcome to the server!" */
+    message?: string;
+    memberCount?: number;
+    serverName?: string;
+    variables?: Variables;
+    /** "gif" keeps animated avatars and backgrounds moving. Default "png" */
+    format?: 'png' | 'gif';
+}
+
+export interface GoodbyeImageOptions extends AvatarImageOptions {
+    /** Default "GOODBYE" */
+    title?: string;
+    /** Default "{username} has left the server." */
+    message?: string;
+    memberCount?: number;
+    serverName?: string;
+    /** When the user joined, enables the "member since" line */
+    joinedAt?: Date | number | string;
+    /** Default Date.now() */
+    leftAt?: Date | number | string;
+    /** Default "Member for {duration}" */
+    memberSinceText?: string;
+    variables?: Variables;
+    /** Default "grayscale" */
+    avatarFilter?: 'grayscale' | 'desaturate' | 'none';
+    /** "gif" keeps animated avatars and backgrounds moving. Default "png" */
+    format?: 'png' | 'gif';
+}
+
+export interface RankCardOptions extends AvatarImageOptions {
+    level: number;
+    xp: number;
+    /** XP required for the next level */
+    requiredXp: number;
+    rank: number;
+    progressColor?: string;
+    /** "gif" keeps animated avatars and backgrounds moving. Default "png" */
+    format?: 'png' | 'gif';
+}
+
+export interface ProfileStat {
+    name: string;
+    /** Strings support placeholders */
+    value: string | number;
+}
+
+export interface ProfileBadge {
+    name: string;
+    /** Icon URL, path or image Buffer */
+    icon: string | Buffer;
+}
+
+export interface ProfileCardOptions extends AvatarImageOptions {
+    /** Supports placeholders such as {username}, {level} and {xp:compact} */
+    bio?: string;
+    stats?: ProfileStat[];
+    badges?: ProfileBadge[];
+    variables?: Variables;
+}
+
+export interface ServerBannerOptions extends BaseImageOptions {
+    serverName: string;
+    memberCount: number;
+    /** Default "{memberCount} Members" */
+    membersText?: string;
+    variables?: Variables;
+    height?: number;
+}
+
+export interface LeaderboardEntry {
+    username: string;
+    avatarURL: string;
+    level: number;
+    xp: number;
+    requiredXp: number;
+    rank: number;
+    status?: PresenceStatus;
+    userId?: string;
+}
+
+export interface LeaderboardOptions extends BaseImageOptions {
+    /** Any order, sorted by rank */
+    entries: LeaderboardEntry[];
+    /** Starting at 1 */
+    page?: number;
+    /** Default 10 */
+    perPage?: number;
+    /** Default "LEADERBOARD" */
+    title?: string;
+    serverName?: string;
+    variables?: Variables;
+    progressColor?: string;
+    /** Default 70 */
+    rowHeight?: number;
+    avatarBorderColor?: string;
+    avatar?: AvatarOptions;
+    avatarFallback?: AvatarFallback;
+}
+
+type ObjectResult = { resolveWithObject: true };
+type CanvasOutput = { output: 'canvas' | { format: 'canvas'; quality?: number } };
+
+export function generateWelcomeImage(options: WelcomeImageOptions & ObjectResult): Promise<RenderResult>;
+export function generateWelcomeImage(options: WelcomeImageOptions & CanvasOutput): Promise<RenderedCanvas>;
+export function generateWelcomeImage(options: WelcomeImageOptions): Promise<RenderedImage>;
+
+export function generateGoodbyeImage(options: GoodbyeImageOptions & ObjectResult): Promise<RenderResult>;
+export function generateGoodbyeImage(options: GoodbyeImageOptions & CanvasOutput): Promise<RenderedCanvas>;
+export function generateGoodbyeImage(options: GoodbyeImageOptions): Promise<RenderedImage>;
+
+export function generateRankCard(options: RankCardOptions & ObjectResult): Promise<RenderResult>;
+export function generateRankCard(options: RankCardOptions & CanvasOutput): Promise<RenderedCanvas>;
+export function generateRankCard(options: RankCardOptions): Promise<RenderedImage>;
+
+export function generateProfileCard(options: ProfileCardOptions & ObjectResult): Promise<RenderResult>;
+export function generateProfileCard(options: ProfileCardOptions & CanvasOutput): Promise<RenderedCanvas>;
+export function generateProfileCard(options: ProfileCardOptions): Promise<RenderedImage>;
+
+export function generateServerBanner(options: ServerBannerOptions & ObjectResult): Promise<RenderResult>;
+export function generateServerBanner(options: ServerBannerOptions & CanvasOutput): Promise<RenderedCanvas>;
+export function generateServerBanner(options: ServerBannerOptions): Promise<RenderedImage>;
+
+export function generateLeaderboard(options: LeaderboardOptions & ObjectResult): Promise<RenderResult>;
+export function generateLeaderboard(options: LeaderboardOptions & CanvasOutput): Promise<RenderedCanvas>;
+export function generateLeaderboard(options: LeaderboardOptions): Promise<RenderedImage>;
+
+export interface RenderTemplateOptions {
+    /** Default "png" */
+    format?: 'png' | 'gif';
+    output?: Output;
+    resolveWithObject?: boolean;
+}
+
+export function renderTemplate(template: string | Template, data: Record<string, unknown> | undefined, options: RenderTemplateOptions & ObjectResult): Promise<RenderResult>;
+export function renderTemplate(template: string | Template, data: Record<string, unknown> | undefined, options: RenderTemplateOptions & CanvasOutput): Promise<RenderedCanvas>;
+export function renderTemplate(template: string | Template, data?: Record<string, unknown>, options?: RenderTemplateOptions): Promise<RenderedImage>;
+
+export function registerTemplate(name: string, template: Template): void;
+export function getTemplate(name: string): Template;
+
+export function registerTheme(name: string, tokens: InlineTheme): void;
+export function getTheme(name: string): Theme;
+
+// Batches and pools
+
+export type BatchJob =
+    | { type: 'welcome'; options: WelcomeImageOptions; id?: unknown }
+    | { type: 'goodbye'; options: GoodbyeImageOptions; id?: unknown }
+    | { type: 'rank'; options: RankCardOptions; id?: unknown }
+    | { type: 'profile'; options: ProfileCardOptions; id?: unknown }
+    | { type: 'banner'; options: ServerBannerOptions; id?: unknown }
+    | { type: 'leaderboard'; options: LeaderboardOptions; id?: unknown };
+
+export type BatchResult =
+    | { id: unknown; type: BatchJob['type']; status: 'fulfilled'; value: RenderedImage | RenderedCanvas | RenderResult }
+    | { id: unknown; type: BatchJob['type']; status: 'rejected'; reason: Error };
+
+export interface BatchOptions {
+    /** Jobs rendered at the same time. Default 4 */
+    concurrency?: number;
+}
+
+export function renderBatch(jobs: BatchJob[], options?: BatchOptions): Promise<BatchResult[]>;
+
+export interface RenderPoolOptions {
+    /** Number of workers. Default one less than the CPU count, at least 1 */
+    size?: number;
+    /** Default time limit (ms) for a render once a worker picks it up, 0 for none. Default 0 */
+    timeout?: number;
+}
+
+export interface RenderControl {
+    signal?: AbortSignal;
+    timeout?: number;
+}
+
+/** Output "canvas" is not available from a pool */
+type PoolOptions<T extends BaseImageOptions> = Omit<T, 'output'> & { output?: Exclude<Output, 'canvas'> };
+
+export interface RenderPool {
+    readonly size: number;
+    /** Jobs waiting for a worker */
+    readonly pending: number;
+    generateWelcomeImage(options: PoolOptions<WelcomeImageOptions> & ObjectResult, control?: RenderControl): Promise<RenderResult>;
+    generateWelcomeImage(options: PoolOptions<WelcomeImageOptions>, control?: RenderControl): Promise<RenderedImage>;
+    generateGoodbyeImage(options: PoolOptions<GoodbyeImageOptions> & ObjectResult, control?: RenderControl): Promise<RenderResult>;
+    generateGoodbyeImage(options: PoolOptions<GoodbyeImageOptions>, control?: RenderControl): Promise<RenderedImage>;
+    generateRankCard(options: PoolOptions<RankCardOptions> & ObjectResult, control?: RenderControl): Promise<RenderResult>;
+    generateRankCard(options: PoolOptions<RankCardOptions>, control?: RenderControl): Promise<RenderedImage>;
+    generateProfileCard(options: PoolOptions<ProfileCardOptions> & ObjectResult, control?: RenderControl): Promise<RenderResult>;
+    generateProfileCard(options: PoolOptions<ProfileCardOptions>, control?: RenderControl): Promise<RenderedImage>;
+    generateServerBanner(options: PoolOptions<ServerBannerOptions> & ObjectResult, control?: RenderControl): Promise<RenderResult>;
+    generateServerBanner(options: PoolOptions<ServerBannerOptions>, control?: RenderControl): Promise<RenderedImage>;
+    generateLeaderboard(options: PoolOptions<LeaderboardOptions> & ObjectResult, control?: RenderControl): Promise<RenderResult>;
+    generateLeaderboard(options: PoolOptions<LeaderboardOptions>, control?: RenderControl): Promise<RenderedImage>;
+    /** Stop the workers, queued and running renders reject with code POOL_CLOSED */
+    close(): Promise<void>;
+}
+
+export function createRenderPool(options?: RenderPoolOptions): RenderPool;
+
+// Render server
+
+export type RenderType = BatchJob['type'];
+
+export interface ServerLimits {
+    /** Largest JSON body accepted. Default 102400 */
+    maxBodyBytes?: number;
+    /** Renders in progress at once, further requests get 429. Default 16 */
+    maxConcurrent?: number;
+    /** Time (ms) a render may take before a 504, 0 for none. Default 10000 */
+    timeout?: number;
+    /** Largest width, height, avatarSize, rowHeight, avatar border or leaderboard page height accepted. Default 4096 */
+    maxSize?: number;
+    /** Most profile badges accepted. Default 20 */
+    maxBadges?: number;
+    /** Most profile stats accepted. Default 20 */
+    maxStats?: number;
+    /** Most leaderboard entries accepted. Default 1000 */
+    maxEntries?: number;
+}
+
+export interface ServerOptions {
+    /** Key for signed GET URLs, GET renders are refused without it */
+    secret?: string;
+    /** Limits for every route */
+    limits?: ServerLimits;
+    /** Per route: false to turn it off, or limits that override the defaults */
+    routes?: Partial<Record<RenderType, boolean | ServerLimits>>;
+    /** Response cache, or false for none. Defaults: 500 entries, 64 MB, 5 minute ttl */
+    cache?: { maxEntries?: number; maxBytes?: number; ttl?: number } | false;
+    /** Render in worker threads */
+    pool?: RenderPool;
+}
+
+/** HTTP server with POST /render/<type>, signed GET /render/<type> and GET /health. Call listen() to start it. */
+export function createServer(options?: ServerOptions): import('http').Server;
+
+export interface SignOptions {
+    secret: string;
+    /** Server origin to prefix, e.g. "https://cards.example.com" */
+    baseURL?: string;
+    /** Time (ms) the URL stays valid, forever when left out */
+    expiresIn?: number;
+}
+
+/** Build a signed GET URL for a render server */
+export function signRenderURL(type: RenderType, options: object, config: SignOptions): string;
+
+export interface PlaygroundOptions {
+    /** Largest image or font upload in bytes. Default 10 MB */
+    maxUploadBytes?: number;
+}
+
+/** Local page for designing cards with a live preview. It reads local files, keep it on a loopback address. Call listen() to start it. */
+export function createPlayground(options?: PlaygroundOptions): import('http').Server;
+
+// Fonts, text and emoji
+
+/** A family, a CSS family list, or a fallback stack of families */
+export type FontFamily = string | string[];
+
+export interface FontOptions {
+    family: string;
+    weight?: string;
+    style?: string;
+}
+
+export interface FontRegistration extends FontOptions {
+    path: string;
+}
+
+/** Register a font file under a family name, throws FontNotFoundError when the file is missing */
+export function loadFont(fontPath: string, options: FontOptions): void;
+
+/** Register several fonts, failures are logged instead of thrown */
+export function registerFonts(fonts: FontRegistration[]): void;
+
+/**
+ * Register every .ttf, .otf, .ttc, .woff and .woff2 file in a directory under the family name stored in the font.
+ * Throws FontNotFoundError when the directory is missing, failing fonts are logged and skipped.
+ */
+export function registerFontDirectory(dir: string, options?: { recursive?: boolean }): Array<{ path: string; family: string }>;
+
+/**
+ * Set the image set Unicode emoji are drawn from: a path or URL with a {codepoint} placeholder,
+ * a function returning a path/URL/Buffer (or null to use the font), or null to always use the font
+ */
+export function registerEmojiSet(source: string | ((emoji: string, codepoint: string) => ImageSource | null) | null): void;
+
+/** Fill {placeholders} in a text, with {name:formatter} chains */
+export function formatText(text: string, variables?: Variables): string;
+
+export function registerFormatter(name: string, formatter: (value: any) => unknown): void;
+
+// Caching and fetching
+
+export interface CacheEntry {
+    buffer: Buffer;
+    etag?: string;
+    lastModified?: string;
+    /** Timestamp (ms) until which the entry is used without revalidating */
+    expires: number;
+}
+
+/** A cache store such as Redis, methods may be synchronous or return promises */
+export interface CacheStore {
+    get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+    set(key: string, entry: CacheEntry): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+    clear(): void | Promise<void>;
+}
+
+export interface CacheOptions {
+    /** How long (ms) a downloaded image is used before it is revalidated. Default 3600000 */
+    ttl?: number;
+    /** Size of the in-memory LRU, 0 disables it. Default 52428800 */
+    maxMemoryBytes?: number;
+    /** Keep images on disk in this directory as well */
+    directory?: string;
+    /** Custom store checked after memory, null removes it */
+    store?: CacheStore | null;
+}
+
+export function configureCache(options: CacheOptions): void;
+
+/** Empty the image cache, the avatar masks and the emoji images */
+export function clearCache(): Promise<void>;
+
+export interface CacheStats {
+    images: {
+        hits: number;
+        misses: number;
+        revalidated: number;
+        stale: number;
+        entries: number;
+        bytes: number;
+        maxBytes: number;
+        store: boolean;
+    };
+    masks: number;
+    emoji: number;
+    /** Decoded size of the cached emoji images, bounded at 32 MB */
+    emojiBytes: number;
+    fonts: number;
+}
+
+export function getCacheStats(): CacheStats;
+
+export interface FetchOptions {
+    /** Time (ms) allowed for the whole download, redirects included. Default 5000 */
+    timeout?: number;
+    /** Largest response body accepted. Default 10485760 */
+    maxBytes?: number;
+    /** Redirects followed before giving up. Default 5 */
+    maxRedirects?: number;
+    /** Only fetch from these hosts, "*.example.com" matches subdomains. Default null (any host) */
+    allowedHosts?: string[] | null;
+    /** Never fetch from these hosts */
+    blockedHosts?: string[];
+    /** Allow loopback, private network and link-local addresses. Default false */
+    allowPrivateAddresses?: boolean;
+    /** Largest width x height accepted, checked before decoding. Default 25000000 */
+    maxPixels?: number;
+}
+
+export function configureFetch(options: FetchOptions): void;
+
+// Errors and logging
+
+export interface Logger {
+    error(message: string, details?: object): void;
+    warn(message: string, details?: object): void;
+    debug?(message: string, details?: object): void;
+}
+
+/** Send library output to your own logger, or silence it with null */
+export function setLogger(logger: Logger | null): void;
+
+export class ValidationError extends TypeError {
+    constructor(message: string, details?: { code?: string });
+    /** INVALID_OPTION, UNKNOWN_TEMPLATE or PAGE_OUT_OF_RANGE */
+    code: string;
+}
+
+export class ImageLoadError extends Error {
+    constructor(message: string, details?: { code?: string; source?: string; status?: number; cause?: Error });
+    /** IMAGE_LOAD_FAILED or AVATAR_LOAD_FAILED */
+    code: string;
+    source?: string;
+    status?: number;
+}
+
+export class ImagePolicyError extends ImageLoadError {
+    constructor(message: string, code: string, source?: string);
+}
+
+export class FontNotFoundError extends Error {
+    constructor(message: string, details?: { path?: string; family?: string });
+    code: 'FONT_NOT_FOUND';
+    path?: string;
+    family?: string;
+}
+
+export class RenderError extends Error {
+    constructor(message: string, details?: { code?: string; cause?: Error });
+    /** RENDER_FAILED, RENDER_TIMEOUT, POOL_CLOSED or RENDER_ABORTED */
+    code: string;
+}
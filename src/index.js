@@ -1,14 +1,60 @@
 const { generateWelcomeImage } = require('./generators/welcome');
+const { generateGoodbyeImage } = require('./generators/goodbye');
 const { generateRankCard } = require('./generators/rank');
 const { generateProfileCard } = require('./generators/profile');
 const { generateServerBanner } = require('./generators/banner');
-const { loadFont, registerFonts } = require('./utils');
+const { generateLeaderboard } = require('./generators/leaderboard');
+const { renderBatch } = require('./batch');
+const { createRenderPool } = require('./pool');
+const { createServer, signRenderURL } = require('./server');
+const { createPlayground } = require('./playground');
+const { loadFont, registerFonts, registerFontDirectory, registerEmojiSet, clearCache, getCacheStats } = require('./utils');
+const { configureCache } = require('./cache');
+const { configureFetch } = require('./fetch');
+const {
+    ValidationError,
+    ImageLoadError,
+    ImagePolicyError,
+    FontNotFoundError,
+    RenderError
+} = require('./errors');
+const { setLogger } = require('./logger');
+const { renderTemplate, registerTemplate, getTemplate } = require('./layout');
+const { formatText } = require('./layout/bindings');
+const { registerTheme, getTheme } = require('./themes');
+const { registerFormatter } = require('./formatters');
 
 module.exports = {
     generateWelcomeImage,
+    generateGoodbyeImage,
     generateRankCard,
     generateProfileCard,
     generateServerBanner,
+    generateLeaderboard,
+    renderBatch,
+    createRenderPool,
+    createServer,
+    signRenderURL,
+    createPlayground,
     loadFont,
-    registerFonts
+    registerFonts,
+    registerFontDirectory,
+    registerEmojiSet,
+    renderTemplate,
+    registerTemplate,
+    getTemplate,
+    registerTheme,
+    getTheme,
+    formatText,
+    registerFormatter,
+    configureCache,
+    clearCache,
+    getCacheStats,
+    configureFetch,
+    setLogger,
+    ValidationError,
+    ImageLoadError,
+    ImagePolicyError,
+    FontNotFoundError,
+    RenderError
 };
@@ -0,0 +1,110 @@
+const { applyFormatters, toDisplayText } = require('../formatters');
+
+// A property that is nothing but a single placeholder, e.g. "{avatarSize}" or "{xp:compact}"
+const SINGLE_PLACEHOLDER = /^\{([\w.]+)((?::[\w-]+)*)\}$/;
+// Placeholders embedded in a longer string, e.g. "100% - {avatarSize}"
+const PLACEHOLDER = /\{([\w.]+)((?::[\w-]+)*)\}/g;
+
+/**
+ * Look up a dotted path ("background.image") in the data object
+ * @param {object} data
+ * @param {string} path
+ * @returns {*}
+ */
+function getPath(data, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Look up a placeholder's value and run it through its formatters
+ * @param {object} data
+ * @param {string} path
+ * @param {string} formatters - Formatter chain as written after the path, e.g. ":compact:upper"
+ * @returns {*}
+ */
+function getFormattedValue(data, path, formatters) {
+    const value = getPath(data, path);
+    return formatters ? applyFormatters(value, formatters.slice(1).split(':')) : value;
+}
+
+/**
+ * Resolve placeholders in a template value.
+ * A string that is exactly one placeholder keeps the raw data value (numbers, Buffers, arrays),
+ * placeholders inside longer strings are interpolated as text.
+ * @param {*} value
+ * @param {object} data
+ * @returns {*}
+ */
+function resolveBinding(value, data) {
+    if (typeof value !== 'string') return value;
+
+    const single = value.match(SINGLE_PLACEHOLDER);
+    if (single) {
+        return getFormattedValue(data, single[1], single[2]);
+    }
+
+    return value.replace(PLACEHOLDER, (match, path, formatters) => {
+        const resolved = getFormattedValue(data, path, formatters);
+        return resolved == null ? '' : String(resolved);
+    });
+}
+
+/**
+ * Fill the placeholders in user-facing text such as a title or message.
+ * Unlike resolveBinding the result is always a string, and unformatted numbers
+ * and dates are written for display ("1,234", "Mar 20, 2024").
+ * @param {string} text - e.g. "You are our {memberCount:ordinal} member!"
+ * @param {object} variables
+ * @returns {string}
+ */
+function formatText(text, variables) {
+    if (typeof text !== 'string') return text;
+    return text.replace(PLACEHOLDER, (match, path, formatters) => toDisplayText(getFormattedValue(variables, path, formatters)));
+}
+
+/**
+ * Resolve every placeholder in a layer's properties.
+ * Child layers of groups are left alone, they are resolved when the group is.
+ * @param {object} layer
+ * @param {object} data
+ * @returns {object}
+ */
+function resolveProps(layer, data) {
+    const resolve = value => {
+        if (Array.isArray(value)) return value.map(resolve);
+        if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+            const resolved = {};
+            for (const [key, child] of Object.entries(value)) {
+                resolved[key] = resolve(child);
+            }
+            return resolved;
+        }
+        return resolveBinding(value, data);
+    };
+
+    const { layers, ...props } = layer;
+    const resolved = resolve(props);
+    if (layers) resolved.layers = layers;
+    return resolved;
+}
+
+/**
+ * Decide whether a resolved `if` condition passes.
+ * Empty arrays and empty strings count as false.
+ * @param {*} condition
+ * @returns {boolean}
+ */
+function isConditionMet(condition) {
+    if (condition === undefined) return true;
+    if (Array.isArray(condition)) return condition.length > 0;
+    if (typeof condition === 'string') return condition.trim() !== '';
+    return Boolean(condition);
+}
+
+module.exports = {
+    getPath,
+    resolveBinding,
+    formatText,
+    resolveProps,
+    isConditionMet
+};
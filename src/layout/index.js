@@ -0,0 +1,337 @@
+const { createCanvas } = require('@napi-rs/canvas');
+const { performance } = require('perf_hooks');
+const { buildFrameTimeline, encodeGif, encodeCanvas, resolveOutputOptions, OUTPUT_FORMATS } = require('../utils');
+const builtInTemplates = require('../templates');
+const { layerTypes } = require('./layers');
+const { resolveLength, anchorBox } = require('./units');
+const { resolveBinding, resolveProps, isConditionMet } = require('./bindings');
+const { ValidationError } = require('../errors');
+
+// Registered templates by name, seeded with the built-in generator layouts
+const templates = new Map(Object.entries(builtInTemplates));
+
+/**
+ * Validate the shape of a template before rendering or registering it
+ * @param {object} template
+ */
+function validateTemplate(template) {
+    if (!template || typeof template !== 'object') {
+        throw new ValidationError('Template must be an object.');
+    }
+    if (!Array.isArray(template.layers)) {
+        throw new ValidationError('Template must have a layers array.');
+    }
+
+    const validateLayers = (layers, path) => {
+        layers.forEach((layer, i) => {
+            const where = `${path}[${i}]${layer && layer.id ? ` ("${layer.id}")` : ''}`;
+            if (!layer || typeof layer !== 'object') {
+                throw new ValidationError(`Layer ${where} must be an object.`);
+            }
+            if (layer.type === 'group' || layer.type === 'repeat') {
+                if (!Array.isArray(layer.layers)) {
+                    throw new ValidationError(`${layer.type === 'group' ? 'Group' : 'Repeat'} layer ${where} must have a layers array.`);
+                }
+                validateLayers(layer.layers, `${where}.layers`);
+            } else if (!layerTypes[layer.type]) {
+                throw new ValidationError(`Layer ${where} has unknown type "${layer.type}". Expected one of: group, repeat, ${Object.keys(layerTypes).join(', ')}`);
+            }
+        });
+    };
+    validateLayers(template.layers, 'layers');
+}
+
+/**
+ * Register a named template, replacing any template with the same name
+ * (including the built-in "welcome", "rank", "profile" and "banner" layouts)
+ * @param {string} name
+ * @param {object} template - Layout tree: {width, height, layers}
+ */
+function registerTemplate(name, template) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new ValidationError('Template name must be a non-empty string.');
+    }
+    validateTemplate(template);
+    templates.set(name, JSON.parse(JSON.stringify(template)));
+}
+
+/**
+ * Get a copy of a registered template, handy as a starting point for a custom layout
+ * @param {string} name
+ * @returns {object}
+ */
+function getTemplate(name) {
+    const template = templates.get(name);
+    if (!template) {
+        throw new ValidationError(`Template "${name}" is not registered.`, { code: 'UNKNOWN_TEMPLATE' });
+    }
+    return JSON.parse(JSON.stringify(template));
+}
+
+/**
+ * Resolve placeholders in a layer tree and drop layers whose `if` condition fails
+ * @param {Array<object>} layers
+ * @param {object} data
+ * @returns {Array<object>}
+ */
+function resolveLayers(layers, data) {
+    return layers
+        .map(layer => resolveProps(layer, data))
+        .filter(layer => isConditionMet(layer.if))
+        .map(layer => {
+            if (layer.type === 'group') return { ...layer, layers: resolveLayers(layer.layers, data) };
+            if (layer.type === 'repeat') return expandRepeat(layer, data);
+            return layer;
+        });
+}
+
+/**
+ * Expand a repeat layer into a group holding one child group per item.
+ * Child layers see the current entry as `{item.*}` and its position as `{index}`.
+ * Items are stacked top to bottom, or left to right with `direction: "horizontal"`,
+ * each `itemHeight` (or `itemWidth`) pixels long with `gap` pixels between them.
+ * @param {object} layer - Resolved repeat layer
+ * @param {object} data
+ * @returns {object} Group layer
+ */
+function expandRepeat(layer, data) {
+    const { items, direction, itemHeight, itemWidth, gap = 0, layers, ...groupProps } = layer;
+    const list = Array.isArray(items) ? items : [];
+    const vertical = direction !== 'horizontal';
+    const axis = vertical ? 'y' : 'x';
+    const size = vertical ? 'height' : 'width';
+    const itemSize = resolveLength(vertical ? itemHeight : itemWidth, 0);
+    const step = itemSize + resolveLength(gap, 0);
+
+    return {
+        ...groupProps,
+        type: 'group',
+        [size]: groupProps[size] !== undefined ? groupProps[size] : Math.max(0, list.length * step - (step - itemSize)),
+        layers: list.map((item, index) => ({
+            type: 'group',
+            [axis]: index * step,
+            [size]: itemSize,
+            layers: resolveLayers(layers, { ...data, item, index })
+        }))
+    };
+}
+
+/**
+ * Run every layer's asset loader, depth first
+ * @param {Array<object>} layers
+ * @param {{animated: boolean, warnings: Array<object>}} context - Layers push render warnings to `warnings`
+ * @param {Map<object, object>} [assets]
+ * @returns {Promise<Map<object, object>>}
+ */
+async function loadAssets(layers, context, assets = new Map()) {
+    await Promise.all(layers.map(async layer => {
+        if (layer.type === 'group') {
+            await loadAssets(layer.layers, context, assets);
+            return;
+        }
+        const type = layerTypes[layer.type];
+        if (type.load) {
+            assets.set(layer, await type.load(layer, context));
+        }
+    }));
+    return assets;
+}
+
+/**
+ * Resolve a layer's x or y position.
+ * Besides lengths, a position can follow another layer: `{ below: "bio", gap: 15 }` for y
+ * or `{ after: "title", gap: 10 }` for x. The gap only applies when that layer has content.
+ * @param {*} value
+ * @param {'x'|'y'} axis
+ * @param {{x: number, y: number, width: number, height: number}} parent
+ * @param {Map<string, object>} boxesById
+ * @returns {number} Absolute position
+ */
+function resolvePosition(value, axis, parent, boxesById) {
+    const size = axis === 'x' ? 'width' : 'height';
+
+    if (value && typeof value === 'object') {
+        const refId = axis === 'x' ? value.after : value.below;
+        const ref = boxesById.get(refId);
+        if (!ref) {
+            throw new ValidationError(`Layer position refers to unknown layer "${refId}". Referenced layers must come earlier in the template.`);
+        }
+        const gap = ref[size] > 0 ? resolveLength(value.gap || 0, parent[size]) : 0;
+        return ref[axis] + ref[size] + gap;
+    }
+
+    return parent[axis] + resolveLength(value, parent[size]);
+}
+
+/**
+ * Work out the box of every layer, in template order so later layers can refer to earlier ones.
+ * Siblings are then sorted by zIndex (ties keep template order) for drawing.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<object>} layers
+ * @param {{x: number, y: number, width: number, height: number}} parent
+ * @param {Map<object, object>} assets
+ * @param {Map<string, object>} boxesById
+ * @returns {Array<{layer: object, box: object, children?: Array}>}
+ */
+function layoutLayers(ctx, layers, parent, assets, boxesById) {
+    const placed = layers.map((layer, order) => {
+        const type = layerTypes[layer.type];
+        const measured = type && type.measure ? type.measure(ctx, layer, assets.get(layer), parent) : null;
+
+        const width = layer.width !== undefined
+            ? resolveLength(layer.width, parent.width)
+            : (measured ? measured.width : parent.width);
+        const height = layer.height !== undefined
+            ? resolveLength(layer.height, parent.height)
+            : (measured ? measured.height : parent.height);
+
+        const x = resolvePosition(layer.x, 'x', parent, boxesById);
+        const y = resolvePosition(layer.y, 'y', parent, boxesById);
+        const box = { ...anchorBox(x, y, width, height, layer.anchor), content: measured };
+
+        if (layer.id) {
+            boxesById.set(layer.id, box);
+        }
+
+        const entry = { layer, box, order };
+        if (layer.type === 'group') {
+            entry.children = layoutLayers(ctx, layer.layers, box, assets, boxesById);
+        }
+        return entry;
+    });
+
+    return placed.sort((a, b) => ((a.layer.zIndex || 0) - (b.layer.zIndex || 0)) || (a.order - b.order));
+}
+
+/**
+ * Draw laid out layers
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<object>} placed - Output of layoutLayers
+ * @param {Map<object, object>} assets
+ * @param {Map<object, Image>} frameImages - Current frame of each animated layer
+ */
+function drawLayers(ctx, placed, assets, frameImages) {
+    for (const { layer, box, children } of placed) {
+        ctx.save();
+        if (layer.filter) {
+            ctx.filter = layer.filter;
+        }
+        if (typeof layer.opacity === 'number' && layer.type !== 'background') {
+            ctx.globalAlpha = layer.opacity;
+        }
+        if (children) {
+            drawLayers(ctx, children, assets, frameImages);
+        } else {
+            const asset = assets.get(layer);
+            const content = asset && asset.frames ? frameImages.get(layer) : asset;
+            layerTypes[layer.type].draw(ctx, layer, box, content, asset);
+        }
+        ctx.restore();
+    }
+}
+
+/**
+ * Render a template into an image
+ * @param {string|object} template - Registered template name or a template object ({width, height, layers})
+ * @param {object} [data={}] - Values for the template's {placeholders}
+ * @param {object} [options]
+ * @param {string} [options.format="png"] - Output format, "png" or "gif"
+ * @param {string|object} [options.output] - "png", "jpeg", "webp", "avif", "gif" or "canvas", or {format, quality}
+ * @param {boolean} [options.resolveWithObject=false] - Resolve with {buffer, canvas, mimeType, width, height, format, warnings, timings}
+ * @returns {Promise<Buffer|Canvas|object>} The image (a Canvas for "canvas" output), with a `warnings` array of
+ *  {code, message, source} describing anything that was replaced to complete the render, e.g. code AVATAR_FALLBACK
+ */
+async function renderTemplate(template, data = {}, options = {}) {
+    const output = resolveOutputOptions(options.output, options.format);
+    const { resolveWithObject = false } = options;
+    if (typeof resolveWithObject !== 'boolean') {
+        throw new ValidationError('resolveWithObject must be a boolean.');
+    }
+
+    const definition = typeof template === 'string' ? getTemplate(template) : template;
+    validateTemplate(definition);
+
+    const width = Math.round(resolveLength(resolveBinding(definition.width, data), 0));
+    const height = Math.round(resolveLength(resolveBinding(definition.height, data), 0));
+    if (!(width > 0) || !(height > 0)) {
+        throw new ValidationError('Template width and height must resolve to positive numbers.');
+    }
+
+    // Milliseconds spent in each stage, GIF frames are drawn while encoding so their drawing counts as draw
+    const timings = { load: 0, layout: 0, draw: 0, encode: 0, total: 0 };
+    const started = performance.now();
+    let stageStart = started;
+    const endStage = stage => {
+        const now = performance.now();
+        timings[stage] += now - stageStart;
+        stageStart = now;
+    };
+
+    const animated = output.format === 'gif';
+    const layers = resolveLayers(definition.layers, data);
+    const warnings = [];
+    const assets = await loadAssets(layers, { animated, warnings });
+    endStage('load');
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const placed = layoutLayers(ctx, layers, { x: 0, y: 0, width, height }, assets, new Map());
+    endStage('layout');
+
+    // Animated layers share one timeline, still layers repeat on every frame
+    const animatedLayers = [...assets.keys()].filter(layer => assets.get(layer) && assets.get(layer).frames);
+    const timeline = buildFrameTimeline(...animatedLayers.map(layer => assets.get(layer).frames));
+    const frameImagesAt = frame => new Map(animatedLayers.map((layer, i) => [layer, frame.frames[i].image]));
+
+    let buffer = null;
+    if (animated) {
+        buffer = await encodeGif(width, height, timeline, (frameCtx, frame) => {
+            endStage('encode');
+            drawLayers(frameCtx, placed, assets, frameImagesAt(frame));
+            endStage('draw');
+        });
+        endStage('encode');
+    } else {
+        drawLayers(ctx, placed, assets, frameImagesAt(timeline[0]));
+        endStage('draw');
+        if (output.format !== 'canvas') {
+            buffer = await encodeCanvas(canvas, output);
+            endStage('encode');
+        }
+    }
+    timings.total = performance.now() - started;
+
+    if (resolveWithObject) {
+        return {
+            buffer,
+            canvas: output.format === 'canvas' ? canvas : null,
+            mimeType: OUTPUT_FORMATS[output.format],
+            width,
+            height,
+            format: output.format,
+            warnings,
+            timings
+        };
+    }
+    return attachWarnings(buffer || canvas, warnings);
+}
+
+/**
+ * Add render warnings to an image Buffer (or Canvas) as a non-enumerable `warnings` property,
+ * so callers that only want the image are unaffected
+ * @param {Buffer|Canvas} image
+ * @param {Array<object>} warnings
+ * @returns {Buffer|Canvas}
+ */
+function attachWarnings(image, warnings) {
+    Object.defineProperty(image, 'warnings', { value: warnings, enumerable: false });
+    return image;
+}
+
+module.exports = {
+    renderTemplate,
+    registerTemplate,
+    getTemplate,
+    validateTemplate,
+    attachWarnings
+};
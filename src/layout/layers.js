@@ -0,0 +1,571 @@
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const {
+    loadImageBuffer,
+    loadImageFrames,
+    decodeImage,
+    clipToShape,
+    traceAvatarShape,
+    createGradient,
+    drawImageFit,
+    PRESENCE_COLORS,
+    toAnimatedAvatarURL,
+    wrapText,
+    parseRichText,
+    loadRichTextImages,
+    wrapRichText,
+    measureRichText,
+    drawRichText,
+    fitText,
+    applyTextShadow
+} = require('../utils');
+const { resolveLength, getAnchor, toFontString } = require('./units');
+const { ImageLoadError, ImagePolicyError } = require('../errors');
+const { log } = require('../logger');
+const { sharedAsset } = require('../assets');
+
+/**
+ * Load an image source as decoded frames, optionally transforming each decoded frame.
+ * Untransformed frames are shared between the renders of a batch.
+ * @param {string|Buffer} source
+ * @param {boolean} animated
+ * @param {(image: Image) => (Image|Canvas)} [transform]
+ * @returns {Promise<Array<{delay: number, image: (Image|Canvas)}>>}
+ */
+async function loadFrames(source, animated, transform) {
+    if (!transform) {
+        return sharedAsset(animated ? 'animated-frames' : 'frames', source, () => decodeFrames(source, animated));
+    }
+    return decodeFrames(source, animated, transform);
+}
+
+/**
+ * @see loadFrames
+ */
+async function decodeFrames(source, animated, transform) {
+    const frames = await loadImageFrames(source, animated);
+    return Promise.all(frames.map(async frame => {
+        const image = await decodeImage(frame.buffer, source);
+        return { delay: frame.delay, image: transform ? transform(image) : image };
+    }));
+}
+
+/**
+ * Try an avatar layer's `fallback` sources in order. Functions are called for their source,
+ * so generated fallbacks are only drawn when they are needed.
+ * @param {object} layer
+ * @param {number} size
+ * @param {Error} error - Why the avatar itself failed
+ * @returns {Promise<Array|null>} Frames of the first fallback that loads, or null
+ */
+async function loadAvatarFallback(layer, size, error) {
+    const fallbacks = (Array.isArray(layer.fallback) ? layer.fallback : [layer.fallback]).filter(Boolean);
+    for (const fallback of fallbacks) {
+        try {
+            const source = typeof fallback === 'function' ? await fallback() : fallback;
+            const frames = await loadFrames(source, false, image => clipToShape(image, size, layer.shape || 'circle'));
+            log.warn(`Failed to load avatar ${layer.source}, using a fallback avatar`, { source: layer.source, error });
+            return frames;
+        } catch (err) {
+            log.debug('Failed to load fallback avatar', { error: err });
+        }
+    }
+    return null;
+}
+
+// Avatar frames (decorations) are drawn this much larger than the avatar, like Discord's
+const AVATAR_FRAME_SCALE = 1.2;
+
+/**
+ * Load a still image for a layer decoration, warning instead of failing
+ * @param {string|Buffer} source
+ * @param {string} what - Used in the warning, e.g. "avatar frame"
+ * @returns {Promise<Image|null>}
+ */
+async function loadDecoration(source, what) {
+    try {
+        const [frame] = await loadFrames(source, false);
+        return frame.image;
+    } catch (err) {
+        if (err instanceof ImagePolicyError) throw err;
+        log.warn(`Failed to load ${what}, skipping it`, { source, error: err });
+        return null;
+    }
+}
+
+/**
+ * Draw a Discord presence dot centered on (cx, cy), with the status glyph cut out of it
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} status - Key of PRESENCE_COLORS
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} radius
+ */
+function drawStatusDot(ctx, status, cx, cy, radius) {
+    const size = Math.max(1, Math.ceil(radius * 2));
+    const r = size / 2;
+    const dot = createCanvas(size, size);
+    const dotCtx = dot.getContext('2d');
+
+    dotCtx.fillStyle = PRESENCE_COLORS[status];
+    dotCtx.beginPath();
+    dotCtx.arc(r, r, r, 0, Math.PI * 2);
+    dotCtx.fill();
+
+    dotCtx.globalCompositeOperation = 'destination-out';
+    dotCtx.beginPath();
+    if (status === 'idle') {
+        dotCtx.arc(r * 0.5, r * 0.5, r * 0.6, 0, Math.PI * 2);
+    } else if (status === 'dnd') {
+        dotCtx.roundRect(r * 0.4, r * 0.78, r * 1.2, r * 0.44, r * 0.22);
+    } else if (status === 'offline') {
+        dotCtx.arc(r, r, r * 0.45, 0, Math.PI * 2);
+    } else if (status === 'streaming') {
+        dotCtx.moveTo(r * 0.75, r * 0.5);
+        dotCtx.lineTo(r * 1.5, r);
+        dotCtx.lineTo(r * 0.75, r * 1.5);
+        dotCtx.closePath();
+    }
+    dotCtx.fill();
+
+    ctx.drawImage(dot, cx - r, cy - r);
+}
+
+/**
+ * Apply a layer's `shadow` setting (boolean or applyTextShadow options)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {boolean|object} [shadow]
+ */
+function applyLayerShadow(ctx, shadow) {
+    if (shadow && typeof shadow === 'object') {
+        applyTextShadow(ctx, { ...shadow, enabled: shadow.enabled !== false });
+    } else {
+        applyTextShadow(ctx, { enabled: Boolean(shadow) });
+    }
+}
+
+/**
+ * Trace a rectangle, rounded rectangle or ellipse path for a box
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} shape
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {number} [radius=0]
+ */
+function traceShape(ctx, shape, box, radius = 0) {
+    ctx.beginPath();
+    if (shape === 'circle' || shape === 'ellipse') {
+        ctx.ellipse(box.x + box.width / 2, box.y + box.height / 2, box.width / 2, box.height / 2, 0, 0, Math.PI * 2);
+    } else if (shape === 'roundRect' && radius > 0) {
+        ctx.roundRect(box.x, box.y, box.width, box.height, radius);
+    } else {
+        ctx.rect(box.x, box.y, box.width, box.height);
+    }
+}
+
+/**
+ * Get a text layer's text with its `transform` applied
+ * @param {object} layer
+ * @returns {string}
+ */
+function getLayerText(layer) {
+    const text = layer.text == null ? '' : String(layer.text);
+    if (layer.transform === 'uppercase') return text.toUpperCase();
+    if (layer.transform === 'lowercase') return text.toLowerCase();
+    return text;
+}
+
+/**
+ * Break a text layer into lines.
+ * Text boxes are measured from the first baseline, like fillText: a box's top edge is the first baseline
+ * and each further line sits `lineHeight` below the previous one.
+ * Rich text layers come with their parsed runs and produce lines of runs instead of strings.
+ * Layers with `fit` shrink their font (and line height) to stay inside `maxWidth` (or `width`) and `height`,
+ * see fitText for the `minSize`, `maxLines` and `ellipsis` options.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} layer
+ * @param {{width: number, height: number}} parent
+ * @param {{runs: Array<object>}} [asset] - Loaded rich text runs
+ * @returns {{lines: Array<string|Array<object>>, lineHeight: number, width: number, rich: boolean, font: object}}
+ */
+function measureTextLines(ctx, layer, parent, asset) {
+    let font = layer.font || {};
+    let lineHeight = layer.lineHeight || Math.round((font.size || 16) * 1.2);
+    const text = getLayerText(layer);
+    const rich = Boolean(asset && asset.runs);
+    const measureLine = line => {
+        if (rich) return measureRichText(ctx, line, font);
+        ctx.font = toFontString(font);
+        return ctx.measureText(line).width;
+    };
+
+    if (text.trim() === '') {
+        return { lines: [], lineHeight, width: 0, rich, font };
+    }
+
+    const boxWidth = layer.maxWidth !== undefined ? layer.maxWidth : layer.width;
+    const resolvedWidth = boxWidth !== undefined ? resolveLength(boxWidth, parent.width) : undefined;
+    // Other layers can leave a box no room at all (a big avatar on a narrow card), its text then isn't fitted or wrapped
+    const maxWidth = resolvedWidth > 0 ? resolvedWidth : undefined;
+    let lines;
+
+    if (layer.fit && maxWidth !== undefined) {
+        const fitted = fitText(ctx, rich ? asset.runs : text, {
+            ...(typeof layer.fit === 'object' ? layer.fit : {}),
+            maxWidth,
+            maxHeight: layer.height !== undefined ? resolveLength(layer.height, parent.height) : undefined,
+            font,
+            lineHeight
+        });
+        ({ lines, font, lineHeight } = fitted);
+    } else if (rich) {
+        lines = wrapRichText(ctx, asset.runs, font, layer.maxWidth !== undefined ? maxWidth : undefined);
+    } else {
+        ctx.font = toFontString(font);
+        lines = layer.maxWidth !== undefined && maxWidth !== undefined
+            ? wrapText(ctx, text, maxWidth).split('\n')
+            : text.split('\n');
+    }
+
+    return { lines, lineHeight, width: Math.max(...lines.map(measureLine)), rich, font };
+}
+
+/**
+ * Built-in layer types.
+ * Each type can `load` its assets before layout, `measure` its natural size and `draw` itself into its box.
+ * Assets that carry `frames` are animated: `draw` then receives the current frame image, and the asset itself last.
+ * The engine applies the common `opacity` and `filter` props; on backgrounds `opacity` only fades the image.
+ */
+const layerTypes = {
+    // Backgrounds take the props of resolveBackgroundConfig: color, gradient, image with fit/position/blur/opacity,
+    // fallback images and an overlay. `fallbackColor` replaces the color when every image failed.
+    background: {
+        async load(layer, { animated }) {
+            const sources = [layer.image, ...(Array.isArray(layer.fallback) ? layer.fallback : [layer.fallback])]
+                .filter(source => source !== undefined && source !== null && source !== '');
+            if (sources.length === 0) return null;
+
+            for (const source of sources) {
+                try {
+                    return { frames: await loadFrames(source, animated) };
+                } catch (err) {
+                    // Fetch limit violations fail the render instead of being papered over by a fallback
+                    if (err instanceof ImagePolicyError) throw err;
+                    const next = source === sources[sources.length - 1] ? 'using solid color fallback' : 'trying the next fallback';
+                    log.warn(`Failed to load background layer${layer.id ? ` "${layer.id}"` : ''}, ${next}`, { source, error: err });
+                }
+            }
+            return { failed: true };
+        },
+        measure(ctx, layer, asset, parent) {
+            return { width: parent.width, height: parent.height };
+        },
+        draw(ctx, layer, box, image) {
+            const loaded = image && !image.failed;
+            const failed = image && image.failed;
+
+            // Color and gradient show when there is no image, and through letterboxed or transparent images
+            if (!loaded || layer.fit === 'contain' || layer.fit === 'tile') {
+                ctx.fillStyle = (failed && layer.fallbackColor) || layer.color || '#7289DA';
+                ctx.fillRect(box.x, box.y, box.width, box.height);
+                if (layer.gradient) {
+                    ctx.fillStyle = createGradient(ctx, layer.gradient, box);
+                    ctx.fillRect(box.x, box.y, box.width, box.height);
+                }
+            }
+            if (!loaded) return;
+
+            ctx.save();
+            if (typeof layer.blur === 'number' && layer.blur > 0) {
+                ctx.filter = `blur(${layer.blur}px)`;
+            }
+            if (typeof layer.opacity === 'number') {
+                ctx.globalAlpha = layer.opacity;
+            }
+            drawImageFit(ctx, image, box, layer.fit || 'cover', layer.position);
+            ctx.restore();
+
+            if (layer.overlayColor) {
+                ctx.fillStyle = layer.overlayColor;
+                ctx.globalAlpha = typeof layer.overlayOpacity === 'number' ? layer.overlayOpacity : 1;
+                ctx.fillRect(box.x, box.y, box.width, box.height);
+                ctx.globalAlpha = 1.0;
+            }
+        }
+    },
+
+    // Avatars take a `shape`, a `border` ring ({width, color, gradient, image}),
+    // a presence `status` dot cut out of the edge and a `frame` image drawn on top.
+    // `fallback` sources replace an avatar that fails to load, and add an AVATAR_FALLBACK warning.
+    avatar: {
+        async load(layer, { animated, warnings }) {
+            const size = Math.round(resolveLength(layer.size || 100, 0));
+            const source = animated ? toAnimatedAvatarURL(layer.source) : layer.source;
+            const border = layer.border || {};
+            let frames;
+            try {
+                frames = await loadFrames(source, animated, image => clipToShape(image, size, layer.shape || 'circle'));
+            } catch (err) {
+                if (err instanceof ImagePolicyError) {
+                    err.layerType = 'avatar';
+                    throw err;
+                }
+                frames = await loadAvatarFallback(layer, size, err);
+                if (!frames) {
+                    const error = new ImageLoadError(err.message, {
+                        code: 'AVATAR_LOAD_FAILED',
+                        source: layer.source,
+                        status: err.status,
+                        cause: err
+                    });
+                    error.layerType = 'avatar';
+                    throw error;
+                }
+                if (warnings) {
+                    warnings.push({
+                        code: 'AVATAR_FALLBACK',
+                        message: `Avatar failed to load (${err.message}), a fallback avatar was used.`,
+                        source: layer.source
+                    });
+                }
+            }
+            const [ringImage, frameImage] = await Promise.all([
+                border.image ? loadDecoration(border.image, 'avatar border image') : null,
+                layer.frame ? loadDecoration(layer.frame, 'avatar frame') : null
+            ]);
+            return { frames, ringImage, frameImage };
+        },
+        measure(ctx, layer) {
+            const size = resolveLength(layer.size || 100, 0);
+            return { width: size, height: size };
+        },
+        draw(ctx, layer, box, image, asset) {
+            const shape = layer.shape || 'circle';
+            const border = layer.border || {};
+            const borderWidth = border.width > 0 ? border.width : 0;
+            const size = box.width;
+            const outer = size + borderWidth * 2;
+            const status = PRESENCE_COLORS[layer.status] ? layer.status : null;
+
+            // Compose the ring and avatar off-screen so the status cut-out doesn't punch through the background
+            const canvas = createCanvas(Math.ceil(outer), Math.ceil(outer));
+            const avatarCtx = canvas.getContext('2d');
+            if (borderWidth > 0) {
+                traceAvatarShape(avatarCtx, shape, 0, 0, outer);
+                if (asset.ringImage) {
+                    avatarCtx.save();
+                    avatarCtx.clip();
+                    avatarCtx.drawImage(asset.ringImage, 0, 0, outer, outer);
+                    avatarCtx.restore();
+                } else {
+                    avatarCtx.fillStyle = border.gradient
+                        ? createGradient(avatarCtx, border.gradient, { x: 0, y: 0, width: outer, height: outer })
+                        : border.color || '#FFFFFF';
+                    avatarCtx.fill();
+                }
+            }
+            avatarCtx.drawImage(image, borderWidth, borderWidth, size, size);
+
+            // The dot sits on the bottom-right edge, inside a transparent gap
+            const dotCenter = borderWidth + size * 0.85;
+            if (status) {
+                avatarCtx.globalCompositeOperation = 'destination-out';
+                avatarCtx.beginPath();
+                avatarCtx.arc(dotCenter, dotCenter, size * 0.15, 0, Math.PI * 2);
+                avatarCtx.fill();
+            }
+            ctx.drawImage(canvas, box.x - borderWidth, box.y - borderWidth);
+
+            if (asset.frameImage) {
+                const frameSize = size * AVATAR_FRAME_SCALE;
+                ctx.drawImage(asset.frameImage, box.x + (size - frameSize) / 2, box.y + (size - frameSize) / 2, frameSize, frameSize);
+            }
+            if (status) {
+                drawStatusDot(ctx, status, box.x - borderWidth + dotCenter, box.y - borderWidth + dotCenter, size * 0.1);
+            }
+        }
+    },
+
+    // Images stretch to their box unless given a `fit` and `position`, see drawImageFit
+    image: {
+        async load(layer, { animated }) {
+            if (!layer.source) return null;
+            try {
+                return { frames: await loadFrames(layer.source, animated) };
+            } catch (err) {
+                if (err instanceof ImagePolicyError) throw err;
+                log.warn(`Failed to load image layer${layer.id ? ` "${layer.id}"` : ''}, skipping it`, { source: layer.source, error: err });
+                return null;
+            }
+        },
+        measure(ctx, layer, asset) {
+            const image = asset && asset.frames ? asset.frames[0].image : null;
+            return { width: image ? image.width : 0, height: image ? image.height : 0 };
+        },
+        draw(ctx, layer, box, image) {
+            if (!image) return;
+            drawImageFit(ctx, image, box, layer.fit, layer.position);
+        }
+    },
+
+    text: {
+        // Rich text layers (`rich: true`, or `{ markdown, emoji }` to pick features) draw emoji and **bold**/*italic*
+        async load(layer) {
+            if (!layer.rich) return null;
+            const runs = parseRichText(getLayerText(layer), typeof layer.rich === 'object' ? layer.rich : {});
+            return { runs: await loadRichTextImages(runs) };
+        },
+        measure(ctx, layer, asset, parent) {
+            const measured = measureTextLines(ctx, layer, parent, asset);
+            return { ...measured, height: measured.lines.length * measured.lineHeight };
+        },
+        draw(ctx, layer, box) {
+            const { lines, lineHeight, rich, font } = box.content;
+            if (lines.length === 0) return;
+
+            const [ax] = getAnchor(layer.anchor);
+            const align = { left: 0, center: 0.5, right: 1 }[layer.align] ?? ax;
+
+            applyLayerShadow(ctx, layer.shadow);
+            ctx.font = toFontString(font);
+            ctx.fillStyle = layer.color || '#FFFFFF';
+            lines.forEach((line, i) => {
+                const lineWidth = rich ? measureRichText(ctx, line, font) : ctx.measureText(line).width;
+                const x = box.x + (box.width - lineWidth) * align;
+                if (rich) {
+                    drawRichText(ctx, line, x, box.y + i * lineHeight, font);
+                } else {
+                    ctx.fillText(line, x, box.y + i * lineHeight);
+                }
+            });
+        }
+    },
+
+    progress: {
+        draw(ctx, layer, box) {
+            const value = Math.max(0, Math.min(Number(layer.value) || 0, 1));
+
+            applyLayerShadow(ctx, layer.shadow);
+            ctx.fillStyle = layer.trackColor || 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(box.x, box.y, box.width, box.height);
+
+            ctx.fillStyle = layer.fillColor || '#FFFFFF';
+            ctx.fillRect(box.x, box.y, box.width * value, box.height);
+
+            if (layer.borderColor) {
+                ctx.strokeStyle = layer.borderColor;
+                ctx.lineWidth = layer.borderWidth || 2;
+                ctx.strokeRect(box.x, box.y, box.width, box.height);
+            }
+
+            const label = layer.label;
+            if (label && label.text) {
+                applyTextShadow(ctx, { enabled: false });
+                ctx.font = toFontString(label.font);
+                ctx.fillStyle = label.color || '#FFFFFF';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(String(label.text), box.x + box.width / 2, box.y + box.height / 2);
+            }
+        }
+    },
+
+    shape: {
+        draw(ctx, layer, box) {
+            traceShape(ctx, layer.shape || 'rect', box, layer.radius);
+            if (layer.fill) {
+                ctx.fillStyle = layer.fill;
+                ctx.fill();
+            }
+            if (layer.stroke) {
+                ctx.strokeStyle = layer.stroke;
+                ctx.lineWidth = layer.strokeWidth || 1;
+                ctx.stroke();
+            }
+        }
+    },
+
+    badges: {
+        async load(layer) {
+            const items = Array.isArray(layer.items) ? layer.items : [];
+            const icons = await Promise.all(items.map(async badge => {
+                try {
+                    return await sharedAsset('badge-icon', badge.icon, async () => loadImage(await loadImageBuffer(badge.icon)));
+                } catch (err) {
+                    if (err instanceof ImagePolicyError) throw err;
+                    log.warn(`Failed to load badge icon for '${badge.name}', drawing a placeholder`, { source: badge.icon, error: err });
+                    return null;
+                }
+            }));
+            return { icons };
+        },
+        measure(ctx, layer) {
+            const { size = 32, spacing = 8, perRow = 5, labelOffset = 10, rowSpacing = 15 } = layer;
+            const count = Array.isArray(layer.items) ? layer.items.length : 0;
+            const columns = Math.min(count, perRow);
+            const rows = Math.ceil(count / perRow);
+            return {
+                width: Math.max(0, columns * (size + spacing) - spacing),
+                height: rows * (size + labelOffset + rowSpacing)
+            };
+        },
+        draw(ctx, layer, box, asset) {
+            const { size = 32, spacing = 8, perRow = 5, labelOffset = 10, rowSpacing = 15 } = layer;
+            const items = Array.isArray(layer.items) ? layer.items : [];
+
+            items.forEach((badge, i) => {
+                const row = Math.floor(i / perRow);
+                const col = i % perRow;
+                const badgeX = box.x + col * (size + spacing);
+                const badgeY = box.y + row * (size + labelOffset + rowSpacing);
+                const icon = asset && asset.icons[i];
+
+                if (icon) {
+                    ctx.drawImage(icon, badgeX, badgeY, size, size);
+                } else {
+                    ctx.fillStyle = 'rgba(128, 128, 128, 0.5)';
+                    ctx.fillRect(badgeX, badgeY, size, size);
+                    ctx.strokeStyle = 'rgba(0,0,0,0.3)';
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(badgeX, badgeY, size, size);
+                }
+
+                // Badge name under the icon
+                ctx.font = toFontString(layer.labelFont || { size: 10 });
+                ctx.fillStyle = layer.color || '#FFFFFF';
+                const nameWidth = ctx.measureText(badge.name).width;
+                ctx.fillText(badge.name, badgeX + (size - nameWidth) / 2, badgeY + size + labelOffset);
+            });
+        }
+    },
+
+    stats: {
+        draw(ctx, layer, box) {
+            const items = Array.isArray(layer.items) ? layer.items : [];
+            if (items.length === 0) return;
+
+            const { nameOffset = 30, valueOffset = 60 } = layer;
+            const cellWidth = box.width / items.length;
+
+            applyLayerShadow(ctx, layer.shadow);
+            ctx.fillStyle = layer.color || '#FFFFFF';
+            items.forEach((stat, i) => {
+                const cellX = box.x + i * cellWidth;
+                const name = String(stat.name);
+                const value = String(stat.value);
+
+                ctx.font = toFontString(layer.nameFont || { size: 16, weight: 'bold' });
+                const nameWidth = ctx.measureText(name).width;
+                ctx.fillText(name, cellX + (cellWidth - nameWidth) / 2, box.y + nameOffset);
+
+                ctx.font = toFontString(layer.valueFont || { size: 20 });
+                const valueWidth = ctx.measureText(value).width;
+                ctx.fillText(value, cellX + (cellWidth - valueWidth) / 2, box.y + valueOffset);
+            });
+        }
+    }
+};
+
+module.exports = {
+    layerTypes,
+    applyLayerShadow,
+    traceShape
+};
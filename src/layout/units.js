@@ -0,0 +1,115 @@
+const { ValidationError } = require('../errors');
+/**
+ * Anchor points as fractions of a layer box.
+ * The anchor decides which point of the layer sits at its (x, y) position.
+ */
+const ANCHORS = {
+    'top-left': [0, 0],
+    'top': [0.5, 0],
+    'top-right': [1, 0],
+    'left': [0, 0.5],
+    'center': [0.5, 0.5],
+    'right': [1, 0.5],
+    'bottom-left': [0, 1],
+    'bottom': [0.5, 1],
+    'bottom-right': [1, 1]
+};
+
+/**
+ * Resolve a length to pixels.
+ * Accepts pixels (`120`), percentages of the reference size (`"50%"`)
+ * and simple sums of both (`"100% - 150"`, `"25% + 10"`).
+ * @param {number|string} value
+ * @param {number} reference - Size that percentages are relative to
+ * @returns {number}
+ */
+function resolveLength(value, reference) {
+    if (value === undefined || value === null || value === '') return 0;
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') {
+        throw new ValidationError(`Invalid length: ${JSON.stringify(value)}`);
+    }
+
+    const terms = value.replace(/\s+/g, '').match(/[+-]?[^+-]+/g) || [];
+    return terms.reduce((total, term) => {
+        const amount = parseFloat(term);
+        if (Number.isNaN(amount)) {
+            throw new ValidationError(`Invalid length: "${value}"`);
+        }
+        return total + (term.endsWith('%') ? (amount / 100) * reference : amount);
+    }, 0);
+}
+
+/**
+ * Get the anchor fractions for an anchor name
+ * @param {string} [anchor="top-left"]
+ * @returns {[number, number]}
+ */
+function getAnchor(anchor = 'top-left') {
+    const point = ANCHORS[anchor];
+    if (!point) {
+        throw new ValidationError(`Unknown anchor "${anchor}". Expected one of: ${Object.keys(ANCHORS).join(', ')}`);
+    }
+    return point;
+}
+
+/**
+ * Place a box of the given size so its anchor point lands on (x, y)
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @param {string} [anchor="top-left"]
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function anchorBox(x, y, width, height, anchor) {
+    const [ax, ay] = getAnchor(anchor);
+    return {
+        x: x - ax * width,
+        y: y - ay * height,
+        width,
+        height
+    };
+}
+
+// CSS generic families, never quoted in a font string
+const GENERIC_FONT_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'emoji', 'math'];
+
+/**
+ * Split a font family into the families of its fallback stack, in order
+ * @param {string|string[]} family - A family, a CSS family list such as "Poppins, 'Noto Sans JP'", or an array of families
+ * @returns {string[]}
+ */
+function parseFontFamilies(family) {
+    const families = Array.isArray(family) ? family : String(family).split(',');
+    return families.map(name => String(name).trim().replace(/^(["'])(.*)\1$/, '$2')).filter(Boolean);
+}
+
+/**
+ * Build a canvas font string from a font description. A family stack becomes a CSS family list,
+ * and canvas picks each glyph from the first family in it that has the glyph.
+ * @param {{family?: string|string[], size?: number, weight?: string, style?: string}} [font]
+ * @returns {string}
+ */
+function toFontString(font = {}) {
+    const { family = 'sans-serif', size = 16, weight = 'normal', style = 'normal' } = font;
+    const families = parseFontFamilies(family).map(name => (
+        GENERIC_FONT_FAMILIES.includes(name.toLowerCase()) || /^[a-z_][\w-]*$/i.test(name) ? name : `"${name.replace(/["\\]/g, '\\$&')}"`
+    ));
+    return [
+        style !== 'normal' && style,
+        weight !== 'normal' && weight,
+        `${size}px`,
+        families.join(', ') || 'sans-serif'
+    ].filter(Boolean).join(' ');
+}
+
+module.exports = {
+    ANCHORS,
+    resolveLength,
+    getAnchor,
+    anchorBox,
+    GENERIC_FONT_FAMILIES,
+    parseFontFamilies,
+    toFontString
+};
@@ -0,0 +1,52 @@
+const { ValidationError } = require('./errors');
+
+// Debug output (failures that are also thrown to the caller) is off unless the logger has a debug method
+const defaultLogger = {
+    error: (...args) => console.error(...args),
+    warn: (...args) => console.warn(...args)
+};
+
+let logger = defaultLogger;
+
+/**
+ * Send library output to your own logger, or silence it with null.
+ * Methods are called as logger.warn(message, details), where details is an optional object
+ * such as { source, error }.
+ * @param {{error: function, warn: function, debug?: function}|null} next
+ */
+function setLogger(next) {
+    if (next === null) {
+        logger = { error() {}, warn() {} };
+        return;
+    }
+    if (!next || typeof next.error !== 'function' || typeof next.warn !== 'function') {
+        throw new ValidationError('Logger must have error and warn methods, or be null to silence logging.');
+    }
+    logger = next;
+}
+
+/**
+ * Call a logger method, leaving details out when there are none
+ * @param {string} level
+ * @param {string} message
+ * @param {object} [details]
+ */
+function write(level, message, details) {
+    if (typeof logger[level] !== 'function') return;
+    if (details === undefined) {
+        logger[level](message);
+    } else {
+        logger[level](message, details);
+    }
+}
+
+const log = {
+    error: (message, details) => write('error', message, details),
+    warn: (message, details) => write('warn', message, details),
+    debug: (message, details) => write('debug', message, details)
+};
+
+module.exports = {
+    setLogger,
+    log
+};
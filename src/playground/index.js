@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { renderBatch } = require('../batch');
+const { registerFonts, getRegisteredFonts, createInitialsAvatar, mapImageSources, resolveOutputOptions } = require('../utils');
+const { inspectImage } = require('../fetch');
+const { ValidationError } = require('../errors');
+const { log } = require('../logger');
+const { httpError, statusFor, readBody, readJson, sendJson } = require('../server');
+const { getSchema, SAMPLE_AVATAR } = require('./schema');
+
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.woff', '.woff2'];
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Whether a request came to a loopback address
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isLoopback(req) {
+    const address = req.socket.localAddress || '';
+    return address === '::1' || address.startsWith('127.') || address === '::ffff:127.0.0.1';
+}
+
+/**
+ * Create the playground server: a page with a form for each generator's options that re-renders
+ * as fields change, takes background, avatar and font uploads, and exports the options as JSON.
+ * It renders local file paths too, so keep it on a loopback address. On one it only answers requests
+ * addressed to localhost, which keeps other websites (DNS rebinding) out.
+ * Returns an http.Server, call listen() to start it.
+ * @param {object} [options]
+ * @param {number} [options.maxUploadBytes=10485760] - Largest image or font upload
+ * @returns {http.Server}
+ */
+function createPlayground(options = {}) {
+    if (!options || typeof options !== 'object') {
+        throw new ValidationError('Playground options must be an object.');
+    }
+    const { maxUploadBytes = 10 * 1024 * 1024 } = options;
+    if (!Number.isInteger(maxUploadBytes) || maxUploadBytes < 1) {
+        throw new ValidationError('maxUploadBytes must be a positive integer.');
+    }
+
+    const page = fs.readFileSync(path.join(__dirname, 'index.html'));
+    const schema = getSchema();
+    // Uploaded images by id, used as "upload:<id>" image sources. They're kept in a temporary
+    // directory with the fonts, as generators take image paths but not Buffers for every image.
+    const uploads = new Map();
+    let workDir = null;
+
+    const getWorkDir = async () => {
+        if (!workDir) {
+            workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cwk-gen-playground-'));
+            const sample = path.join(workDir, 'sample-avatar.png');
+            await fs.promises.writeFile(sample, createInitialsAvatar('Jane'));
+            uploads.set(SAMPLE_AVATAR.slice('upload:'.length), { name: 'avatar.png', path: sample });
+        }
+        return workDir;
+    };
+
+    const saveUpload = async (buffer, extension) => {
+        const file = path.join(await getWorkDir(), `${crypto.randomBytes(8).toString('hex')}${extension}`);
+        await fs.promises.writeFile(file, buffer);
+        return file;
+    };
+
+    const resolveUploads = renderOptions => mapImageSources(renderOptions, source => {
+        if (typeof source !== 'string' || !source.startsWith('upload:')) return source;
+        const upload = uploads.get(source.slice('upload:'.length));
+        if (!upload) {
+            throw new ValidationError(`Upload ${source} is gone, upload the image again.`);
+        }
+        return upload.path;
+    });
+
+    const render = async (type, renderOptions) => {
+        if (!renderOptions || typeof renderOptions !== 'object' || Array.isArray(renderOptions)) {
+            throw new ValidationError('Options object is required.');
+        }
+        if (resolveOutputOptions(renderOptions.output, renderOptions.format).format === 'canvas') {
+            throw new ValidationError('Output "canvas" can\'t be previewed.');
+        }
+        await getWorkDir();
+        const [result] = await renderBatch([{ type, options: { ...resolveUploads(renderOptions), resolveWithObject: true } }]);
+        if (result.status === 'rejected') throw result.reason;
+        const { buffer, mimeType, width, height, warnings, timings } = result.value;
+        return { image: `data:${mimeType};base64,${buffer.toString('base64')}`, mimeType, width, height, bytes: buffer.length, warnings, timings };
+    };
+
+    const uploadImage = async (req, name) => {
+        const buffer = await readBody(req, 'application/octet-stream', maxUploadBytes);
+        const image = inspectImage(buffer);
+        if (!image) {
+            throw new ValidationError(`${name} is not a PNG, JPEG, GIF, WebP or BMP image.`);
+        }
+        const file = await saveUpload(buffer, `.${image.type.split('/')[1]}`);
+        const id = path.basename(file, path.extname(file));
+        uploads.set(id, { name, path: file });
+        return { source: `upload:${id}`, name };
+    };
+
+    const uploadFont = async (req, name, family) => {
+        const buffer = await readBody(req, 'application/octet-stream', maxUploadBytes);
+        if (!FONT_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+            throw new ValidationError(`Fonts must be ${FONT_EXTENSIONS.join(', ')} files.`);
+        }
+        if (!family || typeof family !== 'string') {
+            throw new ValidationError('Font family is required.');
+        }
+        const file = await saveUpload(buffer, path.extname(name).toLowerCase());
+        // registerFonts logs failures instead of throwing
+        registerFonts([{ path: file, family }]);
+        if (!getRegisteredFonts().some(font => font.path === file)) {
+            await fs.promises.rm(file, { force: true });
+            throw new ValidationError(`${name} could not be registered as a font.`);
+        }
+        return { family };
+    };
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (isLoopback(req)) {
+            const host = new URL(`http://${req.headers.host || ''}`).hostname;
+            if (!LOOPBACK_HOSTS.includes(host)) {
+                throw httpError(403, 'FORBIDDEN', 'Open the playground through localhost.');
+            }
+        }
+
+        const route = `${req.method} ${url.pathname}`;
+        if (route === 'GET /') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': page.length });
+            res.end(page);
+        } else if (route === 'GET /schema') {
+            sendJson(res, 200, schema);
+        } else if (route === 'POST /uploads') {
+            sendJson(res, 200, await uploadImage(req, url.searchParams.get('name') || 'image'));
+        } else if (route === 'POST /fonts') {
+            sendJson(res, 200, await uploadFont(req, url.searchParams.get('name') || '', url.searchParams.get('family')));
+        } else if (req.method === 'POST' && /^\/render\/\w+$/.test(url.pathname)) {
+            const type = url.pathname.slice('/render/'.length);
+            sendJson(res, 200, await render(type, await readJson(req, maxUploadBytes)));
+        } else {
+            throw httpError(404, 'NOT_FOUND', `No route for ${route}.`);
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            const status = statusFor(error);
+            if (status === 500) log.error('Playground request failed', { url: req.url, error });
+            sendJson(res, status, { error: { code: error.code || 'RENDER_FAILED', message: error.message } }, error.headers);
+        });
+    });
+    server.on('close', () => {
+        if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    });
+    return server;
+}
+
+module.exports = {
+    createPlayground
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { AVATAR_SHAPES, PRESENCE_COLORS, IMAGE_FIT_MODES, OUTPUT_FORMATS } = require('../utils');
+
+const TYPES = ['welcome', 'goodbye', 'rank', 'profile', 'banner', 'leaderboard'];
+
+// A JSDoc line such as: * @param {number} [options.avatarSize=100] - Avatar size
+const PARAM_PATTERN = /^\s*\* @param \{(.+?)\}\s+(?:\[(\w+)\.([\w.]+)(?:=(.*?))?\]|(\w+)\.([\w.]+))\s+-\s+(.*)$/;
+
+// Options the playground sets itself
+const HIDDEN_OPTIONS = ['resolveWithObject'];
+// Options drawn as an upload button next to a URL or path field
+const IMAGE_OPTIONS = ['avatarURL', 'background.image', 'background.fallback', 'avatar.frame', 'avatar.border.image'];
+const CHOICES = {
+    output: Object.keys(OUTPUT_FORMATS).filter(format => format !== 'canvas'),
+    format: ['png', 'gif'],
+    avatarFallback: ['default', 'initials'],
+    avatarFilter: ['grayscale', 'desaturate', 'none'],
+    'background.fit': IMAGE_FIT_MODES,
+    'avatar.shape': AVATAR_SHAPES,
+    'avatar.status': Object.keys(PRESENCE_COLORS)
+};
+// The avatar option is documented as one object, so its fields are listed here
+const AVATAR_FIELDS = [
+    { name: 'avatar.shape', type: 'string', default: '"circle"', description: 'Avatar shape' },
+    { name: 'avatar.border.width', type: 'number', description: 'Border ring width' },
+    { name: 'avatar.border.color', type: 'string', description: 'Border ring color' },
+    { name: 'avatar.status', type: 'string', description: 'Presence dot' },
+    { name: 'avatar.frame', type: 'string', description: 'Decoration drawn over the avatar' }
+];
+
+// Values every generator needs, so the first preview renders. "upload:sample-avatar" is an initials avatar.
+const SAMPLE_AVATAR = 'upload:sample-avatar';
+const samples = {
+    welcome: { username: 'Jane', avatarURL: SAMPLE_AVATAR },
+    goodbye: { username: 'Jane', avatarURL: SAMPLE_AVATAR },
+    rank: { username: 'Jane', avatarURL: SAMPLE_AVATAR, level: 5, xp: 120, requiredXp: 500, rank: 3 },
+    profile: { username: 'Jane', avatarURL: SAMPLE_AVATAR },
+    banner: { serverName: 'CWK', memberCount: 1200 },
+    leaderboard: {
+        entries: ['Jane', 'Sam', 'Alex'].map((username, i) => ({
+            username, avatarURL: SAMPLE_AVATAR, level: 10 - i, xp: 900 - i * 200, requiredXp: 1000, rank: i + 1
+        }))
+    }
+};
+
+/**
+ * Read the @param lines of a source file for one object, e.g. "options"
+ * @param {string} file
+ * @param {string} object
+ * @returns {Array<{name: string, type: string, required: boolean, default?: string, description: string}>}
+ */
+function readParams(file, object) {
+    const source = fs.readFileSync(file, 'utf8');
+    return source.split('\n').map(line => PARAM_PATTERN.exec(line))
+        .filter(match => match && (match[2] || match[5]) === object)
+        .map(([, type, , optionalName, defaultValue, requiredObject, requiredName, description]) => ({
+            name: optionalName || requiredName,
+            type,
+            required: Boolean(requiredObject),
+            default: defaultValue,
+            description
+        }));
+}
+
+/**
+ * Pick the form control for an option
+ * @param {{name: string, type: string}} field
+ * @returns {string} number, boolean, select, image, color, json or text
+ */
+function fieldKind({ name, type }) {
+    if (IMAGE_OPTIONS.includes(name)) return 'image';
+    if (CHOICES[name]) return 'select';
+    if (type === 'number') return 'number';
+    if (type === 'boolean') return 'boolean';
+    if (/color$/i.test(name)) return 'color';
+    // Lists and objects are edited as JSON, options that also take a name (theme, template) as text
+    if (/^(Array|object)/.test(type)) return 'json';
+    return 'text';
+}
+
+/**
+ * Form fields for a generator's options, read from its JSDoc
+ * @param {string} type - welcome, goodbye, rank, profile, banner or leaderboard
+ * @returns {Array<object>} {name, kind, type, required, default, description, choices}, nested names use dots
+ */
+function describeOptions(type) {
+    const params = readParams(path.join(__dirname, '..', 'generators', `${type}.js`), 'options');
+    const background = readParams(path.join(__dirname, '..', 'utils.js'), 'background')
+        .map(param => ({ ...param, name: `background.${param.name}` }));
+
+    return params.flatMap(param => {
+        if (HIDDEN_OPTIONS.includes(param.name)) return [];
+        if (param.name === 'background') return background;
+        if (param.name === 'avatar') return AVATAR_FIELDS;
+        return [param];
+    }).map(field => ({
+        required: false,
+        ...field,
+        kind: fieldKind(field),
+        choices: CHOICES[field.name]
+    }));
+}
+
+/**
+ * Fields and sample options for every generator
+ * @returns {object} By type: {fields, sample}
+ */
+function getSchema() {
+    return Object.fromEntries(TYPES.map(type => [type, { fields: describeOptions(type), sample: samples[type] }]));
+}
+
+module.exports = {
+    getSchema,
+    describeOptions,
+    TYPES,
+    SAMPLE_AVATAR
+};
@@ -0,0 +1,324 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { getRegisteredFonts } = require('./utils');
+const { resolveFetchOptions } = require('./fetch');
+const { getTemplate, attachWarnings } = require('./layout');
+const { resolveTheme } = require('./themes');
+const { log } = require('./logger');
+const {
+    ValidationError,
+    ImageLoadError,
+    ImagePolicyError,
+    FontNotFoundError,
+    RenderError
+} = require('./errors');
+
+// Pool methods by generator, the job type is also the generator's default template
+const POOL_GENERATORS = {
+    generateWelcomeImage: 'welcome',
+    generateGoodbyeImage: 'goodbye',
+    generateRankCard: 'rank',
+    generateProfileCard: 'profile',
+    generateServerBanner: 'banner',
+    generateLeaderboard: 'leaderboard'
+};
+
+const ERROR_CLASSES = { ValidationError, ImageLoadError, ImagePolicyError, FontNotFoundError, RenderError };
+// Error properties kept when an error crosses between threads
+const ERROR_PROPS = ['name', 'code', 'source', 'status', 'path', 'family', 'layerType', 'stack'];
+
+/**
+ * Turn an error into a plain object that can be posted to another thread
+ * @param {*} error
+ * @returns {object}
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return { name: 'Error', message: String(error) };
+    }
+    const data = { message: error.message };
+    ERROR_PROPS.forEach(prop => {
+        if (error[prop] !== undefined && typeof error[prop] !== 'object') data[prop] = error[prop];
+    });
+    if (error.cause !== undefined) {
+        data.cause = serializeError(error.cause);
+    }
+    return data;
+}
+
+/**
+ * Rebuild an error posted by serializeError, as an instance of the library's error class with that name
+ * @param {object} data
+ * @returns {Error}
+ */
+function deserializeError(data) {
+    const error = new Error(data.message, data.cause ? { cause: deserializeError(data.cause) } : undefined);
+    Object.setPrototypeOf(error, (ERROR_CLASSES[data.name] || Error).prototype);
+    ERROR_PROPS.forEach(prop => {
+        if (data[prop] !== undefined) error[prop] = data[prop];
+    });
+    return error;
+}
+
+/**
+ * Turn the Uint8Arrays that Buffers become when posted to another thread back into Buffers
+ * @param {*} value
+ * @returns {*}
+ */
+function reviveBuffers(value) {
+    if (value instanceof Uint8Array) {
+        return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    }
+    if (Array.isArray(value)) {
+        return value.map(reviveBuffers);
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveBuffers(item)]));
+    }
+    return value;
+}
+
+/**
+ * Prepare generator options for a worker. Templates and themes are looked up here,
+ * so the ones registered in this thread are used.
+ * @param {string} type
+ * @param {*} options
+ * @returns {*}
+ */
+function prepareOptions(type, options) {
+    // Anything that isn't an object is left for the generator to reject
+    if (!options || typeof options !== 'object') return options;
+
+    const output = options.output && typeof options.output === 'object' ? options.output.format : options.output;
+    if (output === 'canvas') {
+        throw new ValidationError('Output "canvas" is not available from a render pool, a Canvas can\'t leave its worker.');
+    }
+    const template = options.template === undefined ? type : options.template;
+    return {
+        ...options,
+        template: typeof template === 'string' ? getTemplate(template) : template,
+        theme: resolveTheme(options.theme)
+    };
+}
+
+/**
+ * Turn a worker's result back into what the generator returns
+ * @param {Uint8Array|object} value - Image, or the resolveWithObject result
+ * @param {Array<object>} [warnings]
+ * @returns {Buffer|object}
+ */
+function toResult(value, warnings) {
+    if (value instanceof Uint8Array) {
+        return attachWarnings(reviveBuffers(value), warnings || []);
+    }
+    return { ...value, buffer: reviveBuffers(value.buffer) };
+}
+
+/**
+ * The error a cancelled render rejects with: the signal's reason, or a RenderError on Node 16,
+ * which doesn't set signal.reason
+ * @param {AbortSignal} signal
+ * @returns {*}
+ */
+function abortReason(signal) {
+    return signal.reason !== undefined ? signal.reason : new RenderError('Render aborted.', { code: 'RENDER_ABORTED' });
+}
+
+/**
+ * Validate the per-call controls of a pool method
+ * @param {*} control
+ */
+function validateControl(control) {
+    if (!control || typeof control !== 'object') {
+        throw new ValidationError('Render controls must be an object.');
+    }
+    if (control.timeout !== undefined && (typeof control.timeout !== 'number' || control.timeout < 0)) {
+        throw new ValidationError('Timeout must be a non-negative number of milliseconds.');
+    }
+    if (control.signal !== undefined && (!control.signal || typeof control.signal.addEventListener !== 'function')) {
+        throw new ValidationError('Signal must be an AbortSignal.');
+    }
+}
+
+/**
+ * Create a pool of worker threads that run the generators off the main thread, so decoding,
+ * masking and encoding don't block the event loop (e.g. a bot's gateway heartbeat).
+ * The pool's generators take the same options and resolve with the same results, except that
+ * output "canvas" is not available. Fonts, fetch limits, templates and themes registered in this
+ * thread are used by the workers; emoji sets, formatters, cache settings and loggers are not shared.
+ * Jobs queue while every worker is busy.
+ * @param {object} [options]
+ * @param {number} [options.size=os.cpus().length - 1] - Number of workers, at least 1
+ * @param {number} [options.timeout=0] - Default time limit (ms) for a render once a worker picks it up, 0 for none
+ * @returns {object} Pool with generateWelcomeImage, generateGoodbyeImage, generateRankCard, generateProfileCard,
+ *  generateServerBanner and generateLeaderboard(options, {signal, timeout}), `size`, `pending` and close()
+ */
+function createRenderPool(options = {}) {
+    if (!options || typeof options !== 'object') {
+        throw new ValidationError('Pool options must be an object.');
+    }
+    const { size = Math.max(1, os.cpus().length - 1), timeout = 0 } = options;
+    if (!Number.isInteger(size) || size < 1) {
+        throw new ValidationError('Pool size must be a positive integer.');
+    }
+    if (typeof timeout !== 'number' || timeout < 0) {
+        throw new ValidationError('Timeout must be a non-negative number of milliseconds.');
+    }
+
+    const queue = [];
+    let nextId = 1;
+    let closed = false;
+
+    // Finish a job, whether it is queued, running or done
+    const settle = (job, error, value) => {
+        clearTimeout(job.timer);
+        if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+        if (error) job.reject(error); else job.resolve(value);
+    };
+
+    const spawn = () => {
+        const slot = { worker: new Worker(path.join(__dirname, 'worker.js')), job: null, stopped: false };
+        slot.worker.on('message', message => handleMessage(slot, message));
+        slot.worker.on('error', error => replace(slot, new RenderError(`Render worker crashed. Reason: ${error.message}`, { cause: error })));
+        slot.worker.on('exit', code => replace(slot, new RenderError(`Render worker exited with code ${code}.`)));
+        // Idle workers don't keep the process alive
+        slot.worker.unref();
+        return slot;
+    };
+    const workers = Array.from({ length: size }, spawn);
+
+    // Stop a worker, failing the job it was running, and start a fresh one in its place
+    const replace = (slot, error) => {
+        if (slot.stopped) return;
+        slot.stopped = true;
+        slot.worker.terminate();
+        if (slot.job) settle(slot.job, error);
+        if (!closed) {
+            workers[workers.indexOf(slot)] = spawn();
+            dispatch();
+        }
+    };
+
+    const dispatch = () => {
+        for (const slot of workers) {
+            if (queue.length === 0) return;
+            if (slot.job) continue;
+
+            const job = queue.shift();
+            slot.job = job;
+            slot.worker.ref();
+            if (job.timeout > 0) {
+                job.timer = setTimeout(() => {
+                    replace(slot, new RenderError(`Render timed out after ${job.timeout}ms.`, { code: 'RENDER_TIMEOUT' }));
+                }, job.timeout);
+            }
+            try {
+                slot.worker.postMessage(job.message);
+            } catch (error) {
+                // Options the worker can't receive, e.g. functions
+                slot.job = null;
+                slot.worker.unref();
+                settle(job, new ValidationError(`Options can't be sent to a render worker. Reason: ${error.message}`));
+            }
+        }
+    };
+
+    const handleMessage = (slot, message) => {
+        if (message.type === 'log') {
+            const details = message.details && message.details.error
+                ? { ...message.details, error: deserializeError(message.details.error) }
+                : message.details;
+            log[message.level](message.message, details);
+            return;
+        }
+        const job = slot.job;
+        if (!job || job.message.id !== message.id) return;
+        slot.job = null;
+        slot.worker.unref();
+        if (message.error) {
+            settle(job, deserializeError(message.error));
+        } else {
+            settle(job, null, toResult(message.value, message.warnings));
+        }
+        dispatch();
+    };
+
+    const cancel = (job, reason) => {
+        const queued = queue.indexOf(job);
+        if (queued !== -1) {
+            queue.splice(queued, 1);
+            settle(job, reason);
+            return;
+        }
+        const slot = workers.find(worker => worker.job === job);
+        if (slot) replace(slot, reason);
+    };
+
+    const run = (type, generatorOptions, control = {}) => new Promise((resolve, reject) => {
+        if (closed) {
+            reject(new RenderError('Render pool is closed.', { code: 'POOL_CLOSED' }));
+            return;
+        }
+        validateControl(control);
+        const { signal } = control;
+        if (signal && signal.aborted) {
+            reject(abortReason(signal));
+            return;
+        }
+
+        const job = {
+            message: {
+                id: nextId++,
+                type,
+                options: prepareOptions(type, generatorOptions),
+                fonts: getRegisteredFonts(),
+                fetchOptions: resolveFetchOptions()
+            },
+            timeout: control.timeout === undefined ? timeout : control.timeout,
+            signal,
+            resolve,
+            reject
+        };
+        if (signal) {
+            job.onAbort = () => cancel(job, abortReason(signal));
+            signal.addEventListener('abort', job.onAbort, { once: true });
+        }
+        queue.push(job);
+        dispatch();
+    });
+
+    const pool = {
+        get size() {
+            return size;
+        },
+        get pending() {
+            return queue.length;
+        },
+        /**
+         * Stop the workers. Queued and running renders reject with code POOL_CLOSED.
+         * @returns {Promise<void>}
+         */
+        async close() {
+            if (closed) return;
+            closed = true;
+            const error = new RenderError('Render pool is closed.', { code: 'POOL_CLOSED' });
+            queue.splice(0).forEach(job => settle(job, error));
+            await Promise.all(workers.map(slot => {
+                slot.stopped = true;
+                if (slot.job) settle(slot.job, error);
+                return slot.worker.terminate();
+            }));
+        }
+    };
+    Object.entries(POOL_GENERATORS).forEach(([name, type]) => {
+        pool[name] = (generatorOptions, control) => run(type, generatorOptions, control);
+    });
+    return pool;
+}
+
+module.exports = {
+    createRenderPool,
+    serializeError,
+    reviveBuffers
+};
@@ -0,0 +1,532 @@
+const http = require('http');
+const crypto = require('crypto');
+const { generateWelcomeImage } = require('./generators/welcome');
+const { generateGoodbyeImage } = require('./generators/goodbye');
+const { generateRankCard } = require('./generators/rank');
+const { generateProfileCard } = require('./generators/profile');
+const { generateServerBanner } = require('./generators/banner');
+const { generateLeaderboard } = require('./generators/leaderboard');
+const { resolveOutputOptions, mapImageSources, isHttpURL, LEADERBOARD_LAYOUT, leaderboardPageHeight } = require('./utils');
+const { ValidationError, ImageLoadError, ImagePolicyError, RenderError } = require('./errors');
+const { log } = require('./logger');
+const { version } = require('../package.json');
+
+// Generators by route, /render/<type>, with the name of the matching render pool method
+const routes = {
+    welcome: { generate: generateWelcomeImage, method: 'generateWelcomeImage' },
+    goodbye: { generate: generateGoodbyeImage, method: 'generateGoodbyeImage' },
+    rank: { generate: generateRankCard, method: 'generateRankCard' },
+    profile: { generate: generateProfileCard, method: 'generateProfileCard' },
+    banner: { generate: generateServerBanner, method: 'generateServerBanner' },
+    leaderboard: { generate: generateLeaderboard, method: 'generateLeaderboard' }
+};
+
+const defaultLimits = {
+    maxBodyBytes: 100 * 1024,
+    maxConcurrent: 16,
+    timeout: 10000,
+    maxSize: 4096,
+    maxBadges: 20,
+    maxStats: 20,
+    maxEntries: 1000
+};
+
+// Options that size the canvas or an image drawn on it, each is limited to maxSize
+const SIZE_OPTIONS = ['width', 'height', 'avatarSize', 'rowHeight', 'avatar.border.width'];
+// List options with the limit on their length, every badge icon is loaded at once
+const LIST_OPTIONS = { badges: 'maxBadges', stats: 'maxStats', entries: 'maxEntries' };
+
+const defaultCacheOptions = {
+    maxEntries: 500,
+    maxBytes: 64 * 1024 * 1024,
+    ttl: 5 * 60 * 1000
+};
+
+/**
+ * Check a set of route limits, throwing a ValidationError for invalid values
+ * @param {object} limits
+ * @param {string} name - For the error message
+ */
+function validateLimits(limits, name) {
+    if (!limits || typeof limits !== 'object') {
+        throw new ValidationError(`${name} must be an object.`);
+    }
+    Object.entries(limits).forEach(([key, value]) => {
+        if (!(key in defaultLimits)) {
+            throw new ValidationError(`Unknown ${name.toLowerCase()} "${key}". Expected one of: ${Object.keys(defaultLimits).join(', ')}`);
+        }
+        if (!Number.isInteger(value) || value < (key === 'timeout' ? 0 : 1)) {
+            throw new ValidationError(`${name} ${key} must be a ${key === 'timeout' ? 'non-negative' : 'positive'} integer.`);
+        }
+    });
+}
+
+/**
+ * JSON with object keys sorted, so equal options always give the same cache key
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * HMAC of a signed render URL's options and expiry
+ * @param {string} secret
+ * @param {string} type
+ * @param {string} options - base64url JSON, as it appears in the URL
+ * @param {string} [expires] - Unix time in seconds, as it appears in the URL
+ * @returns {string} Hex digest
+ */
+function createSignature(secret, type, options, expires = '') {
+    return crypto.createHmac('sha256', secret).update(`${type}\n${options}\n${expires}`).digest('hex');
+}
+
+/**
+ * Build a signed GET URL for a render server, for embedding images where a POST can't be made,
+ * such as Discord embeds and <img> tags. The options travel as base64url JSON in the `options` parameter,
+ * `expires` is a Unix time in seconds and `signature` is the hex HMAC-SHA256 of "<type>\n<options>\n<expires>"
+ * with the server's secret (expires is empty when the URL doesn't expire).
+ * @param {string} type - welcome, goodbye, rank, profile, banner or leaderboard
+ * @param {object} options - Generator options
+ * @param {object} config
+ * @param {string} config.secret - The server's secret
+ * @param {string} [config.baseURL=""] - Server origin to prefix, e.g. "https://cards.example.com"
+ * @param {number} [config.expiresIn] - Time (ms) the URL stays valid, forever when left out
+ * @returns {string}
+ */
+function signRenderURL(type, options, { secret, baseURL = '', expiresIn } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(routes, type)) {
+        throw new ValidationError(`Unknown render type "${type}". Expected one of: ${Object.keys(routes).join(', ')}`);
+    }
+    if (!options || typeof options !== 'object') {
+        throw new ValidationError('Options object is required.');
+    }
+    if (typeof secret !== 'string' || secret === '') {
+        throw new ValidationError('A secret is required to sign render URLs.');
+    }
+    if (expiresIn !== undefined && (typeof expiresIn !== 'number' || expiresIn <= 0)) {
+        throw new ValidationError('expiresIn must be a positive number.');
+    }
+
+    const encoded = Buffer.from(JSON.stringify(options)).toString('base64url');
+    const expires = expiresIn === undefined ? '' : String(Math.ceil((Date.now() + expiresIn) / 1000));
+    const query = new URLSearchParams({ options: encoded });
+    if (expires) query.set('expires', expires);
+    query.set('signature', createSignature(secret, type, encoded, expires));
+    return `${baseURL.replace(/\/+$/, '')}/render/${type}?${query}`;
+}
+
+/**
+ * An HTTP error response
+ * @param {number} status
+ * @param {string} code
+ * @param {string} message
+ * @param {object} [headers]
+ * @returns {Error}
+ */
+function httpError(status, code, message, headers) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    error.headers = headers;
+    return error;
+}
+
+/**
+ * HTTP status for a render failure
+ * @param {Error} error
+ * @returns {number}
+ */
+function statusFor(error) {
+    if (error.status) return error.status;
+    if (error instanceof ValidationError) return 400;
+    if (error instanceof ImagePolicyError) return 422;
+    if (error instanceof ImageLoadError) return 502;
+    if (error instanceof RenderError && error.code === 'RENDER_TIMEOUT') return 504;
+    return 500;
+}
+
+/**
+ * Read a request body of a given content type, up to a size limit
+ * @param {http.IncomingMessage} req
+ * @param {string} contentType - e.g. "application/json"
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, contentType, maxBytes) {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== contentType) {
+        return Promise.reject(httpError(415, 'UNSUPPORTED_MEDIA_TYPE', `Request body must be ${contentType}.`));
+    }
+    if (Number(req.headers['content-length']) > maxBytes) {
+        return Promise.reject(httpError(413, 'BODY_TOO_LARGE', `Request body is larger than ${maxBytes} bytes.`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                // Drain the rest so the 413 can still be sent
+                req.removeAllListeners('data');
+                req.resume();
+                reject(httpError(413, 'BODY_TOO_LARGE', `Request body is larger than ${maxBytes} bytes.`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read a JSON request body, up to a size limit
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<*>}
+ */
+async function readJson(req, maxBytes) {
+    const body = await readBody(req, 'application/json', maxBytes);
+    try {
+        return JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw httpError(400, 'INVALID_JSON', `Request body is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Read and verify the options of a signed GET request
+ * @param {URLSearchParams} query
+ * @param {string} type
+ * @param {string} [secret]
+ * @returns {object}
+ */
+function readSignedOptions(query, type, secret) {
+    if (!secret) {
+        throw httpError(405, 'METHOD_NOT_ALLOWED', 'GET requests need a server secret, send the options with POST.', { Allow: 'POST' });
+    }
+    const encoded = query.get('options') || '';
+    const expires = query.get('expires') || '';
+    const signature = Buffer.from(query.get('signature') || '', 'hex');
+    const expected = Buffer.from(createSignature(secret, type, encoded, expires), 'hex');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw httpError(403, 'INVALID_SIGNATURE', 'The URL signature is missing or invalid.');
+    }
+    if (expires && Number(expires) * 1000 < Date.now()) {
+        throw httpError(403, 'URL_EXPIRED', 'The URL has expired.');
+    }
+    try {
+        return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw httpError(400, 'INVALID_JSON', `The options are not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Check request options against the server's rules, on top of the generator's own checks:
+ * images must be http(s) URLs, templates must be registered ones, and sizes (see SIZE_OPTIONS) must be numbers
+ * within the size limit, as must the height of a leaderboard page, and badges, stats and entries are limited in number
+ * @param {*} options
+ * @param {object} limits
+ * @returns {object}
+ */
+function checkRequestOptions(options, limits) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new ValidationError('Options object is required.');
+    }
+    mapImageSources(options, source => {
+        if (!isHttpURL(source)) {
+            throw new ValidationError(`Images must be http(s) URLs, got "${source}".`);
+        }
+        return source;
+    });
+    if (options.template !== undefined && typeof options.template !== 'string') {
+        throw new ValidationError('Template must be the name of a registered template.');
+    }
+    SIZE_OPTIONS.forEach(name => {
+        const value = name.split('.').reduce((object, key) => (object && typeof object === 'object' ? object[key] : undefined), options);
+        if (value === undefined) return;
+        // Generators also take numeric strings, which would get around the limit
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new ValidationError(`${name} must be a number.`);
+        }
+        if (value > limits.maxSize) {
+            throw new ValidationError(`${name} must be at most ${limits.maxSize}.`);
+        }
+    });
+    Object.entries(LIST_OPTIONS).forEach(([name, limit]) => {
+        if (Array.isArray(options[name]) && options[name].length > limits[limit]) {
+            throw new ValidationError(`${name} must have at most ${limits[limit]} items.`);
+        }
+    });
+    if (Array.isArray(options.entries)) {
+        const perPage = typeof options.perPage === 'number' ? options.perPage : LEADERBOARD_LAYOUT.perPage;
+        const rowHeight = options.rowHeight !== undefined ? options.rowHeight : LEADERBOARD_LAYOUT.rowHeight;
+        // The first page is the tallest
+        if (leaderboardPageHeight(Math.min(options.entries.length, perPage), rowHeight) > limits.maxSize) {
+            throw new ValidationError(`Leaderboard pages must be at most ${limits.maxSize} tall, lower perPage or rowHeight.`);
+        }
+    }
+    if (resolveOutputOptions(options.output, options.format).format === 'canvas') {
+        throw new ValidationError('Output "canvas" can\'t be sent over HTTP.');
+    }
+    return { ...options, resolveWithObject: true };
+}
+
+/**
+ * Least recently used cache of rendered images, by options hash
+ * @param {object} options
+ * @returns {object}
+ */
+function createResponseCache({ maxEntries, maxBytes, ttl }) {
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0 };
+    let bytes = 0;
+
+    const remove = key => {
+        bytes -= entries.get(key).buffer.length;
+        entries.delete(key);
+    };
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (entry && entry.expires > Date.now()) {
+                // Move it to the end, the most recently used
+                entries.delete(key);
+                entries.set(key, entry);
+                stats.hits++;
+                return entry;
+            }
+            if (entry) remove(key);
+            stats.misses++;
+            return undefined;
+        },
+        set(key, entry) {
+            if (entries.has(key)) remove(key);
+            if (entry.buffer.length > maxBytes) return;
+            entries.set(key, { ...entry, expires: Date.now() + ttl });
+            bytes += entry.buffer.length;
+            for (const oldest of entries.keys()) {
+                if (entries.size <= maxEntries && bytes <= maxBytes) break;
+                remove(oldest);
+            }
+        },
+        stats: () => ({ ...stats, entries: entries.size, bytes })
+    };
+}
+
+/**
+ * Reject a render that takes too long. The render itself keeps going, a pool stops it instead.
+ * @param {Promise<*>} promise
+ * @param {number} timeout - ms, 0 for no limit
+ * @returns {Promise<*>}
+ */
+function withTimeout(promise, timeout) {
+    if (!timeout) return promise;
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new RenderError(`Render timed out after ${timeout}ms.`, { code: 'RENDER_TIMEOUT' })), timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create an HTTP server that renders images. POST /render/<type> takes the generator options as JSON,
+ * GET /render/<type> takes them from a URL made with signRenderURL, and GET /health reports status.
+ * Types are welcome, goodbye, rank, profile, banner and leaderboard. Images are cached by a hash of their options.
+ * Request options may only load http(s) images and use registered templates.
+ * Returns an http.Server, call listen() to start it.
+ * @param {object} [options]
+ * @param {string} [options.secret] - Key for signed GET URLs, GET renders are refused without it
+ * @param {object} [options.limits] - Limits for every route:
+ * @param {number} [options.limits.maxBodyBytes=102400] - Largest JSON body accepted
+ * @param {number} [options.limits.maxConcurrent=16] - Renders in progress at once, further requests get 429
+ * @param {number} [options.limits.timeout=10000] - Time (ms) a render may take before a 504, 0 for none
+ * @param {number} [options.limits.maxSize=4096] - Largest width, height, avatarSize, rowHeight, avatar border or leaderboard page height accepted
+ * @param {number} [options.limits.maxBadges=20] - Most profile badges accepted
+ * @param {number} [options.limits.maxStats=20] - Most profile stats accepted
+ * @param {number} [options.limits.maxEntries=1000] - Most leaderboard entries accepted
+ * @param {object} [options.routes] - Per route: false to turn it off, or limits that override the ones above
+ * @param {object|false} [options.cache] - Response cache {maxEntries=500, maxBytes=67108864, ttl=300000}, or false
+ * @param {object} [options.pool] - A render pool (see createRenderPool) to render in worker threads
+ * @returns {http.Server}
+ */
+function createServer(options = {}) {
+    if (!options || typeof options !== 'object') {
+        throw new ValidationError('Server options must be an object.');
+    }
+    const { secret, limits = {}, routes: routeOptions = {}, cache = {}, pool } = options;
+    if (secret !== undefined && (typeof secret !== 'string' || secret === '')) {
+        throw new ValidationError('Server secret must be a non-empty string.');
+    }
+    validateLimits(limits, 'Limits');
+    if (!routeOptions || typeof routeOptions !== 'object') {
+        throw new ValidationError('Routes must be an object.');
+    }
+    Object.entries(routeOptions).forEach(([type, route]) => {
+        if (!Object.prototype.hasOwnProperty.call(routes, type)) {
+            throw new ValidationError(`Unknown route "${type}". Expected one of: ${Object.keys(routes).join(', ')}`);
+        }
+        if (typeof route !== 'boolean') validateLimits(route, `Route ${type} limits`);
+    });
+    if (cache !== false && (!cache || typeof cache !== 'object')) {
+        throw new ValidationError('Cache options must be an object, or false.');
+    }
+    if (pool !== undefined && (!pool || typeof pool.generateRankCard !== 'function')) {
+        throw new ValidationError('Pool must be a render pool from createRenderPool.');
+    }
+
+    // Enabled routes with their limits and the number of renders in progress
+    const enabled = {};
+    Object.keys(routes).forEach(type => {
+        const route = routeOptions[type];
+        if (route === false) return;
+        enabled[type] = { limits: { ...defaultLimits, ...limits, ...(typeof route === 'object' ? route : {}) }, active: 0 };
+    });
+    const responses = cache === false ? null : createResponseCache({ ...defaultCacheOptions, ...cache });
+    const cacheTtl = Math.floor((cache === false ? 0 : (cache.ttl || defaultCacheOptions.ttl)) / 1000);
+    // Renders in progress by options hash, so identical requests share one render
+    const inFlight = new Map();
+    const startedAt = Date.now();
+
+    const render = async (type, requestOptions) => {
+        const route = enabled[type];
+        const checked = checkRequestOptions(requestOptions, route.limits);
+        const key = crypto.createHash('sha256').update(`${type}\n${stableStringify(checked)}`).digest('hex');
+
+        const cached = responses && responses.get(key);
+        if (cached) return { ...cached, key, cache: 'HIT' };
+        if (inFlight.has(key)) return { ...(await inFlight.get(key)), key, cache: 'HIT' };
+
+        if (route.active >= route.limits.maxConcurrent) {
+            throw httpError(429, 'TOO_MANY_RENDERS', `Too many ${type} renders in progress, try again shortly.`, { 'Retry-After': '1' });
+        }
+        route.active++;
+        const { generate, method } = routes[type];
+        const { timeout } = route.limits;
+        const rendering = pool ? pool[method](checked, { timeout }) : generate(checked);
+        // The slot is held until the render really ends, even after a timeout response
+        rendering.catch(() => {}).then(() => {
+            route.active--;
+        });
+
+        const pending = withTimeout(rendering, timeout).then(result => {
+            const entry = { buffer: result.buffer, mimeType: result.mimeType, warnings: result.warnings, timings: result.timings };
+            if (responses) responses.set(key, entry);
+            return entry;
+        });
+        inFlight.set(key, pending);
+        try {
+            return { ...(await pending), key, cache: 'MISS' };
+        } finally {
+            inFlight.delete(key);
+        }
+    };
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/health') {
+            if (req.method !== 'GET') throw httpError(405, 'METHOD_NOT_ALLOWED', 'Use GET.', { Allow: 'GET' });
+            sendJson(res, 200, {
+                status: 'ok',
+                version,
+                uptime: Math.round((Date.now() - startedAt) / 1000),
+                routes: Object.fromEntries(Object.entries(enabled).map(([type, route]) => [type, { active: route.active }])),
+                cache: responses ? responses.stats() : null,
+                pool: pool ? { size: pool.size, pending: pool.pending } : null
+            });
+            return;
+        }
+
+        const match = /^\/render\/([a-z]+)\/?$/.exec(url.pathname);
+        if (!match || !enabled[match[1]]) {
+            throw httpError(404, 'NOT_FOUND', `No route for ${url.pathname}.`);
+        }
+        const type = match[1];
+        let requestOptions;
+        if (req.method === 'POST') {
+            requestOptions = await readJson(req, enabled[type].limits.maxBodyBytes);
+        } else if (req.method === 'GET') {
+            requestOptions = readSignedOptions(url.searchParams, type, secret);
+        } else {
+            throw httpError(405, 'METHOD_NOT_ALLOWED', 'Use POST, or GET with a signed URL.', { Allow: 'GET, POST' });
+        }
+
+        const result = await render(type, requestOptions);
+        const etag = `"${result.key}"`;
+        const headers = {
+            'Content-Type': result.mimeType,
+            ETag: etag,
+            'Cache-Control': req.method === 'GET' && cacheTtl > 0 ? `public, max-age=${cacheTtl}` : 'no-cache',
+            'X-Cache': result.cache
+        };
+        if (result.warnings.length > 0) {
+            headers['X-Render-Warnings'] = result.warnings.map(warning => warning.code).join(', ');
+        }
+        if (result.timings) {
+            headers['Server-Timing'] = Object.entries(result.timings).map(([name, ms]) => `${name};dur=${ms.toFixed(1)}`).join(', ');
+        }
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { ...headers, 'Content-Length': result.buffer.length });
+        res.end(result.buffer);
+    };
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            const status = statusFor(error);
+            if (status >= 500 && status !== 504) {
+                log.error('Render server request failed', { method: req.method, url: req.url.split('?')[0], error });
+            }
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            // The body may not have been read, so the connection can't be reused
+            if (status === 413) res.setHeader('Connection', 'close');
+            // Unexpected failures aren't described to the client, they are logged above
+            const body = status === 500
+                ? { code: 'RENDER_FAILED', message: 'Rendering failed.' }
+                : { code: error.code, message: error.message };
+            sendJson(res, status, { error: body }, error.headers);
+        });
+    });
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ * @param {object} [headers]
+ */
+function sendJson(res, status, body, headers = {}) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+    res.end(json);
+}
+
+module.exports = {
+    createServer,
+    signRenderURL,
+    httpError,
+    statusFor,
+    readBody,
+    readJson,
+    sendJson
+};
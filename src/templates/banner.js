@@ -0,0 +1,56 @@
+/**
+ * Built-in server banner layout.
+ * Placeholders are filled from the options passed to generateServerBanner,
+ * plus the derived `membersText` value.
+ */
+module.exports = {
+    width: '{width}',
+    height: '{height}',
+    layers: [
+        {
+            id: 'background',
+            type: 'background',
+            image: '{background.image}',
+            color: '{background.color}',
+            gradient: '{background.gradient}',
+            fit: '{background.fit}',
+            position: '{background.position}',
+            fallback: '{background.fallback}',
+            blur: '{background.blur}',
+            opacity: '{background.opacity}'
+        },
+        {
+            id: 'overlay',
+            type: 'shape',
+            if: '{background.overlayColor}',
+            fill: '{background.overlayColor}',
+            opacity: '{background.overlayOpacity}'
+        },
+        {
+            id: 'serverName',
+            type: 'text',
+            rich: { markdown: false },
+            text: '{serverName}',
+            x: '50%',
+            y: '50% - 30',
+            anchor: 'top',
+            maxWidth: '90%',
+            fit: { minSize: 28 },
+            font: { family: '{font}', size: 60, weight: 'bold' },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}', blur: 10, offsetX: 5, offsetY: 5 }
+        },
+        {
+            id: 'members',
+            type: 'text',
+            rich: true,
+            text: '{membersText}',
+            x: '50%',
+            y: '50% + 40',
+            anchor: 'top',
+            font: { family: '{font}', size: 30 },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}', blur: 10, offsetX: 5, offsetY: 5 }
+        }
+    ]
+};
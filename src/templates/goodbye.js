@@ -0,0 +1,91 @@
+/**
+ * Built-in goodbye image layout, the counterpart of the welcome layout.
+ * Placeholders are filled from the options passed to generateGoodbyeImage.
+ */
+module.exports = {
+    width: '{width}',
+    height: '{height}',
+    layers: [
+        {
+            id: 'background',
+            type: 'background',
+            image: '{background.image}',
+            color: '{background.color}',
+            gradient: '{background.gradient}',
+            fit: '{background.fit}',
+            position: '{background.position}',
+            fallback: '{background.fallback}',
+            blur: '{background.blur}',
+            opacity: '{background.opacity}',
+            overlayColor: '{background.overlayColor}',
+            overlayOpacity: '{background.overlayOpacity}'
+        },
+        {
+            id: 'avatar',
+            type: 'avatar',
+            source: '{avatarURL}',
+            size: '{avatarSize}',
+            x: '50%',
+            y: 25,
+            anchor: 'top',
+            filter: '{avatarFilter}',
+            shape: '{avatar.shape}',
+            border: '{avatar.border}',
+            status: '{avatar.status}',
+            frame: '{avatar.frame}',
+            fallback: '{avatar.fallback}'
+        },
+        {
+            id: 'title',
+            type: 'text',
+            text: '{title}',
+            transform: 'uppercase',
+            x: '50%',
+            y: '100% - 142',
+            anchor: 'top',
+            maxWidth: '90%',
+            fit: { minSize: 24 },
+            font: { family: '{font}', size: 42, weight: 'bold' },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}', blur: 8, offsetX: 0, offsetY: 3 }
+        },
+        {
+            id: 'username',
+            type: 'text',
+            text: '{username}',
+            x: '50%',
+            y: '100% - 100',
+            anchor: 'top',
+            maxWidth: '90%',
+            fit: { minSize: 20 },
+            font: { family: '{font}', size: 36, weight: 'bold' },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}', blur: 6, offsetX: 0, offsetY: 0 }
+        },
+        {
+            id: 'message',
+            type: 'text',
+            rich: true,
+            text: '{message}',
+            x: '50%',
+            y: '100% - 60',
+            anchor: 'top',
+            maxWidth: '80%',
+            lineHeight: 30,
+            font: { family: '{font}', size: 24 },
+            color: '{textColor}'
+        },
+        {
+            id: 'memberSince',
+            type: 'text',
+            if: '{memberSince}',
+            text: '{memberSince}',
+            x: '50%',
+            y: '100% - 25',
+            anchor: 'top',
+            font: { family: '{font}', size: 18 },
+            color: '{textColor}',
+            opacity: 0.8
+        }
+    ]
+};
@@ -0,0 +1,15 @@
+const welcome = require('./welcome');
+const goodbye = require('./goodbye');
+const rank = require('./rank');
+const profile = require('./profile');
+const banner = require('./banner');
+const leaderboard = require('./leaderboard');
+
+module.exports = {
+    welcome,
+    goodbye,
+    rank,
+    profile,
+    banner,
+    leaderboard
+};
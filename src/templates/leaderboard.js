@@ -0,0 +1,132 @@
+/**
+ * Built-in leaderboard layout.
+ * Placeholders are filled from the options passed to generateLeaderboard.
+ * Each row's `{item.*}` values come from the prepared `rows` list.
+ */
+module.exports = {
+    width: '{width}',
+    height: '{height}',
+    layers: [
+        {
+            id: 'background',
+            type: 'background',
+            image: '{background.image}',
+            color: '{background.color}',
+            gradient: '{background.gradient}',
+            fit: '{background.fit}',
+            position: '{background.position}',
+            fallback: '{background.fallback}',
+            blur: '{background.blur}',
+            opacity: '{background.opacity}',
+            overlayColor: '{background.overlayColor}',
+            overlayOpacity: '{background.overlayOpacity}'
+        },
+        {
+            id: 'title',
+            type: 'text',
+            text: '{title}',
+            transform: 'uppercase',
+            x: '50%',
+            y: 52,
+            anchor: 'top',
+            maxWidth: '90%',
+            fit: { minSize: 20 },
+            font: { family: '{font}', size: 32, weight: 'bold' },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}' }
+        },
+        {
+            id: 'rows',
+            type: 'repeat',
+            items: '{rows}',
+            x: 20,
+            y: 80,
+            width: '100% - 40',
+            itemHeight: '{rowHeight}',
+            gap: '{rowGap}',
+            layers: [
+                {
+                    type: 'shape',
+                    shape: 'roundRect',
+                    radius: 10,
+                    fill: '{panelColor}',
+                    stroke: '{item.medalColor}',
+                    strokeWidth: 2
+                },
+                {
+                    type: 'shape',
+                    if: '{item.medalColor}',
+                    shape: 'circle',
+                    x: 40,
+                    y: '50%',
+                    width: 40,
+                    height: 40,
+                    anchor: 'center',
+                    fill: '{item.medalColor}'
+                },
+                {
+                    type: 'text',
+                    text: '{item.rankText}',
+                    x: 40,
+                    y: '50% + 7',
+                    anchor: 'top',
+                    font: { family: '{font}', size: 20, weight: 'bold' },
+                    color: '{item.rankColor}'
+                },
+                {
+                    type: 'avatar',
+                    source: '{item.avatarURL}',
+                    size: '{avatarSize}',
+                    x: 80,
+                    y: '50%',
+                    anchor: 'left',
+                    shape: '{item.avatar.shape}',
+                    border: '{item.avatar.border}',
+                    status: '{item.avatar.status}',
+                    frame: '{item.avatar.frame}',
+                    fallback: '{item.avatar.fallback}'
+                },
+                {
+                    type: 'text',
+                    text: '{item.username}',
+                    x: '{avatarSize} + 100',
+                    y: '50% - 6',
+                    maxWidth: '100% - {avatarSize} - 360',
+                    fit: { minSize: 14 },
+                    font: { family: '{font}', size: 20, weight: 'bold' },
+                    color: '{textColor}',
+                    shadow: { enabled: '{shadow}', color: '{shadowColor}' }
+                },
+                {
+                    type: 'text',
+                    text: 'Level {item.level} • {item.xpText}',
+                    x: '100% - 20',
+                    y: '50% - 6',
+                    anchor: 'top-right',
+                    font: { family: '{font}', size: 15 },
+                    color: '{textColor}'
+                },
+                {
+                    type: 'progress',
+                    value: '{item.progress}',
+                    x: '{avatarSize} + 100',
+                    y: '50% + 6',
+                    width: '100% - {avatarSize} - 120',
+                    height: 8,
+                    trackColor: '{progressTrackColor}',
+                    fillColor: '{item.progressColor}'
+                }
+            ]
+        },
+        {
+            id: 'footer',
+            type: 'text',
+            text: '{pageText}',
+            x: '50%',
+            y: '100% - 18',
+            anchor: 'top',
+            font: { family: '{font}', size: 14 },
+            color: '{textColor}'
+        }
+    ]
+};
@@ -0,0 +1,102 @@
+/**
+ * Built-in profile card layout.
+ * Placeholders are filled from the options passed to generateProfileCard.
+ */
+module.exports = {
+    width: '{width}',
+    height: '{height}',
+    layers: [
+        {
+            id: 'background',
+            type: 'background',
+            image: '{background.image}',
+            color: '{background.color}',
+            gradient: '{background.gradient}',
+            fit: '{background.fit}',
+            position: '{background.position}',
+            fallback: '{background.fallback}',
+            blur: '{background.blur}',
+            opacity: '{background.opacity}',
+            overlayColor: '{background.overlayColor}',
+            overlayOpacity: '{background.overlayOpacity}'
+        },
+        {
+            id: 'avatar',
+            type: 'avatar',
+            source: '{avatarURL}',
+            size: '{avatarSize}',
+            x: 30,
+            y: 30,
+            shape: '{avatar.shape}',
+            border: '{avatar.border}',
+            status: '{avatar.status}',
+            frame: '{avatar.frame}',
+            fallback: '{avatar.fallback}'
+        },
+        {
+            id: 'username',
+            type: 'text',
+            text: '{username}',
+            x: '{avatarSize} + 50',
+            y: 60,
+            maxWidth: '100% - {avatarSize} - 80',
+            fit: { minSize: 16 },
+            font: { family: '{font}', size: 30, weight: 'bold' },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}' }
+        },
+        {
+            id: 'bio',
+            type: 'text',
+            rich: true,
+            text: '{bio}',
+            x: '{avatarSize} + 50',
+            y: 100,
+            maxWidth: '100% - {avatarSize} - 80',
+            lineHeight: 25,
+            font: { family: '{font}', size: 18 },
+            color: '{textColor}'
+        },
+        {
+            id: 'statsBox',
+            type: 'shape',
+            if: '{stats}',
+            shape: 'roundRect',
+            radius: 10,
+            x: 30,
+            y: '100% - 110',
+            width: '100% - 60',
+            height: 80,
+            fill: '{panelColor}'
+        },
+        {
+            id: 'stats',
+            type: 'stats',
+            if: '{stats}',
+            items: '{stats}',
+            x: 30,
+            y: '100% - 110',
+            width: '100% - 60',
+            height: 80,
+            color: '{textColor}',
+            nameFont: { family: '{font}', size: 16, weight: 'bold' },
+            valueFont: { family: '{font}', size: 20 },
+            shadow: { enabled: '{shadow}', color: '{shadowColor}' }
+        },
+        {
+            id: 'badges',
+            type: 'badges',
+            if: '{badges}',
+            items: '{badges}',
+            x: '{avatarSize} + 50',
+            y: { below: 'bio', gap: 15 },
+            size: 32,
+            spacing: 8,
+            perRow: 5,
+            labelOffset: 10,
+            rowSpacing: 15,
+            color: '{textColor}',
+            labelFont: { family: '{font}', size: 10 }
+        }
+    ]
+};
@@ -0,0 +1,99 @@
+/**
+ * Built-in rank card layout.
+ * Placeholders are filled from the options passed to generateRankCard,
+ * plus the derived `xpText`, `progress` and `progressText` values.
+ */
+module.exports = {
+    width: '{width}',
+    height: '{height}',
+    layers: [
+        {
+            id: 'background',
+            type: 'background',
+            image: '{background.image}',
+            color: '{background.color}',
+            gradient: '{background.gradient}',
+            fit: '{background.fit}',
+            position: '{background.position}',
+            fallback: '{background.fallback}',
+            blur: '{background.blur}',
+            opacity: '{background.opacity}',
+            overlayColor: '{background.overlayColor}',
+            overlayOpacity: '{background.overlayOpacity}'
+        },
+        {
+            id: 'avatar',
+            type: 'avatar',
+            source: '{avatarURL}',
+            size: '{avatarSize}',
+            x: 30,
+            y: '50%',
+            anchor: 'left',
+            shape: '{avatar.shape}',
+            border: '{avatar.border}',
+            status: '{avatar.status}',
+            frame: '{avatar.frame}',
+            fallback: '{avatar.fallback}'
+        },
+        {
+            id: 'username',
+            type: 'text',
+            text: '{username}',
+            x: '{avatarSize} + 50',
+            y: 50,
+            maxWidth: '100% - {avatarSize} - 220',
+            fit: { minSize: 14 },
+            font: { family: '{font}', size: 25, weight: 'bold' },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}' }
+        },
+        {
+            id: 'rank',
+            type: 'text',
+            text: '#{rank}',
+            x: '{avatarSize} + 50',
+            y: 80,
+            font: { family: '{font}', size: 20 },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}' }
+        },
+        {
+            id: 'level',
+            type: 'text',
+            text: 'Level: {level}',
+            x: '100% - 150',
+            y: 50,
+            font: { family: '{font}', size: 20, weight: 'bold' },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}' }
+        },
+        {
+            id: 'xp',
+            type: 'text',
+            text: '{xpText}',
+            x: '100% - 150',
+            y: 80,
+            font: { family: '{font}', size: 20 },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}' }
+        },
+        {
+            id: 'progress',
+            type: 'progress',
+            value: '{progress}',
+            x: '{avatarSize} + 50',
+            y: '100% - 50',
+            width: '100% - {avatarSize} - 80',
+            height: 20,
+            trackColor: '{progressTrackColor}',
+            fillColor: '{progressColor}',
+            borderColor: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}' },
+            label: {
+                text: '{progressText}',
+                font: { family: '{font}', size: 16, weight: 'bold' },
+                color: '{textColor}'
+            }
+        }
+    ]
+};
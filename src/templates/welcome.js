@@ -0,0 +1,78 @@
+/**
+ * Built-in welcome image layout.
+ * Placeholders are filled from the options passed to generateWelcomeImage.
+ */
+module.exports = {
+    width: '{width}',
+    height: '{height}',
+    layers: [
+        {
+            id: 'background',
+            type: 'background',
+            image: '{background.image}',
+            color: '{background.color}',
+            gradient: '{background.gradient}',
+            fit: '{background.fit}',
+            position: '{background.position}',
+            fallback: '{background.fallback}',
+            blur: '{background.blur}',
+            opacity: '{background.opacity}',
+            overlayColor: '{background.overlayColor}',
+            overlayOpacity: '{background.overlayOpacity}'
+        },
+        {
+            id: 'avatar',
+            type: 'avatar',
+            source: '{avatarURL}',
+            size: '{avatarSize}',
+            x: '50%',
+            y: 80,
+            anchor: 'top',
+            shape: '{avatar.shape}',
+            border: '{avatar.border}',
+            status: '{avatar.status}',
+            frame: '{avatar.frame}',
+            fallback: '{avatar.fallback}'
+        },
+        {
+            id: 'title',
+            type: 'text',
+            text: '{title}',
+            transform: 'uppercase',
+            x: '50%',
+            y: '100% - 120',
+            anchor: 'top',
+            maxWidth: '90%',
+            fit: { minSize: 24 },
+            font: { family: '{font}', size: 42, weight: 'bold' },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}', blur: 8, offsetX: 0, offsetY: 3 }
+        },
+        {
+            id: 'username',
+            type: 'text',
+            text: '{username}',
+            x: '50%',
+            y: '100% - 70',
+            anchor: 'top',
+            maxWidth: '90%',
+            fit: { minSize: 20 },
+            font: { family: '{font}', size: 36, weight: 'bold' },
+            color: '{textColor}',
+            shadow: { enabled: '{shadow}', color: '{shadowColor}', blur: 6, offsetX: 0, offsetY: 0 }
+        },
+        {
+            id: 'message',
+            type: 'text',
+            rich: true,
+            text: '{message}',
+            x: '50%',
+            y: '100% - 140',
+            anchor: 'bottom',
+            maxWidth: '80%',
+            lineHeight: 34,
+            font: { family: '{font}', size: 28 },
+            color: '{textColor}'
+        }
+    ]
+};
@@ -0,0 +1,149 @@
+const { ValidationError } = require('./errors');
+/**
+ * Theme tokens every generator resolves its style defaults from.
+ * Per-call options always win over the theme.
+ */
+const THEME_TOKENS = [
+    'color',              // Primary color, also the background fallback
+    'textColor',
+    'progressColor',
+    'progressTrackColor',
+    'font',
+    'overlayColor',
+    'overlayOpacity',
+    'shadow',             // Whether text shadows are drawn
+    'shadowColor',
+    'avatarBorderColor',
+    'panelColor'          // Boxes drawn behind content, e.g. profile stats
+];
+
+const defaultTheme = {
+    color: '#7289DA',
+    textColor: '#FFFFFF',
+    progressColor: '#FFFFFF',
+    progressTrackColor: 'rgba(0, 0, 0, 0.5)',
+    font: 'sans-serif',
+    overlayColor: 'rgba(0, 0, 0, 0.5)',
+    overlayOpacity: 0.5,
+    shadow: true,
+    shadowColor: 'rgba(0, 0, 0, 0.5)',
+    avatarBorderColor: '#FFFFFF',
+    panelColor: 'rgba(0, 0, 0, 0.3)'
+};
+
+// Registered themes by name, built-in presets are stored with the defaults filled in
+const themes = new Map([
+    ['default', defaultTheme],
+    ['dark', {
+        ...defaultTheme,
+        color: '#23272A',
+        progressColor: '#5865F2',
+        progressTrackColor: 'rgba(255, 255, 255, 0.1)',
+        overlayColor: 'rgba(0, 0, 0, 0.6)',
+        overlayOpacity: 0.7,
+        avatarBorderColor: '#2C2F33',
+        panelColor: 'rgba(255, 255, 255, 0.06)'
+    }],
+    ['light', {
+        ...defaultTheme,
+        color: '#F2F3F5',
+        textColor: '#2E3338',
+        progressColor: '#5865F2',
+        progressTrackColor: 'rgba(0, 0, 0, 0.1)',
+        overlayColor: 'rgba(255, 255, 255, 0.7)',
+        overlayOpacity: 0.6,
+        shadowColor: 'rgba(0, 0, 0, 0.15)',
+        avatarBorderColor: '#FFFFFF',
+        panelColor: 'rgba(0, 0, 0, 0.06)'
+    }],
+    ['discord-blurple', {
+        ...defaultTheme,
+        color: '#5865F2',
+        progressColor: '#FFFFFF',
+        progressTrackColor: 'rgba(35, 39, 42, 0.4)',
+        overlayColor: 'rgba(88, 101, 242, 0.6)',
+        overlayOpacity: 0.5,
+        avatarBorderColor: '#FFFFFF',
+        panelColor: 'rgba(35, 39, 42, 0.3)'
+    }],
+    ['neon', {
+        ...defaultTheme,
+        color: '#0D0221',
+        textColor: '#F8F8FF',
+        progressColor: '#39FF14',
+        progressTrackColor: 'rgba(57, 255, 20, 0.15)',
+        overlayColor: 'rgba(13, 2, 33, 0.7)',
+        overlayOpacity: 0.6,
+        shadowColor: 'rgba(255, 0, 255, 0.8)',
+        avatarBorderColor: '#FF00FF',
+        panelColor: 'rgba(255, 0, 255, 0.12)'
+    }]
+]);
+
+/**
+ * Check theme tokens for typos and build a full theme on top of a base theme
+ * @param {object} tokens
+ * @param {object} base
+ * @returns {object}
+ */
+function buildTheme(tokens, base) {
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+        throw new ValidationError('Theme tokens must be an object.');
+    }
+
+    const values = { ...tokens };
+    delete values.extends;
+    const unknown = Object.keys(values).filter(token => !THEME_TOKENS.includes(token));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown theme token(s): ${unknown.join(', ')}. Expected any of: ${THEME_TOKENS.join(', ')}`);
+    }
+
+    return { ...base, ...values };
+}
+
+/**
+ * Register a named theme. Missing tokens come from the theme named in `tokens.extends`,
+ * or from the default theme.
+ * @param {string} name - Theme name, registering an existing name replaces it
+ * @param {object} tokens - Theme tokens, see THEME_TOKENS
+ * @param {string} [tokens.extends="default"] - Theme to inherit missing tokens from
+ */
+function registerTheme(name, tokens) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new ValidationError('Theme name must be a non-empty string.');
+    }
+    const base = getTheme((tokens && tokens.extends) || 'default');
+    themes.set(name, buildTheme(tokens, base));
+}
+
+/**
+ * Get a copy of a registered theme
+ * @param {string} name
+ * @returns {object}
+ */
+function getTheme(name) {
+    const theme = themes.get(name);
+    if (!theme) {
+        throw new ValidationError(`Theme "${name}" is not registered. Available themes: ${[...themes.keys()].join(', ')}`);
+    }
+    return { ...theme };
+}
+
+/**
+ * Resolve a generator's `theme` option to a full set of tokens
+ * @param {string|object} [theme="default"] - Registered theme name, or inline tokens (may use `extends`)
+ * @returns {object}
+ */
+function resolveTheme(theme = 'default') {
+    if (typeof theme === 'string') {
+        return getTheme(theme);
+    }
+    return buildTheme(theme, getTheme((theme && theme.extends) || 'default'));
+}
+
+module.exports = {
+    THEME_TOKENS,
+    registerTheme,
+    getTheme,
+    resolveTheme
+};
@@ -0,0 +1,68 @@
+/// <reference types="node" />
+// Types for the cwk-gen/utils subpath, the drawing helpers the generators are built on
+import type { Canvas, Image, SKRSContext2D } from '@napi-rs/canvas';
+import type { AvatarShape, FontFamily, Gradient, ImageFit, ImageSource, PresenceStatus, OutputFormat } from './index';
+
+export { createCanvas, loadImage } from '@napi-rs/canvas';
+export { loadFont, registerFonts, registerFontDirectory, registerEmojiSet, clearCache, getCacheStats, FontOptions, FontRegistration, CacheStats } from './index';
+
+export const AVATAR_SHAPES: AvatarShape[];
+export const PRESENCE_COLORS: Record<PresenceStatus, string>;
+export const IMAGE_FIT_MODES: ImageFit[];
+export const OUTPUT_FORMATS: Record<OutputFormat, string | null>;
+
+export interface Box {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+/** Read an image from a URL, a local file or a Buffer, with the configureFetch limits and the image cache */
+export function loadImageBuffer(source: ImageSource, fetchOptions?: object): Promise<Buffer>;
+
+/** Decode image data, rejects with ImageLoadError when it isn't an image */
+export function decodeImage(buffer: Buffer, source?: ImageSource): Promise<Image>;
+
+/** Copy generator options with every image source (avatarURL, background, image, fallback, frame, icon) passed through fn */
+export function mapImageSources<T>(options: T, fn: (source: string) => unknown): T;
+
+/** Cover-fit an image into a size x size canvas clipped to an avatar shape */
+export function clipToShape(image: Image | Canvas, size: number, shape?: AvatarShape): Canvas;
+
+/** Crop image data to an avatar shape, as a PNG */
+export function cropToShape(buffer: Buffer, size: number, shape?: AvatarShape): Promise<Buffer>;
+
+export function cropToCircle(buffer: Buffer, size: number): Promise<Buffer>;
+
+export function drawImageFit(ctx: SKRSContext2D, image: Image | Canvas, box: Box, fit?: ImageFit, position?: string): void;
+
+export function createGradient(ctx: SKRSContext2D, gradient: Gradient, box: Box): CanvasGradient;
+
+export function encodeCanvas(canvas: Canvas, output: { format: Exclude<OutputFormat, 'gif' | 'canvas'>; quality?: number }): Promise<Buffer>;
+
+export function getRegisteredFonts(): Array<{ path: string; family: string; weight?: string; style?: string }>;
+
+export function isFontRegistered(family: string): boolean;
+
+/** Throw ValidationError for an invalid `font` option and warn about families canvas doesn't know */
+export function checkFontFamilies(font: FontFamily | undefined, context: string): void;
+
+/** Break text into lines no wider than maxWidth, joined with newlines */
+export function wrapText(ctx: SKRSContext2D, text: string, maxWidth: number): string;
+
+export function applyTextShadow(ctx: SKRSContext2D, options?: { enabled?: boolean; color?: string; blur?: number; offsetX?: number; offsetY?: number }): void;
+
+/** URL of Discord's default avatar for a user, picked from the user ID, or the username when there is none */
+export function getDefaultAvatarURL(userId: string | undefined, username: string): string;
+
+/** A PNG avatar showing the initials of a name on a color derived from it */
+export function createInitialsAvatar(name: string, size?: number): Buffer;
+
+export function isGifBuffer(buffer: Buffer): boolean;
+
+/** Point an animated Discord avatar URL (a_ hash) at its GIF variant */
+export function toAnimatedAvatarURL(url: string): string;
+
+/** A time span in its two largest units, e.g. "1 year, 2 months" */
+export function formatDuration(ms: number): string;
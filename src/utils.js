@@ -1,37 +1,78 @@
 const fs = require('fs'); // Added fs for fs.existsSync
-const { createCanvas, loadImage, registerFont } = require('@napi-rs/canvas');
-const Jimp = require('jimp');
-const axios = require('axios');
+const { createCanvas, loadImage, GlobalFonts, Path2D } = require('@napi-rs/canvas');
+const GIFEncoder = require('gifencoder');
+const gifFrames = require('gif-frames');
 const path = require('path');
 const createtempFile = require('tmp'); // This was in the restored version
+const { toFontString, parseFontFamilies, GENERIC_FONT_FAMILIES, getAnchor } = require('./layout/units');
+const { getCached, clearImageCache, getImageCacheStats } = require('./cache');
+const { resolveFetchOptions, checkUrl, checkImage, fetchImage } = require('./fetch');
+const { ValidationError, ImageLoadError, ImagePolicyError, FontNotFoundError, RenderError } = require('./errors');
+const { log } = require('./logger');
 
 // Cache for loaded fonts
 const fontCache = new Map();
 // Set to track registered font families by their family name
 const _registeredFontFamilies = new Set();
+// Font files registerFontDirectory picks up
+const FONT_FILE_EXTENSIONS = ['.ttf', '.otf', '.ttc', '.woff', '.woff2'];
+// Fonts shipped in assets/fonts, registered when this module loads
+const BUNDLED_FONTS = [
+    { path: path.join(__dirname, '../assets/fonts/SpaceMono-Regular.ttf'), family: 'Space Mono' },
+    { path: path.join(__dirname, '../assets/fonts/SpaceMono-Bold.ttf'), family: 'Space Mono', weight: 'bold' }
+];
+// Frame delay used when a GIF frame doesn't specify one (ms)
+const DEFAULT_GIF_FRAME_DELAY = 100;
 
 /**
- * Load an image from URL or Buffer with enhanced error handling
+ * Whether an image source is an http(s) URL, which is fetched, rather than a file path.
+ * The scheme is matched case-insensitively, like URL parsing does.
+ * @param {string} source
+ * @returns {boolean}
+ */
+function isHttpURL(source) {
+    return /^https?:\/\//i.test(source);
+}
+
+/**
+ * Image cache key for a URL. Images fetched under host rules or with private addresses allowed are
+ * kept apart from each other, so an image one caller was allowed to fetch (a redirect to another host,
+ * a host name resolving to a private address) isn't served from the cache to a stricter caller.
+ * @param {string} url
+ * @param {object} limits - Resolved fetch options
+ * @returns {string}
+ */
+function imageCacheKey(url, { allowPrivateAddresses, allowedHosts, blockedHosts }) {
+    if (!allowPrivateAddresses && !allowedHosts && blockedHosts.length === 0) return url;
+    return `${url} ${JSON.stringify({ allowPrivateAddresses, allowedHosts, blockedHosts })}`;
+}
+
+/**
+ * Load an image from URL or Buffer with enhanced error handling.
+ * Remote images go through the image cache (see configureCache) and every source is checked
+ * against the fetch limits (see configureFetch). Decoding is left to decodeImage, so it happens once.
  * @param {string|Buffer} source
+ * @param {object} [fetchOptions] - Per-call overrides of the configureFetch limits
  * @returns {Promise<Buffer>}
  */
-async function loadImageBuffer(source) {
+async function loadImageBuffer(source, fetchOptions) {
+    const limits = resolveFetchOptions(fetchOptions);
     try {
         if (Buffer.isBuffer(source)) {
-            // Validate buffer contains image data
-            await Jimp.read(source); 
+            checkImage(source, limits);
             return source;
         }
 
         if (typeof source === 'string') {
-            if (source.startsWith('http')) {
-                const response = await axios.get(source, { 
-                    responseType: 'arraybuffer',
-                    timeout: 5000
-                });
-                const buffer = Buffer.from(response.data, 'binary');
-                // Validate downloaded image
-                await Jimp.read(buffer);
+            if (isHttpURL(source)) {
+                // Host rules are checked before the cache so newly blocked hosts aren't served from it
+                checkUrl(source, limits);
+                const buffer = await getCached(imageCacheKey(source, limits), headers => fetchImage(source, headers, fetchOptions));
+                // Cached copies can come from a custom store or predate tighter limits
+                if (buffer.length > limits.maxBytes) {
+                    throw new ImagePolicyError(`Image is larger than ${limits.maxBytes} bytes.`, 'IMAGE_TOO_LARGE', source);
+                }
+                checkImage(buffer, limits, source);
                 return buffer;
             }
 
@@ -39,67 +80,374 @@ async function loadImageBuffer(source) {
             if (!fs.existsSync(source)) {
                 throw new Error(`File not found: ${source}`);
             }
-            const image = await Jimp.read(source);
-            return image.getBufferAsync(Jimp.MIME_PNG);
+            const fileBuffer = await fs.promises.readFile(source);
+            checkImage(fileBuffer, limits, source);
+            return fileBuffer;
         }
 
         throw new Error('Invalid image source type');
     } catch (error) {
-        console.error('Image loading failed:', {
-            sourceType: typeof source,
-            source: source instanceof Buffer ? 'Buffer' : source,
-            error: error.message
+        log.debug('Image loading failed', {
+            source: Buffer.isBuffer(source) ? 'Buffer' : source,
+            error
+        });
+        if (error instanceof ImageLoadError) {
+            throw error;
+        }
+        throw new ImageLoadError(`Failed to load image: ${error.message}`, {
+            source: typeof source === 'string' ? source : undefined,
+            status: error.response ? error.response.status : undefined,
+            cause: error
         });
-        throw new Error(`Failed to load image: ${error.message}`);
     }
 }
 
 /**
- * Optimized circle cropping with cache and better masking
+ * Decode image data into a canvas Image
  * @param {Buffer} buffer
- * @param {number} size
- * @returns {Promise<Buffer>}
+ * @param {string|Buffer} [source] - Where the data came from, for the error
+ * @returns {Promise<Image>}
  */
-async function cropToCircle(buffer, size) {
+async function decodeImage(buffer, source) {
     try {
-        // Reuse mask for same size (improves performance)
-        const maskKey = `circle-mask-${size}`;
-        let mask = maskCache.get(maskKey);
-
-        if (!mask) {
-            mask = new Jimp(size, size, 0x00000000);
-            // Create anti-aliased circle
-            const radius = size / 2;
-            const center = radius;
-            
-            for (let y = 0; y < size; y++) {
-                for (let x = 0; x < size; x++) {
-                    const distance = Math.sqrt(Math.pow(x - center, 2) + Math.pow(y - center, 2));
-                    const alpha = Math.round(Math.max(0, 255 - (Math.max(0, distance - radius + 0.5) * 255)));
-                    mask.setPixelColor(Jimp.rgbaToInt(255, 255, 255, alpha), x, y);
-                }
-            }
-            maskCache.set(maskKey, mask);
+        return await loadImage(buffer);
+    } catch (error) {
+        throw new ImageLoadError(`Failed to decode image: ${error.message}`, {
+            source: typeof source === 'string' ? source : undefined,
+            cause: error
+        });
+    }
+}
+
+// Generator options that hold image sources: avatars, backgrounds and their fallbacks, border images, frames and badge icons
+const IMAGE_OPTION_KEYS = ['avatarURL', 'background', 'image', 'fallback', 'frame', 'icon'];
+
+/**
+ * Copy generator options with every image source string passed through a function,
+ * e.g. to resolve relative paths or to reject local files.
+ * Strings under avatarURL, background, image, fallback, frame and icon keys count as sources,
+ * at any depth, except a background config's other settings such as its color.
+ * @param {*} options
+ * @param {function(string): *} fn - Called with each source, returns its replacement
+ * @returns {*}
+ */
+function mapImageSources(options, fn) {
+    const visit = (value, isSource) => {
+        if (typeof value === 'string') return isSource ? fn(value) : value;
+        if (Array.isArray(value)) return value.map(item => visit(item, isSource));
+        if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+                key,
+                visit(item, IMAGE_OPTION_KEYS.includes(key) && (key !== 'background' || typeof item === 'string'))
+            ]));
         }
+        return value;
+    };
+    return visit(options, false);
+}
+
+// Avatar shapes supported by clipToShape and traceAvatarShape
+const AVATAR_SHAPES = ['circle', 'rounded-square', 'hexagon', 'squircle'];
+// Discord presence colors for the avatar status dot
+const PRESENCE_COLORS = {
+    online: '#23A55A',
+    idle: '#F0B232',
+    dnd: '#F23F43',
+    offline: '#80848E',
+    streaming: '#593695'
+};
+
+// Clip paths for avatar cropping, keyed by shape and size
+const maskCache = new Map();
+
+/**
+ * Add an avatar shape filling the square at (x, y) to a context's current path or a Path2D
+ * @param {CanvasRenderingContext2D|Path2D} path
+ * @param {string} shape - One of AVATAR_SHAPES
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size
+ */
+function addAvatarShape(path, shape, x, y, size) {
+    const r = size / 2;
+    const cx = x + r;
+    const cy = y + r;
+
+    if (shape === 'rounded-square') {
+        path.roundRect(x, y, size, size, size * 0.25);
+    } else if (shape === 'hexagon') {
+        // Pointy top, like Discord's NFT avatars
+        for (let i = 0; i < 6; i++) {
+            const angle = Math.PI / 3 * i - Math.PI / 2;
+            path.lineTo(cx + r * Math.cos(angle), cy + r * Math.sin(angle));
+        }
+        path.closePath();
+    } else if (shape === 'squircle') {
+        // Superellipse |x|^4 + |y|^4 = r^4
+        for (let i = 0; i < 72; i++) {
+            const angle = Math.PI * 2 * i / 72;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            path.lineTo(cx + r * Math.sign(cos) * Math.sqrt(Math.abs(cos)), cy + r * Math.sign(sin) * Math.sqrt(Math.abs(sin)));
+        }
+        path.closePath();
+    } else {
+        path.arc(cx, cy, r, 0, Math.PI * 2);
+    }
+}
+
+/**
+ * Trace an avatar shape filling the square at (x, y)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} shape - One of AVATAR_SHAPES
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size
+ */
+function traceAvatarShape(ctx, shape, x, y, size) {
+    ctx.beginPath();
+    addAvatarShape(ctx, shape, x, y, size);
+}
+
+/**
+ * Clip a decoded image to an avatar shape, scaled to cover a size x size square
+ * @param {Image|Canvas} image
+ * @param {number} size
+ * @param {string} [shape="circle"] - One of AVATAR_SHAPES
+ * @returns {Canvas}
+ */
+function clipToShape(image, size, shape = 'circle') {
+    if (!AVATAR_SHAPES.includes(shape)) {
+        throw new ValidationError(`Unknown avatar shape "${shape}". Expected one of: ${AVATAR_SHAPES.join(', ')}`);
+    }
+
+    // Reuse the clip path for the same shape and size
+    const maskKey = `${shape}-mask-${size}`;
+    let mask = maskCache.get(maskKey);
+    if (!mask) {
+        mask = new Path2D();
+        addAvatarShape(mask, shape, 0, 0, size);
+        maskCache.set(maskKey, mask);
+    }
 
-        const image = await Jimp.read(buffer);
-        return image
-            .cover(size, size) // Maintain aspect ratio
-            .mask(mask.clone()) // Clone cached mask
-            .getBufferAsync(Jimp.MIME_PNG);
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    ctx.clip(mask);
+    drawImageFit(ctx, image, { x: 0, y: 0, width: size, height: size }, 'cover');
+    return canvas;
+}
 
+/**
+ * Crop image data to an avatar shape, scaled to cover a size x size square
+ * @param {Buffer} buffer
+ * @param {number} size
+ * @param {string} [shape="circle"] - One of AVATAR_SHAPES
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+async function cropToShape(buffer, size, shape = 'circle') {
+    try {
+        return await clipToShape(await decodeImage(buffer), size, shape).encode('png');
     } catch (error) {
-        console.error('Circle crop failed:', {
+        log.debug('Avatar crop failed', {
             inputSize: buffer?.length,
             outputSize: size,
-            error: error.message
+            shape,
+            error
         });
-        throw new Error(`Avatar processing failed: ${error.message}`);
+        if (error instanceof ValidationError || error instanceof ImageLoadError) {
+            throw error;
+        }
+        throw new RenderError(`Avatar processing failed: ${error.message}`, { cause: error });
     }
 }
 
-// Mask cache for circle cropping
-const maskCache = new Map();
+/**
+ * Crop an image to a circle
+ * @param {Buffer} buffer
+ * @param {number} size
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+function cropToCircle(buffer, size) {
+    return cropToShape(buffer, size, 'circle');
+}
+
+/**
+ * Check whether a buffer holds GIF image data
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isGifBuffer(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 6 && buffer.toString('ascii', 0, 3) === 'GIF';
+}
+
+/**
+ * Point an animated Discord avatar URL (a_ hash) at its GIF variant
+ * @param {string} url
+ * @returns {string}
+ */
+function toAnimatedAvatarURL(url) {
+    if (typeof url !== 'string') return url;
+    return url.replace(/(\/a_\w+)\.(?:png|jpe?g|webp)(?=$|\?)/i, '$1.gif');
+}
+
+/**
+ * Collect a readable stream into a single Buffer
+ * @param {NodeJS.ReadableStream} stream
+ * @returns {Promise<Buffer>}
+ */
+function streamToBuffer(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Decode every frame of a GIF into PNG buffers
+ * @param {Buffer} buffer - GIF image data
+ * @returns {Promise<Array<{buffer: Buffer, delay: number}>>} Frames with their delay in milliseconds
+ */
+async function loadGifFrames(buffer) {
+    let frames;
+    try {
+        frames = await gifFrames({ url: buffer, frames: 'all', outputType: 'png', cumulative: true });
+    } catch (error) {
+        // Single-frame GIFs are rejected by gif-frames, treat them as stills
+        if (error.message.includes('multi-frame')) {
+            return [{ buffer, delay: 0 }];
+        }
+        throw new Error(`Failed to decode GIF frames: ${error.message}`);
+    }
+
+    return Promise.all(frames.map(async frame => ({
+        buffer: await streamToBuffer(frame.getImage()),
+        // GIF delays are stored in hundredths of a second
+        delay: ((frame.frameInfo && frame.frameInfo.delay) || DEFAULT_GIF_FRAME_DELAY / 10) * 10
+    })));
+}
+
+/**
+ * Load an image source as a list of frames.
+ * Animated GIFs are split into their frames when `animated` is set, anything else is a single frame.
+ * @param {string|Buffer} source
+ * @param {boolean} [animated=false]
+ * @returns {Promise<Array<{buffer: Buffer, delay: number}>>}
+ */
+async function loadImageFrames(source, animated = false) {
+    const buffer = await loadImageBuffer(source);
+    if (!animated || !isGifBuffer(buffer)) {
+        return [{ buffer, delay: 0 }];
+    }
+    return loadGifFrames(buffer);
+}
+
+/**
+ * Line up several frame lists on the timeline of the longest one.
+ * Shorter lists loop, still images repeat on every frame.
+ * @param {...Array<{delay: number}>} frameLists - Frame lists, empty entries are ignored
+ * @returns {Array<{delay: number, frames: Array}>}
+ */
+function buildFrameTimeline(...frameLists) {
+    const lists = frameLists.map(list => (Array.isArray(list) && list.length > 0 ? list : null));
+    const driver = lists.reduce((longest, list) => (list && list.length > longest.length ? list : longest), []);
+    const length = Math.max(driver.length, 1);
+
+    const timeline = [];
+    for (let i = 0; i < length; i++) {
+        timeline.push({
+            delay: (driver[i] && driver[i].delay) || DEFAULT_GIF_FRAME_DELAY,
+            frames: lists.map(list => (list ? list[i % list.length] : null))
+        });
+    }
+    return timeline;
+}
+
+// Output formats by name with their MIME type, "canvas" skips encoding and returns the Canvas itself
+const OUTPUT_FORMATS = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    gif: 'image/gif',
+    canvas: null
+};
+// Encoder quality used when the output doesn't set one
+const DEFAULT_OUTPUT_QUALITY = { jpeg: 90, webp: 90, avif: 80 };
+
+/**
+ * Normalize the `output` option, together with the older `format` option
+ * @param {string|{format: string, quality?: number}} [output] - Format name or {format, quality}
+ * @param {string} [format="png"] - "png", or "gif" for an animated GIF
+ * @returns {{format: string, quality?: number}}
+ */
+function resolveOutputOptions(output, format = 'png') {
+    if (!['png', 'gif'].includes(format)) {
+        throw new ValidationError('Format must be either "png" or "gif".');
+    }
+    if (output === undefined) return { format };
+
+    const config = typeof output === 'string' ? { format: output } : output;
+    if (!config || typeof config !== 'object' || !Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, config.format)) {
+        throw new ValidationError(`Output format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}.`);
+    }
+    if (config.quality !== undefined) {
+        if (!(config.format in DEFAULT_OUTPUT_QUALITY)) {
+            throw new ValidationError(`Output quality only applies to ${Object.keys(DEFAULT_OUTPUT_QUALITY).join(', ')}.`);
+        }
+        if (typeof config.quality !== 'number' || config.quality < 0 || config.quality > 100) {
+            throw new ValidationError('Output quality must be a number between 0 and 100.');
+        }
+    }
+    if (format === 'gif' && config.format !== 'gif') {
+        throw new ValidationError('Format "gif" can\'t be combined with a different output format.');
+    }
+    return { format: config.format, quality: config.quality };
+}
+
+/**
+ * Encode a canvas in an output format, off the main thread
+ * @param {Canvas} canvas
+ * @param {{format: string, quality?: number}} output - See resolveOutputOptions, not "gif" or "canvas"
+ * @returns {Promise<Buffer>}
+ */
+function encodeCanvas(canvas, { format, quality = DEFAULT_OUTPUT_QUALITY[format] }) {
+    if (format === 'png') return canvas.encode('png');
+    if (format === 'avif') return canvas.encode('avif', { quality });
+    return canvas.encode(format, quality);
+}
+
+/**
+ * Render a timeline of frames into an animated GIF
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{delay: number}>} timeline - Frame list, see buildFrameTimeline
+ * @param {(ctx: CanvasRenderingContext2D, frame: object, index: number) => (void|Promise<void>)} drawFrame
+ * @returns {Promise<Buffer>}
+ */
+async function encodeGif(width, height, timeline, drawFrame) {
+    const encoder = new GIFEncoder(width, height);
+    encoder.start();
+    encoder.setRepeat(0); // Loop forever
+    encoder.setQuality(10);
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    for (let i = 0; i < timeline.length; i++) {
+        ctx.save();
+        ctx.clearRect(0, 0, width, height);
+        await drawFrame(ctx, timeline[i], i);
+        ctx.restore();
+
+        encoder.setDelay(timeline[i].delay);
+        encoder.addFrame(ctx);
+    }
+
+    encoder.finish();
+    return encoder.out.getData();
+}
 
 /**
  * Enhanced font loader with cache
@@ -110,25 +458,27 @@ function loadFont(fontPath, options) {
     try {
         const resolvedPath = path.resolve(fontPath);
         if (!fs.existsSync(resolvedPath)) {
-            throw new Error(`Font file not found: ${resolvedPath}`);
+            throw new FontNotFoundError(`Font file not found: ${resolvedPath}`, { path: resolvedPath, family: options && options.family });
         }
 
-        const cacheKey = `${resolvedPath}-${options.family}-${options.weight || 'normal'}-${options.style || 'normal'}`;
         // Ensure options.family is a string for Set compatibility and consistency
         if (!options || typeof options.family !== 'string' || options.family.trim() === '') {
-            throw new Error('Font family must be provided in options as a non-empty string.');
+            throw new ValidationError('Font family must be provided in options as a non-empty string.');
         }
 
         const cacheKey = `${resolvedPath}-${options.family}-${options.weight || 'normal'}-${options.style || 'normal'}`;
         if (!fontCache.has(cacheKey)) {
-            registerFont(resolvedPath, options);
-            fontCache.set(cacheKey, true);
+            // Weight and style are read from the font file itself
+            if (!GlobalFonts.registerFromPath(resolvedPath, options.family)) {
+                throw new ValidationError(`Font file could not be loaded: ${resolvedPath}`, { code: 'INVALID_FONT' });
+            }
+            fontCache.set(cacheKey, { path: resolvedPath, family: options.family, weight: options.weight, style: options.style });
             _registeredFontFamilies.add(options.family); // Add family name to the Set
         }
     } catch (error) {
-        console.error('Font loading error:', {
+        log.debug('Font loading failed', {
             path: fontPath,
-            error: error.message
+            error
         });
         throw error;
     }
@@ -140,7 +490,7 @@ function loadFont(fontPath, options) {
  */
 function registerFonts(fonts) {
     if (!Array.isArray(fonts)) {
-        throw new Error('Fonts must be an array');
+        throw new ValidationError('Fonts must be an array');
     }
 
     fonts.forEach(font => {
@@ -151,11 +501,123 @@ function registerFonts(fonts) {
                 style: font.style
             });
         } catch (error) {
-            console.error(`Failed to register font ${font.family}:`, error);
+            log.error(`Failed to register font ${font.family}`, { path: font.path, error });
         }
     });
 }
 
+/**
+ * Fonts registered with loadFont or registerFonts, e.g. to register them again in a worker
+ * @returns {Array<{path: string, family: string, weight?: string, style?: string}>}
+ */
+function getRegisteredFonts() {
+    return [...fontCache.values()];
+}
+
+/**
+ * Check whether a font family was registered with loadFont or registerFonts
+ * @param {string} family
+ * @returns {boolean}
+ */
+function isFontRegistered(family) {
+    return _registeredFontFamilies.has(family);
+}
+
+/**
+ * Read the family name an OpenType or TrueType font stores in its name table
+ * @param {Buffer} buffer
+ * @returns {string|null} Typographic family, else the family, null for other files (e.g. WOFF)
+ */
+function readFontFamily(buffer) {
+    try {
+        // A collection (.ttc) names its fonts the same way, the first one is read
+        const font = buffer.toString('latin1', 0, 4) === 'ttcf' ? buffer.readUInt32BE(12) : 0;
+        if (!['\0\x01\0\0', 'OTTO', 'true'].includes(buffer.toString('latin1', font, font + 4))) return null;
+
+        for (let i = 0; i < buffer.readUInt16BE(font + 4); i++) {
+            const record = font + 12 + i * 16;
+            if (buffer.toString('latin1', record, record + 4) !== 'name') continue;
+            const table = buffer.readUInt32BE(record + 8);
+            const strings = table + buffer.readUInt16BE(table + 4);
+            const names = {};
+            for (let j = 0; j < buffer.readUInt16BE(table + 2); j++) {
+                const entry = table + 6 + j * 12;
+                const platform = buffer.readUInt16BE(entry);
+                const nameId = buffer.readUInt16BE(entry + 6);
+                const start = strings + buffer.readUInt16BE(entry + 10);
+                const bytes = buffer.subarray(start, start + buffer.readUInt16BE(entry + 8));
+                // Unicode and Windows names are UTF-16BE and win over Macintosh ones
+                if ((nameId === 1 || nameId === 16) && platform !== 1) {
+                    names[nameId] = Buffer.from(bytes).swap16().toString('utf16le');
+                } else if ((nameId === 1 || nameId === 16) && platform === 1 && !names[nameId]) {
+                    names[nameId] = bytes.toString('latin1');
+                }
+            }
+            return names[16] || names[1] || null;
+        }
+    } catch (error) {
+        log.debug('Font name table could not be read', { error });
+    }
+    return null;
+}
+
+/**
+ * Register every font file (.ttf, .otf, .ttc, .woff, .woff2) in a directory. Each font is registered under the
+ * family name stored in it, or for fonts without a readable name under its file name up to the first "-",
+ * so Poppins-Bold.woff2 becomes "Poppins". Like registerFonts, fonts that fail are logged and skipped.
+ * @param {string} dir
+ * @param {object} [options]
+ * @param {boolean} [options.recursive=false] - Also register the fonts in subdirectories
+ * @returns {Array<{path: string, family: string}>} The fonts that were registered
+ */
+function registerFontDirectory(dir, options = {}) {
+    if (typeof dir !== 'string' || dir === '') {
+        throw new ValidationError('Font directory must be a non-empty string.');
+    }
+    const resolvedDir = path.resolve(dir);
+    if (!fs.existsSync(resolvedDir) || !fs.statSync(resolvedDir).isDirectory()) {
+        throw new FontNotFoundError(`Font directory not found: ${resolvedDir}`, { path: resolvedDir });
+    }
+
+    const findFonts = current => fs.readdirSync(current, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(current, entry.name);
+        if (entry.isDirectory()) return options.recursive ? findFonts(file) : [];
+        return entry.isFile() && FONT_FILE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [file] : [];
+    });
+
+    const registered = [];
+    for (const file of findFonts(resolvedDir).sort()) {
+        try {
+            const family = readFontFamily(fs.readFileSync(file)) || path.basename(file, path.extname(file)).split('-')[0];
+            loadFont(file, { family });
+            registered.push({ path: file, family });
+        } catch (error) {
+            log.error(`Failed to register font ${path.basename(file)}`, { path: file, error });
+        }
+    }
+    return registered;
+}
+
+/**
+ * Validate a generator's `font` option and warn about families canvas doesn't know, text in those
+ * falls back to the next family of the stack or a system font
+ * @param {string|string[]} font - A family or a fallback stack
+ * @param {string} context - Who is rendering, for the warning, e.g. "generateRankCard for Jane"
+ */
+function checkFontFamilies(font, context) {
+    if (font === undefined) return;
+    const valid = typeof font === 'string'
+        || (Array.isArray(font) && font.length > 0 && font.every(family => typeof family === 'string' && family.trim() !== ''));
+    if (!valid) {
+        throw new ValidationError('Font must be a font family or a non-empty array of font families.');
+    }
+    for (const family of parseFontFamilies(font)) {
+        if (!GENERIC_FONT_FAMILIES.includes(family.toLowerCase()) && !isFontRegistered(family) && !GlobalFonts.has(family)) {
+            log.warn(`Warning (${context}): Font family '${family}' was specified but not found among registered fonts. The system will attempt to use a fallback font, which may affect visual output.`);
+        }
+    }
+}
+
 /**
  * Improved text wrapping with hyphenation support
  * @param {CanvasRenderingContext2D} ctx
@@ -205,6 +667,714 @@ function hyphenateWord(ctx, word, maxWidth) {
     }
     return word; // Return as-is if can't hyphenate
 }
+
+// Custom Discord emoji, e.g. <:cwk:123456789012345678> or <a:party:123456789012345678>
+const CUSTOM_EMOJI = /<(a?):(\w{2,32}):(\d{17,20})>/u;
+// Unicode emoji drawn as images: emoji presentation characters, "️"-qualified pictographs,
+// modifiers, ZWJ sequences, flags and keycaps
+const UNICODE_EMOJI = /(?:\p{Regional_Indicator}{2}|[#*0-9]️?⃣|(?:\p{Emoji_Presentation}|\p{Extended_Pictographic}️)\p{Emoji_Modifier}?(?:‍\p{Extended_Pictographic}️?\p{Emoji_Modifier}?)*)/u;
+const RICH_TEXT_TOKEN = new RegExp(`${CUSTOM_EMOJI.source}|(${UNICODE_EMOJI.source})|(\\*{1,3})`, 'gu');
+// Styles switched by each markdown marker
+const MARKDOWN_STYLES = { '*': ['italic'], '**': ['bold'], '***': ['bold', 'italic'] };
+
+// Where Unicode emoji images come from, see registerEmojiSet
+let emojiSet = 'https://cdn.jsdelivr.net/gh/jdecked/twemoji@15.1.0/assets/72x72/{codepoint}.png';
+// Decoded emoji images by source as {image, bytes}, least recently used first. Failed loads are not kept.
+// Custom emoji ids come from user text, so the decoded size is bounded like the image cache.
+const emojiCache = new Map();
+const EMOJI_CACHE_MAX_BYTES = 32 * 1024 * 1024;
+let emojiCacheBytes = 0;
+
+/**
+ * Drop an emoji image from the cache
+ * @param {string} key
+ */
+function removeEmoji(key) {
+    const entry = emojiCache.get(key);
+    if (entry) {
+        emojiCacheBytes -= entry.bytes;
+        emojiCache.delete(key);
+    }
+}
+
+/**
+ * Empty the emoji image cache
+ */
+function clearEmojiCache() {
+    emojiCache.clear();
+    emojiCacheBytes = 0;
+}
+
+/**
+ * Set the image set Unicode emoji are drawn from.
+ * Defaults to Twemoji on a CDN, point it at a local copy for offline bots.
+ * @param {string|Function|null} source - Path or URL with a {codepoint} placeholder
+ * (e.g. "./emoji/72x72/{codepoint}.png"), a function (emoji, codepoint) => path/URL/Buffer/null,
+ * or null to draw Unicode emoji with the font instead
+ */
+function registerEmojiSet(source) {
+    if (source !== null && typeof source !== 'function' && !(typeof source === 'string' && source.includes('{codepoint}'))) {
+        throw new ValidationError('Emoji set must be a path or URL containing {codepoint}, a function or null.');
+    }
+    emojiSet = source;
+    clearEmojiCache();
+}
+
+/**
+ * Twemoji style file name for an emoji: lowercase hex code points joined by "-",
+ * without the U+FE0F variation selector unless the emoji is a ZWJ sequence
+ * @param {string} emoji
+ * @returns {string}
+ */
+function toEmojiCodepoint(emoji) {
+    const chars = emoji.includes('‍') ? [...emoji] : [...emoji].filter(char => char !== '️');
+    return chars.map(char => char.codePointAt(0).toString(16)).join('-');
+}
+
+/**
+ * Split text into styled runs: text runs with `bold`/`italic` flags from **bold**, *italic* and ***both*** markdown,
+ * and emoji runs with the image `source` to draw. Unclosed markers are kept as text.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.markdown=true] - Whether to parse **bold** and *italic*
+ * @param {boolean} [options.emoji=true] - Whether to turn custom and Unicode emoji into images
+ * @returns {Array<{text: string, bold: boolean, italic: boolean, emoji?: string, source?: (string|Buffer)}>}
+ */
+function parseRichText(text, options = {}) {
+    const { markdown = true, emoji = true } = options;
+    if (!text || typeof text !== 'string') return [];
+
+    // Tokenize first so markers know whether they are ever closed
+    const tokens = [];
+    let last = 0;
+    for (const match of text.matchAll(RICH_TEXT_TOKEN)) {
+        if (match.index > last) tokens.push({ text: text.slice(last, match.index) });
+        if (match[3]) {
+            tokens.push(emoji
+                ? { text: `:${match[2]}:`, emoji: match[0], source: `https://cdn.discordapp.com/emojis/${match[3]}.png` }
+                : { text: match[0] });
+        } else if (match[4]) {
+            const source = emoji && emojiSet
+                ? (typeof emojiSet === 'function' ? emojiSet(match[4], toEmojiCodepoint(match[4])) : emojiSet.replace('{codepoint}', toEmojiCodepoint(match[4])))
+                : null;
+            tokens.push(source ? { text: match[4], emoji: match[4], source } : { text: match[4] });
+        } else {
+            tokens.push(markdown ? { marker: match[5] } : { text: match[5] });
+        }
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) tokens.push({ text: text.slice(last) });
+
+    const style = { bold: false, italic: false };
+    const runs = [];
+    tokens.forEach((token, i) => {
+        if (token.marker) {
+            const keys = MARKDOWN_STYLES[token.marker];
+            if (keys.every(key => style[key]) || tokens.slice(i + 1).some(next => next.marker === token.marker)) {
+                const enabled = !keys.every(key => style[key]);
+                keys.forEach(key => { style[key] = enabled; });
+                return;
+            }
+            token = { text: token.marker };
+        }
+
+        const previous = runs[runs.length - 1];
+        if (!token.emoji && previous && !previous.emoji && previous.bold === style.bold && previous.italic === style.italic) {
+            previous.text += token.text;
+        } else {
+            runs.push({ ...token, ...style });
+        }
+    });
+    return runs;
+}
+
+/**
+ * Load the images of emoji runs. Emoji that fail to load turn back into text runs.
+ * @param {Array<object>} runs - Output of parseRichText
+ * @returns {Promise<Array<object>>} Runs with `image` set on emoji runs
+ */
+async function loadRichTextImages(runs) {
+    return Promise.all(runs.map(async run => {
+        if (!run.emoji) return run;
+
+        const key = Buffer.isBuffer(run.source) ? run.source.toString('base64') : run.source;
+        let entry = emojiCache.get(key);
+        if (entry) {
+            emojiCache.delete(key);
+            emojiCache.set(key, entry);
+        } else {
+            entry = { image: loadImageBuffer(run.source).then(buffer => loadImage(buffer)), bytes: 0 };
+            emojiCache.set(key, entry);
+            entry.image.then(image => {
+                if (emojiCache.get(key) !== entry) return;
+                entry.bytes = image.width * image.height * 4;
+                emojiCacheBytes += entry.bytes;
+                for (const oldest of emojiCache.keys()) {
+                    if (emojiCacheBytes <= EMOJI_CACHE_MAX_BYTES) break;
+                    removeEmoji(oldest);
+                }
+            }, () => {});
+        }
+        try {
+            return { ...run, image: await entry.image };
+        } catch (err) {
+            if (emojiCache.get(key) === entry) removeEmoji(key);
+            log.warn(`Failed to load emoji ${run.emoji}, drawing it as text`, { source: run.source, error: err });
+            return { text: run.emoji.startsWith('<') ? run.text : run.emoji, bold: run.bold, italic: run.italic };
+        }
+    }));
+}
+
+/**
+ * Canvas font string for a run, switching weight and style for bold and italic runs
+ * @param {object} font - {family, size, weight, style}
+ * @param {object} run
+ * @returns {string}
+ */
+function runFont(font, run) {
+    return toFontString({
+        ...font,
+        weight: run.bold ? 'bold' : font.weight,
+        style: run.italic ? 'italic' : font.style
+    });
+}
+
+/**
+ * Measure the width of a line of runs. Emoji are as wide as the font size.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<object>} runs
+ * @param {object} font - {family, size, weight, style}
+ * @returns {number}
+ */
+function measureRichText(ctx, runs, font) {
+    return runs.reduce((width, run) => {
+        if (run.image) return width + (font.size || 16);
+        ctx.font = runFont(font, run);
+        return width + ctx.measureText(run.text).width;
+    }, 0);
+}
+
+/**
+ * Break runs into lines no wider than maxWidth, at spaces and newlines.
+ * Works like wrapText, but keeps styles and emoji.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<object>} runs
+ * @param {object} font - {family, size, weight, style}
+ * @param {number} [maxWidth] - Only break at newlines when omitted
+ * @returns {Array<Array<object>>} Lines of runs
+ */
+function wrapRichText(ctx, runs, font, maxWidth) {
+    const lines = [[]];
+    let lineWidth = 0;
+    let space = null;
+    let word = [];
+
+    const placeWord = () => {
+        if (word.length === 0) return;
+        const line = lines[lines.length - 1];
+        const wordWidth = measureRichText(ctx, word, font);
+        const spaceWidth = space && line.length > 0 ? measureRichText(ctx, [space], font) : 0;
+
+        if (line.length > 0 && maxWidth !== undefined && lineWidth + spaceWidth + wordWidth > maxWidth) {
+            lines.push([...word]);
+            lineWidth = wordWidth;
+        } else {
+            if (spaceWidth > 0) line.push(space);
+            line.push(...word);
+            lineWidth += spaceWidth + wordWidth;
+        }
+        space = null;
+        word = [];
+    };
+
+    for (const run of runs) {
+        if (run.image) {
+            word.push(run);
+            continue;
+        }
+        for (const part of run.text.split(/( |\n)/)) {
+            if (part === '') continue;
+            if (part === ' ' || part === '\n') {
+                placeWord();
+                if (part === '\n') {
+                    lines.push([]);
+                    lineWidth = 0;
+                    space = null;
+                } else {
+                    space = { ...run, text: ' ' };
+                }
+            } else {
+                word.push({ ...run, text: part });
+            }
+        }
+    }
+    placeWord();
+
+    return lines;
+}
+
+/**
+ * Draw a line of runs starting at (x, y), with the current fill style and text baseline.
+ * Emoji are drawn at the font size, centered on the text.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<object>} runs
+ * @param {number} x
+ * @param {number} y
+ * @param {object} font - {family, size, weight, style}
+ */
+function drawRichText(ctx, runs, x, y, font) {
+    const size = font.size || 16;
+    let cursor = x;
+    for (const run of runs) {
+        ctx.font = runFont(font, run);
+        if (run.image) {
+            const metrics = ctx.measureText(' ');
+            const middle = y - (metrics.fontBoundingBoxAscent - metrics.fontBoundingBoxDescent) / 2;
+            ctx.drawImage(run.image, cursor, middle - size / 2, size, size);
+            cursor += size;
+        } else {
+            ctx.fillText(run.text, cursor, y);
+            cursor += ctx.measureText(run.text).width;
+        }
+    }
+}
+
+/**
+ * Shorten a line until it fits maxWidth with an ellipsis appended
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string|Array<object>} line - Plain text, or rich text runs
+ * @param {object} font - {family, size, weight, style}
+ * @param {number} maxWidth
+ * @param {string} ellipsis
+ * @returns {string|Array<object>}
+ */
+function truncateLine(ctx, line, font, maxWidth, ellipsis) {
+    if (typeof line === 'string') {
+        ctx.font = toFontString(font);
+        const chars = [...line];
+        while (chars.length > 0 && ctx.measureText(chars.join('').trimEnd() + ellipsis).width > maxWidth) {
+            chars.pop();
+        }
+        return chars.join('').trimEnd() + ellipsis;
+    }
+
+    const runs = line.map(run => ({ ...run }));
+    const withEllipsis = () => {
+        const last = runs[runs.length - 1] || {};
+        return [...runs, { text: ellipsis, bold: Boolean(last.bold), italic: Boolean(last.italic) }];
+    };
+    while (runs.length > 0 && measureRichText(ctx, withEllipsis(), font) > maxWidth) {
+        const last = runs[runs.length - 1];
+        const chars = [...last.text];
+        if (last.image || chars.length <= 1) {
+            runs.pop();
+        } else {
+            last.text = chars.slice(0, -1).join('');
+        }
+    }
+    const last = runs[runs.length - 1];
+    if (last && !last.image) last.text = last.text.trimEnd();
+    return withEllipsis();
+}
+
+/**
+ * Fit text into a box: shrink the font one pixel at a time down to minSize,
+ * then cut the text off with an ellipsis if it still doesn't fit.
+ * Boxes that allow more than one line wrap the text like wrapText (or wrapRichText for runs).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string|Array<object>} text - Plain text, or rich text runs from parseRichText
+ * @param {object} options
+ * @param {number} options.maxWidth - Box width
+ * @param {number} [options.maxHeight] - Box height, decides how many lines fit when maxLines is not set
+ * @param {object} [options.font={}] - Starting font {family, size, weight, style}
+ * @param {number} [options.minSize=10] - Smallest font size to shrink to
+ * @param {number} [options.lineHeight] - Line height at the starting size, scaled with the font (default size * 1.2)
+ * @param {number} [options.maxLines=1] - Maximum number of lines (default: as many as fit maxHeight, or 1)
+ * @param {string} [options.ellipsis="…"] - Appended to cut off text
+ * @returns {{lines: Array<string|Array<object>>, font: object, lineHeight: number, truncated: boolean}}
+ */
+function fitText(ctx, text, options) {
+    const { maxWidth, maxHeight, font = {}, ellipsis = '…' } = options;
+    if (typeof maxWidth !== 'number' || !(maxWidth > 0)) {
+        throw new ValidationError('fitText needs a positive maxWidth.');
+    }
+
+    const rich = Array.isArray(text);
+    const startSize = font.size || 16;
+    const minSize = Math.min(options.minSize || 10, startSize);
+    const startLineHeight = options.lineHeight || Math.round(startSize * 1.2);
+
+    const layoutAt = size => {
+        const sized = { ...font, size };
+        const lineHeight = startLineHeight * size / startSize;
+        const maxLines = options.maxLines
+            || (maxHeight !== undefined ? Math.max(1, Math.floor(maxHeight / lineHeight)) : 1);
+
+        let lines;
+        if (rich) {
+            lines = wrapRichText(ctx, text, sized, maxLines > 1 ? maxWidth : undefined);
+        } else {
+            ctx.font = toFontString(sized);
+            lines = String(text).split('\n')
+                .flatMap(paragraph => (maxLines > 1 ? wrapText(ctx, paragraph, maxWidth).split('\n') : [paragraph]));
+        }
+        const measure = line => {
+            if (rich) return measureRichText(ctx, line, sized);
+            ctx.font = toFontString(sized);
+            return ctx.measureText(line).width;
+        };
+        const fits = lines.length <= maxLines && lines.every(line => measure(line) <= maxWidth);
+
+        return { lines, font: sized, lineHeight, maxLines, fits, measure };
+    };
+
+    let layout = layoutAt(startSize);
+    for (let size = startSize - 1; !layout.fits && size >= minSize; size--) {
+        layout = layoutAt(size);
+    }
+
+    const { font: fitted, lineHeight, maxLines, fits, measure } = layout;
+    if (fits) {
+        return { lines: layout.lines, font: fitted, lineHeight, truncated: false };
+    }
+
+    // Still too big at the minimum size: keep what fits and cut off the last line
+    const lines = layout.lines.slice(0, maxLines);
+    const last = lines.length - 1;
+    if (layout.lines.length > maxLines || measure(lines[last]) > maxWidth) {
+        lines[last] = truncateLine(ctx, lines[last], fitted, maxWidth, ellipsis);
+    }
+    return { lines, font: fitted, lineHeight, truncated: true };
+}
+
+// How background and image layers fit an image into their box
+const IMAGE_FIT_MODES = ['cover', 'contain', 'fill', 'tile'];
+
+/**
+ * Normalize a background option into a full background config.
+ * Drawing order is: color, gradient, then the first of `image` and `fallback` that loads,
+ * with the overlay on top of the image.
+ * @param {string|Buffer|object} [background] - Image URL/Buffer, or a config object:
+ * @param {string|Buffer} [background.image] - Background image
+ * @param {string} [background.color] - Solid fill, shown when there is no image or it fails to load
+ * @param {object} [background.gradient] - Gradient drawn over the color, see createGradient
+ * @param {string} [background.fit="cover"] - "cover", "contain", "fill" (stretch) or "tile"
+ * @param {string} [background.position="center"] - Anchor the image is aligned to when cropped or letterboxed
+ * @param {number} [background.blur=0] - Image blur in pixels
+ * @param {number} [background.opacity=1] - Image opacity
+ * @param {string} [background.overlayColor] - Color drawn over the image
+ * @param {number} [background.overlayOpacity=1] - Overlay opacity
+ * @param {string|Buffer|Array<string|Buffer>} [background.fallback] - Images to try in order when `image` fails to load
+ * @param {object} defaults - Default config values, e.g. the generator's color and the theme overlay
+ * @returns {object} Config with every key set
+ */
+function resolveBackgroundConfig(background, defaults) {
+    const defaultBgConfig = {
+        image: null,
+        color: null,
+        gradient: null,
+        fit: 'cover',
+        position: 'center',
+        blur: 0,
+        opacity: 1,
+        overlayColor: null,
+        overlayOpacity: 1,
+        fallback: [],
+        ...defaults
+    };
+
+    let config = defaultBgConfig;
+    if (typeof background === 'string' || Buffer.isBuffer(background)) {
+        config = { ...defaultBgConfig, image: background };
+    } else if (typeof background === 'object' && background !== null) {
+        config = { ...defaultBgConfig, ...background };
+    } else if (background !== undefined && background !== null) {
+        throw new ValidationError('Background must be an image URL, a Buffer or a config object.');
+    }
+
+    if (!IMAGE_FIT_MODES.includes(config.fit)) {
+        throw new ValidationError(`Background fit must be one of: ${IMAGE_FIT_MODES.join(', ')}.`);
+    }
+    getAnchor(config.position);
+    if (config.gradient) {
+        validateGradient(config.gradient, 'Background gradient');
+    }
+    if (typeof config.opacity !== 'number' || config.opacity < 0 || config.opacity > 1) {
+        throw new ValidationError('Background opacity must be a number between 0 and 1.');
+    }
+
+    const fallback = Array.isArray(config.fallback) ? config.fallback : [config.fallback];
+    return { ...config, fallback: fallback.filter(source => source !== undefined && source !== null) };
+}
+
+/**
+ * Draw an image into a box without distorting it (unless fit is "fill")
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Image} image
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {string} [fit="fill"] - "cover" crops to fill the box, "contain" letterboxes, "fill" stretches, "tile" repeats
+ * @param {string} [position="center"] - Anchor the image is aligned to when cropped or letterboxed
+ */
+function drawImageFit(ctx, image, box, fit = 'fill', position = 'center') {
+    if (fit === 'fill') {
+        ctx.drawImage(image, box.x, box.y, box.width, box.height);
+        return;
+    }
+
+    ctx.save();
+    if (fit === 'tile') {
+        ctx.translate(box.x, box.y);
+        ctx.fillStyle = ctx.createPattern(image, 'repeat');
+        ctx.fillRect(0, 0, box.width, box.height);
+    } else {
+        const scale = (fit === 'contain' ? Math.min : Math.max)(box.width / image.width, box.height / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+        const [ax, ay] = getAnchor(position);
+        ctx.beginPath();
+        ctx.rect(box.x, box.y, box.width, box.height);
+        ctx.clip();
+        ctx.drawImage(image, box.x + (box.width - width) * ax, box.y + (box.height - height) * ay, width, height);
+    }
+    ctx.restore();
+}
+
+/**
+ * Check a gradient spec, see createGradient
+ * @param {object} gradient
+ * @param {string} name - Option name used in error messages
+ */
+function validateGradient(gradient, name) {
+    if (!gradient || typeof gradient !== 'object' || !Array.isArray(gradient.colors) || gradient.colors.length < 2) {
+        throw new ValidationError(`${name} must be an object with a colors array of at least two colors.`);
+    }
+    if (gradient.type !== undefined && !['linear', 'radial', 'conic'].includes(gradient.type)) {
+        throw new ValidationError(`${name} type must be "linear", "radial" or "conic".`);
+    }
+}
+
+/**
+ * Create a canvas gradient spanning a box
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} gradient
+ * @param {string} [gradient.type="linear"] - "linear", "radial" or "conic"
+ * @param {Array<string|{offset: number, color: string}>} gradient.colors - Evenly spaced colors, or explicit stops (offset 0..1)
+ * @param {number} [gradient.angle=0] - Degrees, 0 runs left to right and 90 top to bottom (conic: where the first color starts)
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @returns {CanvasGradient}
+ */
+function createGradient(ctx, gradient, box) {
+    const { type = 'linear', colors, angle = 0 } = gradient;
+    const cx = box.x + box.width / 2;
+    const cy = box.y + box.height / 2;
+    const radians = angle * Math.PI / 180;
+
+    let canvasGradient;
+    if (type === 'radial') {
+        canvasGradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, Math.hypot(box.width, box.height) / 2);
+    } else if (type === 'conic') {
+        canvasGradient = ctx.createConicGradient(radians, cx, cy);
+    } else {
+        // Long enough for the gradient line to reach the box corners, like CSS
+        const half = (Math.abs(box.width * Math.cos(radians)) + Math.abs(box.height * Math.sin(radians))) / 2;
+        const dx = Math.cos(radians) * half;
+        const dy = Math.sin(radians) * half;
+        canvasGradient = ctx.createLinearGradient(cx - dx, cy - dy, cx + dx, cy + dy);
+    }
+
+    colors.forEach((stop, i) => {
+        if (typeof stop === 'string') {
+            canvasGradient.addColorStop(i / (colors.length - 1), stop);
+        } else {
+            canvasGradient.addColorStop(stop.offset, stop.color);
+        }
+    });
+    return canvasGradient;
+}
+
+/**
+ * Normalize a generator's `avatar` option into a full avatar config
+ * @param {object} [avatar] - {shape, border: {width, color, gradient, image}, status, frame}
+ * @param {object} defaults - {borderWidth, borderColor}
+ * @returns {{shape: string, border: {width: number, color: string, gradient?: object, image?: (string|Buffer)}, status: (string|null), frame: (string|Buffer|null)}}
+ */
+function resolveAvatarOptions(avatar, defaults) {
+    if (avatar !== undefined && (!avatar || typeof avatar !== 'object' || Array.isArray(avatar))) {
+        throw new ValidationError('Avatar options must be an object.');
+    }
+    const { shape = 'circle', border = {}, status = null, frame = null } = avatar || {};
+
+    if (!AVATAR_SHAPES.includes(shape)) {
+        throw new ValidationError(`Avatar shape must be one of: ${AVATAR_SHAPES.join(', ')}.`);
+    }
+    if (status !== null && !(status in PRESENCE_COLORS)) {
+        throw new ValidationError(`Avatar status must be one of: ${Object.keys(PRESENCE_COLORS).join(', ')}.`);
+    }
+    if (!border || typeof border !== 'object') {
+        throw new ValidationError('Avatar border must be an object.');
+    }
+    if (border.width !== undefined && (typeof border.width !== 'number' || border.width < 0)) {
+        throw new ValidationError('Avatar border width must be a non-negative number.');
+    }
+    if (border.gradient !== undefined) {
+        validateGradient(border.gradient, 'Avatar border gradient');
+    }
+
+    return {
+        shape,
+        border: { width: defaults.borderWidth, color: defaults.borderColor, ...border },
+        status,
+        frame
+    };
+}
+
+// Values of the generators' avatarFallback option, besides an image Buffer
+const AVATAR_FALLBACKS = ['default', 'initials'];
+
+/**
+ * Hash a string to a non-negative 32-bit integer (FNV-1a)
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (const char of String(text)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * URL of the Discord default avatar for a user, picked from the user ID like Discord does,
+ * or from the username when there is no ID
+ * @param {string} [userId]
+ * @param {string} username
+ * @returns {string}
+ */
+function getDefaultAvatarURL(userId, username) {
+    const index = userId ? Number((BigInt(userId) >> 22n) % 6n) : hashString(username) % 6;
+    return `https://cdn.discordapp.com/embed/avatars/${index}.png`;
+}
+
+/**
+ * Draw an avatar showing the initials of a name on a color derived from it
+ * @param {string} name
+ * @param {number} [size=256]
+ * @returns {Buffer} PNG image
+ */
+function createInitialsAvatar(name, size = 256) {
+    const words = String(name).split(/[\s_.-]+/).filter(Boolean);
+    const initials = words.slice(0, 2).map(word => Array.from(word)[0]).join('').toUpperCase() || '?';
+
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = `hsl(${hashString(name) % 360}, 55%, 45%)`;
+    ctx.fillRect(0, 0, size, size);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = toFontString({ family: 'sans-serif', weight: 'bold', size: Math.round(size * (initials.length > 1 ? 0.38 : 0.5)) });
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(initials, size / 2, size / 2);
+    return canvas.toBuffer('image/png');
+}
+
+/**
+ * Turn a generator's `avatarFallback` option into the avatar layer's fallback sources, tried in order.
+ * "default" falls back to initials when the Discord CDN can't be reached either.
+ * @param {string|Buffer} [avatarFallback] - "default", "initials" or an image Buffer
+ * @param {{username: string, userId?: string}} user
+ * @returns {Array<string|Buffer|function(): Buffer>}
+ */
+function resolveAvatarFallback(avatarFallback, { username, userId }) {
+    if (userId !== undefined && (typeof userId !== 'string' || !/^\d+$/.test(userId))) {
+        throw new ValidationError('User ID must be a string of digits.');
+    }
+    if (avatarFallback === undefined || avatarFallback === null) return [];
+    if (Buffer.isBuffer(avatarFallback)) return [avatarFallback];
+    if (!AVATAR_FALLBACKS.includes(avatarFallback)) {
+        throw new ValidationError(`Avatar fallback must be a Buffer or one of: ${AVATAR_FALLBACKS.join(', ')}.`);
+    }
+
+    const initials = () => createInitialsAvatar(username);
+    return avatarFallback === 'default' ? [getDefaultAvatarURL(userId, username), initials] : [initials];
+}
+
+// Leaderboard page layout: option defaults, and the fixed header, footer and gap between rows
+const LEADERBOARD_LAYOUT = { perPage: 10, rowHeight: 70, headerHeight: 80, footerHeight: 50, rowGap: 10 };
+
+/**
+ * Height of a leaderboard page, which grows a row per entry
+ * @param {number} rowCount - Entries on the page
+ * @param {number} rowHeight
+ * @returns {number}
+ */
+function leaderboardPageHeight(rowCount, rowHeight) {
+    const { headerHeight, footerHeight, rowGap } = LEADERBOARD_LAYOUT;
+    return headerHeight + rowCount * (rowHeight + rowGap) - rowGap + footerHeight;
+}
+
+/**
+ * Describe a time span in words using its two largest units, e.g. "1 year, 2 months"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const units = [
+        ['year', 365 * 24 * 60 * 60 * 1000],
+        ['month', 30 * 24 * 60 * 60 * 1000],
+        ['day', 24 * 60 * 60 * 1000],
+        ['hour', 60 * 60 * 1000],
+        ['minute', 60 * 1000]
+    ];
+
+    let remaining = Math.max(0, ms);
+    const parts = [];
+    for (const [name, size] of units) {
+        const amount = Math.floor(remaining / size);
+        if (amount > 0) {
+            parts.push(`${amount} ${name}${amount === 1 ? '' : 's'}`);
+            remaining -= amount * size;
+        }
+        // Stop after two units, or at the first gap once we started
+        if (parts.length === 2 || (parts.length > 0 && amount === 0)) break;
+    }
+
+    return parts.length > 0 ? parts.join(', ') : 'less than a minute';
+}
+
+/**
+ * Apply or reset text shadow settings on a context
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true]
+ * @param {string} [options.color="rgba(0, 0, 0, 0.5)"]
+ * @param {number} [options.blur=5]
+ * @param {number} [options.offsetX=2]
+ * @param {number} [options.offsetY=2]
+ */
+function applyTextShadow(ctx, options = {}) {
+    const {
+        enabled = true,
+        color = 'rgba(0, 0, 0, 0.5)',
+        blur = 5,
+        offsetX = 2,
+        offsetY = 2
+    } = options;
+
+    if (!enabled) {
+        ctx.shadowColor = 'transparent';
+        ctx.shadowBlur = 0;
+        ctx.shadowOffsetX = 0;
+        ctx.shadowOffsetY = 0;
+        return;
+    }
+
+    ctx.shadowColor = color;
+    ctx.shadowBlur = blur;
+    ctx.shadowOffsetX = offsetX;
+    ctx.shadowOffsetY = offsetY;
+}
 function ensureTempDir() {
     const tempDir = path.join(os.tmpdir(), 'cwk-gen');
     if (!fs.existsSync(tempDir)) {
@@ -219,18 +1389,81 @@ function createTempFile(extension = '') {
     return path.join(tempDir, `temp_${Date.now()}${extension}`);
 }
 
+/**
+ * Empty the image cache (memory and configured store), the avatar masks and the emoji images
+ * @returns {Promise<void>}
+ */
+async function clearCache() {
+    maskCache.clear();
+    clearEmojiCache();
+    await clearImageCache();
+}
+
+/**
+ * Cache sizes and image cache hit counters
+ * @returns {{images: object, masks: number, emoji: number, emojiBytes: number, fonts: number}}
+ */
+function getCacheStats() {
+    return {
+        images: getImageCacheStats(),
+        masks: maskCache.size,
+        emoji: emojiCache.size,
+        emojiBytes: emojiCacheBytes,
+        fonts: _registeredFontFamilies.size
+    };
+}
+
+registerFonts(BUNDLED_FONTS);
+
 module.exports = {
     loadImageBuffer,
+    isHttpURL,
+    decodeImage,
+    mapImageSources,
     cropToCircle,
+    cropToShape,
+    clipToShape,
+    traceAvatarShape,
+    AVATAR_SHAPES,
+    PRESENCE_COLORS,
     loadFont,
     registerFonts,
+    getRegisteredFonts,
+    isFontRegistered,
+    registerFontDirectory,
+    checkFontFamilies,
     wrapText,
+    parseRichText,
+    loadRichTextImages,
+    wrapRichText,
+    measureRichText,
+    drawRichText,
+    fitText,
+    registerEmojiSet,
+    applyTextShadow,
+    resolveBackgroundConfig,
+    drawImageFit,
+    IMAGE_FIT_MODES,
+    resolveAvatarOptions,
+    resolveAvatarFallback,
+    LEADERBOARD_LAYOUT,
+    leaderboardPageHeight,
+    getDefaultAvatarURL,
+    createInitialsAvatar,
+    validateGradient,
+    createGradient,
+    formatDuration,
+    isGifBuffer,
+    toAnimatedAvatarURL,
+    loadGifFrames,
+    loadImageFrames,
+    buildFrameTimeline,
+    encodeGif,
+    OUTPUT_FORMATS,
+    resolveOutputOptions,
+    encodeCanvas,
     createCanvas,
     loadImage,
-    // Export cache for testing/management
-    _caches: {
-        fontCache,
-        maskCache,
-        _registeredFontFamilies // Added for this subtask
-    }
-};
\ No newline at end of file
+    clearCache,
+    getCacheStats
+};
@@ -0,0 +1,82 @@
+// Render worker for createRenderPool, runs generator jobs posted by the pool
+const { parentPort } = require('worker_threads');
+const { generateWelcomeImage } = require('./generators/welcome');
+const { generateGoodbyeImage } = require('./generators/goodbye');
+const { generateRankCard } = require('./generators/rank');
+const { generateProfileCard } = require('./generators/profile');
+const { generateServerBanner } = require('./generators/banner');
+const { generateLeaderboard } = require('./generators/leaderboard');
+const { registerFonts } = require('./utils');
+const { configureFetch } = require('./fetch');
+const { setLogger } = require('./logger');
+const { serializeError, reviveBuffers } = require('./pool');
+
+const generators = {
+    welcome: generateWelcomeImage,
+    goodbye: generateGoodbyeImage,
+    rank: generateRankCard,
+    profile: generateProfileCard,
+    banner: generateServerBanner,
+    leaderboard: generateLeaderboard
+};
+
+// Fonts this worker has tried to register, by path, family, weight and style
+const knownFonts = new Set();
+
+/**
+ * Send library output to the pool's thread, where it goes to its logger
+ * @param {string} level
+ * @param {string} message
+ * @param {object} [details]
+ */
+function forwardLog(level, message, details) {
+    const posted = details && details.error ? { ...details, error: serializeError(details.error) } : details;
+    try {
+        parentPort.postMessage({ type: 'log', level, message, details: posted });
+    } catch (error) {
+        parentPort.postMessage({ type: 'log', level, message });
+    }
+}
+
+setLogger({
+    error: (message, details) => forwardLog('error', message, details),
+    warn: (message, details) => forwardLog('warn', message, details),
+    debug: (message, details) => forwardLog('debug', message, details)
+});
+
+/**
+ * Register the pool thread's fonts that this worker hasn't seen yet
+ * @param {Array<object>} fonts
+ */
+function syncFonts(fonts) {
+    const added = fonts.filter(font => {
+        const key = JSON.stringify([font.path, font.family, font.weight, font.style]);
+        if (knownFonts.has(key)) return false;
+        knownFonts.add(key);
+        return true;
+    });
+    if (added.length > 0) registerFonts(added);
+}
+
+/**
+ * Only move an image's memory to the pool thread when the Buffer owns all of it,
+ * small Buffers share a pool with other Buffers
+ * @param {Buffer} buffer
+ * @returns {Array<ArrayBuffer>}
+ */
+function transferList(buffer) {
+    if (!buffer || buffer.byteOffset !== 0 || buffer.byteLength !== buffer.buffer.byteLength) return [];
+    return [buffer.buffer];
+}
+
+parentPort.on('message', async ({ id, type, options, fonts, fetchOptions }) => {
+    try {
+        syncFonts(fonts);
+        configureFetch(fetchOptions);
+        const value = await generators[type](reviveBuffers(options));
+        const buffer = Buffer.isBuffer(value) ? value : value.buffer;
+        parentPort.postMessage({ id, value, warnings: value.warnings }, transferList(buffer));
+    } catch (error) {
+        parentPort.postMessage({ id, error: serializeError(error) });
+    }
+});
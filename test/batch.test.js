@@ -0,0 +1,91 @@
+const http = require('http');
+const { createCanvas } = require('@napi-rs/canvas');
+const { renderBatch } = require('../src/batch');
+const { configureCache } = require('../src/cache');
+const { configureFetch } = require('../src/fetch');
+const { clearCache } = require('../src/utils');
+const { ValidationError } = require('../src/errors');
+
+const background = createCanvas(80, 30).toBuffer('image/png');
+
+describe('renderBatch', () => {
+    let server;
+    let baseUrl;
+    let requests = [];
+    let active = 0;
+    let maxActive = 0;
+
+    beforeAll(done => {
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            active++;
+            maxActive = Math.max(maxActive, active);
+            setTimeout(() => {
+                active--;
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                res.end(background);
+            }, 30);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+        // Expire downloads at once, so only the batch can share them
+        configureCache({ ttl: 0 });
+        configureFetch({ allowPrivateAddresses: true });
+    });
+
+    beforeEach(async () => {
+        await clearCache();
+        requests = [];
+        maxActive = 0;
+    });
+
+    afterAll(async () => {
+        configureCache({ ttl: 60 * 60 * 1000 });
+        configureFetch({ allowPrivateAddresses: false });
+        await clearCache();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should return a result per job in job order', async () => {
+        const results = await renderBatch([
+            { id: 'a', type: 'banner', options: { serverName: 'CWK', memberCount: 10, width: 80, height: 30 } },
+            { id: 'b', type: 'rank', options: { username: '' } },
+            { id: 'c', type: 'sparkles', options: {} },
+            { type: 'banner', options: { serverName: 'CWK', memberCount: 11, width: 80, height: 30, output: 'jpeg' } }
+        ]);
+
+        expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'rejected', 'fulfilled']);
+        expect(results.map(result => result.id)).toEqual(['a', 'b', 'c', undefined]);
+        expect(Buffer.isBuffer(results[0].value)).toBe(true);
+        expect(results[1].reason).toBeInstanceOf(ValidationError);
+        expect(results[2].reason.message).toMatch(/Unknown batch job type "sparkles"/);
+        expect(results[3].value[0]).toBe(0xFF);
+    });
+
+    it('should download a background shared by several jobs once', async () => {
+        const options = memberCount => ({ serverName: 'CWK', memberCount, width: 80, height: 30, background: `${baseUrl}/shared.png` });
+        const results = await renderBatch([1, 2, 3, 4, 5].map(n => ({ type: 'banner', options: options(n) })), { concurrency: 2 });
+
+        expect(results.every(result => result.status === 'fulfilled')).toBe(true);
+        expect(requests).toEqual(['/shared.png']);
+    });
+
+    it('should render at most `concurrency` jobs at a time', async () => {
+        const jobs = [1, 2, 3, 4, 5].map(n => ({
+            type: 'banner',
+            options: { serverName: 'CWK', memberCount: n, width: 80, height: 30, background: `${baseUrl}/${n}.png` }
+        }));
+        await renderBatch(jobs, { concurrency: 2 });
+
+        expect(requests).toHaveLength(5);
+        expect(maxActive).toBe(2);
+    });
+
+    it('should validate its arguments', async () => {
+        await expect(renderBatch('rank')).rejects.toThrow(/Jobs must be an array/);
+        await expect(renderBatch([], { concurrency: 0 })).rejects.toThrow(/Concurrency must be a positive integer/);
+        await expect(renderBatch([])).resolves.toEqual([]);
+    });
+});
@@ -0,0 +1,114 @@
+// Rank card latency benchmark: node test/benchmark.js [iterations]
+// Compares the avatar pipeline against the Jimp one it replaced, then times whole rank cards.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const Jimp = require('jimp');
+const { generateRankCard } = require('../src');
+const { clipToShape } = require('../src/utils');
+
+const iterations = Number(process.argv[2]) || 50;
+const size = 100;
+
+/**
+ * A 512x512 noisy PNG, about the weight of a real avatar
+ * @returns {Buffer}
+ */
+function createAvatar() {
+    const canvas = createCanvas(512, 512);
+    const ctx = canvas.getContext('2d');
+    const pixels = ctx.createImageData(512, 512);
+    for (let i = 0; i < pixels.data.length; i += 4) {
+        pixels.data[i] = (i / 4) % 512 / 2;
+        pixels.data[i + 1] = Math.random() * 255;
+        pixels.data[i + 2] = 160;
+        pixels.data[i + 3] = 255;
+    }
+    ctx.putImageData(pixels, 0, 0);
+    return canvas.toBuffer('image/png');
+}
+
+/**
+ * The previous pipeline: validate with Jimp, decode again to cover and mask, encode a PNG and decode it for canvas
+ * @param {Buffer} buffer
+ * @returns {Promise<Image>}
+ */
+async function jimpAvatar(buffer) {
+    await Jimp.read(buffer);
+    const maskCanvas = createCanvas(size, size);
+    const ctx = maskCanvas.getContext('2d');
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, size, size);
+    ctx.beginPath();
+    ctx.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fill();
+    const mask = await Jimp.read(maskCanvas.toBuffer('image/png'));
+    const image = await Jimp.read(buffer);
+    const png = await image.cover(size, size).mask(mask, 0, 0).getBufferAsync(Jimp.MIME_PNG);
+    return loadImage(png);
+}
+
+/**
+ * The current pipeline: decode once and clip on a canvas
+ * @param {Buffer} buffer
+ * @returns {Promise<Canvas>}
+ */
+async function canvasAvatar(buffer) {
+    return clipToShape(await loadImage(buffer), size, 'circle');
+}
+
+/**
+ * Time a function over the iterations
+ * @param {function(): Promise<*>} fn
+ * @returns {Promise<{mean: number, p50: number, p95: number}>} Milliseconds
+ */
+async function measure(fn) {
+    await fn(); // Warm up
+    const times = [];
+    for (let i = 0; i < iterations; i++) {
+        const start = performance.now();
+        await fn();
+        times.push(performance.now() - start);
+    }
+    times.sort((a, b) => a - b);
+    const round = value => Math.round(value * 100) / 100;
+    return {
+        mean: round(times.reduce((sum, time) => sum + time, 0) / times.length),
+        p50: round(times[Math.floor(times.length * 0.5)]),
+        p95: round(times[Math.min(times.length - 1, Math.floor(times.length * 0.95))])
+    };
+}
+
+async function main() {
+    const avatar = createAvatar();
+    // Rank cards load the avatar from a file, so the network doesn't count
+    const avatarPath = path.join(os.tmpdir(), `cwk-gen-benchmark-${process.pid}.png`);
+    fs.writeFileSync(avatarPath, avatar);
+    const renderRankCard = () => generateRankCard({
+        username: 'Benchmark',
+        avatarURL: avatarPath,
+        level: 12,
+        xp: 1250,
+        requiredXp: 2000,
+        rank: 3
+    });
+
+    console.log(`${iterations} iterations, times in ms`);
+    const results = {
+        'avatar (jimp, before)': await measure(() => jimpAvatar(avatar)),
+        'avatar (canvas)': await measure(() => canvasAvatar(avatar)),
+        'rank card': await measure(renderRankCard)
+    };
+    fs.rmSync(avatarPath, { force: true });
+    console.table(results);
+    const speedup = results['avatar (jimp, before)'].mean / results['avatar (canvas)'].mean;
+    console.log(`Avatar pipeline is ${speedup.toFixed(1)}x faster`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    createMemoryStore,
+    createDiskStore,
+    configureCache,
+    getCached,
+    clearImageCache,
+    getImageCacheStats
+} = require('../src/cache');
+const { loadImageBuffer } = require('../src/utils');
+const { createCanvas } = require('@napi-rs/canvas');
+
+const entry = (size, extra = {}) => ({ buffer: Buffer.alloc(size), expires: Date.now() + 1000, ...extra });
+
+describe('Image Cache', () => {
+    describe('createMemoryStore', () => {
+        it('should evict the least recently used entries beyond maxBytes', () => {
+            const store = createMemoryStore({ maxBytes: 30 });
+            store.set('a', entry(10));
+            store.set('b', entry(10));
+            store.set('c', entry(10));
+            store.get('a');
+            store.set('d', entry(10));
+            expect(store.get('b')).toBeUndefined();
+            expect(store.get('a')).toBeDefined();
+            expect(store.bytes).toBe(30);
+        });
+
+        it('should skip entries larger than the whole cache', () => {
+            const store = createMemoryStore({ maxBytes: 5 });
+            store.set('a', entry(10));
+            expect(store.size).toBe(0);
+        });
+    });
+
+    describe('createDiskStore', () => {
+        let directory;
+
+        beforeAll(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cwk-gen-cache-'));
+        });
+
+        afterAll(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('should round-trip entries', async () => {
+            const store = createDiskStore(directory);
+            await store.set('https://example.com/a.png', entry(4, { etag: '"abc"', expires: 123 }));
+            const stored = await store.get('https://example.com/a.png');
+            expect(stored.buffer.length).toBe(4);
+            expect(stored.etag).toBe('"abc"');
+            expect(stored.expires).toBe(123);
+        });
+
+        it('should write through temporary files and ignore bodies that changed', async () => {
+            const store = createDiskStore(directory);
+            await store.set('c', entry(4));
+            expect(fs.readdirSync(directory).filter(file => file.endsWith('.tmp'))).toEqual([]);
+            const body = path.join(directory, `${crypto.createHash('sha1').update('c').digest('hex')}.bin`);
+            fs.writeFileSync(body, Buffer.alloc(8));
+            expect(await store.get('c')).toBeUndefined();
+        });
+
+        it('should delete and clear entries', async () => {
+            const store = createDiskStore(directory);
+            await store.set('a', entry(1));
+            await store.set('b', entry(1));
+            await store.delete('a');
+            expect(await store.get('a')).toBeUndefined();
+            await store.clear();
+            expect(await store.get('b')).toBeUndefined();
+        });
+    });
+
+    describe('getCached', () => {
+        const image = Buffer.from('image');
+
+        beforeEach(async () => {
+            configureCache({ ttl: 60000, maxMemoryBytes: 1024, store: null });
+            await clearImageCache();
+        });
+
+        it('should fetch once and serve repeat requests from memory', async () => {
+            const fetcher = jest.fn(async () => ({ status: 200, buffer: image }));
+            await getCached('a', fetcher);
+            expect(await getCached('a', fetcher)).toBe(image);
+            expect(fetcher).toHaveBeenCalledTimes(1);
+            expect(getImageCacheStats()).toMatchObject({ hits: 1, misses: 1, entries: 1, bytes: image.length });
+        });
+
+        it('should share concurrent fetches of the same key', async () => {
+            const fetcher = jest.fn(async () => ({ status: 200, buffer: image }));
+            await Promise.all([getCached('a', fetcher), getCached('a', fetcher)]);
+            expect(fetcher).toHaveBeenCalledTimes(1);
+        });
+
+        it('should revalidate expired entries with their validators', async () => {
+            configureCache({ ttl: 0 });
+            const fetcher = jest.fn()
+                .mockResolvedValueOnce({ status: 200, buffer: image, etag: '"v1"', lastModified: 'Wed, 20 Mar 2024 00:00:00 GMT' })
+                .mockResolvedValueOnce({ status: 304 });
+            await getCached('a', fetcher);
+            expect(await getCached('a', fetcher)).toBe(image);
+            expect(fetcher).toHaveBeenLastCalledWith({
+                'If-None-Match': '"v1"',
+                'If-Modified-Since': 'Wed, 20 Mar 2024 00:00:00 GMT'
+            });
+            expect(getImageCacheStats().revalidated).toBe(1);
+        });
+
+        it('should fall back to the cached copy when revalidation fails', async () => {
+            configureCache({ ttl: 0 });
+            const fetcher = jest.fn()
+                .mockResolvedValueOnce({ status: 200, buffer: image })
+                .mockRejectedValueOnce(new Error('offline'));
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            await getCached('a', fetcher);
+            expect(await getCached('a', fetcher)).toBe(image);
+            expect(getImageCacheStats().stale).toBe(1);
+            warn.mockRestore();
+        });
+
+        it('should read through custom stores', async () => {
+            const stored = new Map([['a', entry(3)]]);
+            configureCache({
+                store: {
+                    get: async key => stored.get(key),
+                    set: async (key, value) => { stored.set(key, value); },
+                    delete: async key => { stored.delete(key); },
+                    clear: async () => stored.clear()
+                }
+            });
+            const fetcher = jest.fn();
+            expect((await getCached('a', fetcher)).length).toBe(3);
+            expect(fetcher).not.toHaveBeenCalled();
+            expect(getImageCacheStats().store).toBe(true);
+        });
+    });
+
+    describe('loadImageBuffer', () => {
+        afterEach(async () => {
+            configureCache({ store: null });
+            await clearImageCache();
+        });
+
+        it('should check cached images against the current limits', async () => {
+            const stored = new Map([
+                ['https://cdn.example.com/big.png', entry(0, { buffer: createCanvas(200, 200).toBuffer('image/png') })],
+                ['https://cdn.example.com/notes.png', entry(0, { buffer: Buffer.from('not an image') })]
+            ]);
+            configureCache({
+                store: {
+                    get: async key => stored.get(key),
+                    set: async () => {},
+                    delete: async () => {},
+                    clear: async () => {}
+                }
+            });
+            await expect(loadImageBuffer('https://cdn.example.com/big.png')).resolves.toBeInstanceOf(Buffer);
+            await expect(loadImageBuffer('https://cdn.example.com/big.png', { maxPixels: 100 })).rejects.toMatchObject({ code: 'TOO_MANY_PIXELS' });
+            await expect(loadImageBuffer('https://cdn.example.com/big.png', { maxBytes: 10 })).rejects.toMatchObject({ code: 'IMAGE_TOO_LARGE' });
+            await expect(loadImageBuffer('https://cdn.example.com/notes.png')).rejects.toMatchObject({ code: 'UNSUPPORTED_IMAGE_TYPE' });
+        });
+
+        it('should not serve images to callers with a stricter fetch policy', async () => {
+            const image = createCanvas(4, 4).toBuffer('image/png');
+            const server = http.createServer((req, res) => {
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                res.end(image);
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            try {
+                // localhost passes the URL check, the private address is only found when it resolves
+                const url = `http://localhost:${server.address().port}/avatar.png`;
+                await expect(loadImageBuffer(url, { allowPrivateAddresses: true })).resolves.toEqual(image);
+                await expect(loadImageBuffer(url)).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+                await expect(loadImageBuffer(url, { allowPrivateAddresses: true })).resolves.toEqual(image);
+                expect(getImageCacheStats()).toMatchObject({ hits: 1, misses: 1 });
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        it('should fetch URLs whatever the case of their scheme', async () => {
+            const image = createCanvas(4, 4).toBuffer('image/png');
+            const server = http.createServer((req, res) => res.end(image));
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            try {
+                await expect(loadImageBuffer(`HTTP://127.0.0.1:${server.address().port}/a.png`, { allowPrivateAddresses: true })).resolves.toEqual(image);
+                await expect(loadImageBuffer('HTTP://127.0.0.1/a.png')).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+    });
+
+    describe('configureCache', () => {
+        it('should reject invalid options', () => {
+            expect(() => configureCache()).toThrow(TypeError);
+            expect(() => configureCache({ ttl: -1 })).toThrow(TypeError);
+            expect(() => configureCache({ store: { get() {} } })).toThrow(/get, set, delete and clear/);
+            expect(() => configureCache({ directory: 'x', store: null })).toThrow(TypeError);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createCanvas } = require('@napi-rs/canvas');
+const { run, parseArgs } = require('../src/cli');
+const { inspectImage } = require('../src/fetch');
+
+/**
+ * Collect what the CLI writes
+ * @returns {{write: function(*): boolean, text: function(): string, buffer: function(): Buffer}}
+ */
+function createOutput() {
+    const chunks = [];
+    return {
+        write: chunk => chunks.push(Buffer.from(chunk)) > 0,
+        text: () => Buffer.concat(chunks).toString(),
+        buffer: () => Buffer.concat(chunks)
+    };
+}
+
+describe('cwk-gen CLI', () => {
+    let dir;
+    let stdout;
+    let stderr;
+    const cli = argv => run(argv, { stdout, stderr, cwd: dir });
+    const banner = { serverName: 'CWK', memberCount: 12, width: 120, height: 60 };
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwk-gen-cli-'));
+        fs.mkdirSync(path.join(dir, 'cards'));
+        fs.writeFileSync(path.join(dir, 'avatar.png'), createCanvas(32, 32).toBuffer('image/png'));
+        fs.writeFileSync(path.join(dir, 'cards/rank.yaml'), [
+            'username: Jane',
+            'avatarURL: ../avatar.png',
+            'level: 5',
+            'xp: 120',
+            'requiredXp: 500',
+            'rank: 3',
+            'avatar:',
+            '  shape: hexagon',
+            ''
+        ].join('\n'));
+        fs.writeFileSync(path.join(dir, 'cards/server.json'), JSON.stringify({ type: 'banner', options: banner }));
+        fs.writeFileSync(path.join(dir, 'cards/broken.json'), '{ "type": ');
+    });
+
+    beforeEach(() => {
+        stdout = createOutput();
+        stderr = createOutput();
+    });
+
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('should parse flags into CLI flags and generator options', () => {
+        expect(parseArgs(['render', 'rank', '-c', 'card.json', '--out=rank.png', '--level', '5', '--xp', '-1', '--avatar.shape', 'hexagon', '--background.fallback', 'a.png', '--background.fallback', 'b.png', '--no-textShadow', '--username', '007'])).toEqual({
+            positionals: ['render', 'rank'],
+            flags: { config: 'card.json', out: 'rank.png' },
+            options: {
+                level: '5',
+                xp: '-1',
+                avatar: { shape: 'hexagon' },
+                background: { fallback: ['a.png', 'b.png'] },
+                textShadow: false,
+                username: '007'
+            }
+        });
+        expect(() => parseArgs(['--__proto__.polluted', 'yes'])).toThrow(/Invalid option name/);
+        expect(() => parseArgs(['-x'])).toThrow(/Unknown flag "-x"/);
+    });
+
+    it('should only turn options the generator documents as numbers or booleans into them', async () => {
+        const rank = ['render', 'rank', '--username', '2024', '--avatarURL', 'avatar.png', '--level', '5', '--xp', '10', '--requiredXp', '20', '--rank', '1'];
+        expect(await cli([...rank, '--userId', '123456789012345678', '--shadow', 'false', '--avatar.border.width', '4', '--out', 'out/digits.png'])).toBe(0);
+        expect(stderr.text()).toBe('Rendered out/digits.png\n');
+        expect(await cli([...rank.slice(0, -1), 'first', '--out', 'out/digits.png'])).toBe(2);
+        expect(stderr.text()).toMatch(/Rank must be a non-negative number/);
+    });
+
+    it('should render a YAML config, with image paths relative to it', async () => {
+        const code = await cli(['render', 'rank', '--config', 'cards/rank.yaml', '--out', 'out/rank.jpg', '--avatar.border.width', '4']);
+        expect(stderr.text()).toBe('Rendered out/rank.jpg\n');
+        expect(code).toBe(0);
+        expect(inspectImage(fs.readFileSync(path.join(dir, 'out/rank.jpg')))).toEqual({ type: 'image/jpeg', width: 800, height: 200 });
+    });
+
+    it('should render from flags alone, to stdout', async () => {
+        const args = Object.entries(banner).flatMap(([key, value]) => [`--${key}`, String(value)]);
+        expect(await cli(['render', 'banner', ...args, '--format', 'webp', '--quality', '60', '--out', '-'])).toBe(0);
+        expect(inspectImage(stdout.buffer())).toEqual({ type: 'image/webp', width: 120, height: 60 });
+    });
+
+    it('should render a directory of configs, reporting the ones that fail', async () => {
+        const code = await cli(['render', '--config', 'cards', '--out', 'bulk', '--format', 'jpeg', '--concurrency', '2']);
+        expect(code).toBe(1);
+        expect(fs.readdirSync(path.join(dir, 'bulk'))).toEqual(['server.jpg']);
+        expect(stderr.text()).toMatch(/^broken\.json: Can't parse cards\/broken\.json/m);
+        expect(stderr.text()).toMatch(/^rank\.yaml: Config cards\/rank\.yaml doesn't name a type/m);
+        expect(stderr.text()).toMatch(/^1 of 3 rendered$/m);
+
+        // A single config goes into an existing directory too
+        expect(await cli(['render', 'rank', '--config', 'cards/rank.yaml', '--out', 'bulk'])).toBe(0);
+        expect(fs.readdirSync(path.join(dir, 'bulk'))).toEqual(['rank.png', 'server.jpg']);
+    });
+
+    it('should exit with 2 for usage errors', async () => {
+        expect(await cli([])).toBe(2);
+        expect(await cli(['draw', 'rank'])).toBe(2);
+        expect(await cli(['playground', 'rank'])).toBe(2);
+        expect(await cli(['render', '--serverName', 'CWK'])).toBe(2);
+        expect(await cli(['render', 'sparkles', '--config', 'cards/rank.yaml'])).toBe(2);
+        expect(await cli(['render', 'rank', '--config', 'missing.json'])).toBe(2);
+        expect(await cli(['render', 'banner', '--serverName', 'CWK', '--memberCount', '1', '--format', 'canvas'])).toBe(2);
+        expect(stderr.text()).toMatch(/Unknown batch job type "sparkles"/);
+        expect(stderr.text()).toMatch(/Can't find the config missing\.json/);
+        expect(stderr.text()).toMatch(/can't be written to a file/);
+    });
+
+    it('should run as the package bin', () => {
+        const bin = path.join(__dirname, '../bin/cwk-gen.js');
+        const output = execFileSync(process.execPath, [bin, '--version'], { encoding: 'utf8', timeout: 30000 });
+        expect(output.trim()).toBe(require('../package.json').version);
+    });
+});
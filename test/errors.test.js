@@ -0,0 +1,154 @@
+const http = require('http');
+const path = require('path');
+const {
+    generateGoodbyeImage,
+    generateRankCard,
+    generateProfileCard,
+    generateLeaderboard,
+    loadFont,
+    configureFetch,
+    setLogger,
+    ValidationError,
+    ImageLoadError,
+    ImagePolicyError,
+    FontNotFoundError,
+    RenderError
+} = require('../src');
+const { layerTypes } = require('../src/layout/layers');
+
+const rankOptions = { username: 'Jane', avatarURL: 'avatar.png', level: 1, xp: 1, requiredXp: 2, rank: 1 };
+
+describe('Errors and Logging', () => {
+    const logger = { error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+
+    beforeAll(() => {
+        setLogger(logger);
+    });
+
+    afterAll(() => {
+        setLogger({ error: console.error, warn: console.warn });
+    });
+
+    beforeEach(() => {
+        Object.values(logger).forEach(method => method.mockClear());
+    });
+
+    describe('error classes', () => {
+        it('should carry machine-readable codes', () => {
+            expect(new ValidationError('bad')).toBeInstanceOf(TypeError);
+            expect(new ValidationError('bad').code).toBe('INVALID_OPTION');
+            expect(new ImageLoadError('failed', { source: 'a.png', status: 404 })).toMatchObject({ code: 'IMAGE_LOAD_FAILED', source: 'a.png', status: 404 });
+            expect(new ImagePolicyError('blocked', 'HOST_NOT_ALLOWED')).toBeInstanceOf(ImageLoadError);
+            expect(new FontNotFoundError('missing').code).toBe('FONT_NOT_FOUND');
+            const cause = new Error('boom');
+            expect(new RenderError('failed', { cause })).toMatchObject({ code: 'RENDER_FAILED', cause });
+        });
+    });
+
+    describe('generators', () => {
+        it('should throw ValidationError for invalid options', async () => {
+            await expect(generateRankCard({ ...rankOptions, level: -1 })).rejects.toBeInstanceOf(ValidationError);
+            await expect(generateLeaderboard({ entries: [{ ...rankOptions, avatarURL: 'a.png' }], page: 2 }))
+                .rejects.toMatchObject({ name: 'ValidationError', code: 'PAGE_OUT_OF_RANGE' });
+            await expect(generateRankCard({ ...rankOptions, template: 'missing' })).rejects.toMatchObject({ code: 'UNKNOWN_TEMPLATE' });
+            await expect(generateRankCard({ ...rankOptions, font: ['Space Mono', null] })).rejects.toThrow(/array of font families/);
+            await expect(generateProfileCard({ ...rankOptions, stats: { Messages: 5 } })).rejects.toThrow(new ValidationError('Stats must be an array.'));
+            await expect(generateProfileCard({ ...rankOptions, badges: 'early' })).rejects.toThrow(new ValidationError('Badges must be an array.'));
+            const items = [
+                [{ stats: [5] }, 'Stat 0 must be an object with a name.'],
+                [{ stats: [{ name: 'Voice' }] }, 'Stat 0 (Voice) must have a string or number value.'],
+                [{ badges: [null] }, 'Badge 0 must be an object with a name.'],
+                [{ badges: [{ name: 'Early', icon: '' }] }, 'Badge 0 (Early) icon must be an image URL, path or Buffer.']
+            ];
+            for (const [options, message] of items) {
+                await expect(generateProfileCard({ ...rankOptions, ...options })).rejects.toThrow(new ValidationError(message));
+            }
+            for (const joinedAt of [null, true, [2024], {}, '', 'yesterday']) {
+                await expect(generateGoodbyeImage({ ...rankOptions, joinedAt })).rejects.toThrow(new ValidationError('Joined at must be a valid date.'));
+            }
+            await expect(generateGoodbyeImage({ ...rankOptions, leftAt: null })).rejects.toThrow(new ValidationError('Left at must be a valid date.'));
+        });
+
+        it('should render profile stats with number values', async () => {
+            const avatarURL = path.join(__dirname, 'fixtures/avatar.png');
+            const card = await generateProfileCard({ ...rankOptions, avatarURL, stats: [{ name: 'Messages', value: 5120 }], resolveWithObject: true });
+            expect(card).toMatchObject({ width: 600, height: 400, warnings: [] });
+        });
+
+        it('should render cards that leave the username no room', async () => {
+            const avatarURL = path.join(__dirname, 'fixtures/avatar.png');
+            // The username box is 100% - avatarSize - 220 wide, nothing on these cards
+            const narrow = await generateRankCard({ ...rankOptions, avatarURL, width: 300, resolveWithObject: true });
+            expect(narrow).toMatchObject({ width: 300, height: 200, warnings: [] });
+            await expect(generateRankCard({ ...rankOptions, avatarURL, avatarSize: 2000 })).resolves.toBeInstanceOf(Buffer);
+        });
+
+        it('should throw ImageLoadError with the source for avatar failures', async () => {
+            const error = await generateRankCard({ ...rankOptions, avatarURL: '/no/such/avatar.png' }).catch(e => e);
+            expect(error).toBeInstanceOf(ImageLoadError);
+            expect(error).toMatchObject({ code: 'AVATAR_LOAD_FAILED', source: '/no/such/avatar.png' });
+            expect(error.message).toMatch(/Failed to load or process avatar for Jane/);
+        });
+
+        it('should use the avatarFallback instead of failing', async () => {
+            const image = await generateRankCard({ ...rankOptions, avatarURL: '/no/such/avatar.png', avatarFallback: 'initials' });
+            expect(image.warnings).toEqual([expect.objectContaining({ code: 'AVATAR_FALLBACK', source: '/no/such/avatar.png' })]);
+            expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/using a fallback avatar/), expect.any(Object));
+        });
+
+        it('should report the HTTP status of failed downloads', async () => {
+            const server = http.createServer((req, res) => {
+                res.writeHead(404);
+                res.end();
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            configureFetch({ allowPrivateAddresses: true });
+            try {
+                const url = `http://127.0.0.1:${server.address().port}/avatar.png`;
+                await expect(generateRankCard({ ...rankOptions, avatarURL: url })).rejects.toMatchObject({ code: 'AVATAR_LOAD_FAILED', source: url, status: 404 });
+            } finally {
+                configureFetch({ allowPrivateAddresses: false });
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        it('should wrap other failures in RenderError', async () => {
+            const cause = new Error('boom');
+            const draw = jest.spyOn(layerTypes.text, 'draw').mockImplementation(() => {
+                throw cause;
+            });
+            const template = { width: 10, height: 10, layers: [{ type: 'text', text: '{username}' }] };
+            const error = await generateRankCard({ ...rankOptions, template }).catch(e => e);
+            draw.mockRestore();
+            expect(error).toBeInstanceOf(RenderError);
+            expect(error).toMatchObject({ code: 'RENDER_FAILED', cause });
+        });
+    });
+
+    describe('loadFont', () => {
+        it('should throw FontNotFoundError for missing files', () => {
+            expect(() => loadFont('/no/such/font.ttf', { family: 'Missing' })).toThrow(FontNotFoundError);
+            expect(logger.debug).toHaveBeenCalledWith('Font loading failed', expect.objectContaining({ path: '/no/such/font.ttf' }));
+        });
+
+        it('should throw ValidationError for files that are not fonts', () => {
+            expect(() => loadFont(__filename, { family: 'Script' })).toThrow(expect.objectContaining({ code: 'INVALID_FONT' }));
+        });
+    });
+
+    describe('setLogger', () => {
+        it('should route warnings to the logger', async () => {
+            await generateRankCard({ ...rankOptions, font: 'Unregistered', template: { width: 10, height: 10, layers: [] } });
+            expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/Font family 'Unregistered'/));
+
+            logger.warn.mockClear();
+            await generateRankCard({ ...rankOptions, font: ['Space Mono', 'Also Unregistered'], template: { width: 10, height: 10, layers: [] } });
+            expect(logger.warn).toHaveBeenCalledTimes(1);
+            expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/Font family 'Also Unregistered'/));
+        });
+
+        it('should reject loggers without error and warn methods', () => {
+            expect(() => setLogger({ info() {} })).toThrow(ValidationError);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+const pkg = require('../package.json');
+
+const root = path.join(__dirname, '..');
+
+/**
+ * Run a script in a fresh node process from the package root, so 'cwk-gen' resolves through the exports map
+ * @param {string} script
+ * @param {boolean} [module=true] - Run it as an ES module
+ * @returns {*} What the script logged, parsed as JSON
+ */
+function run(script, module = true) {
+    const args = module ? ['--input-type=module', '-e', script] : ['-e', script];
+    return JSON.parse(execFileSync(process.execPath, args, { cwd: root, encoding: 'utf8', stdio: 'pipe', timeout: 30000 }));
+}
+
+describe('package entry points', () => {
+    const subpaths = Object.keys(pkg.exports)
+        .filter(subpath => subpath !== './package.json' && !subpath.startsWith('./src/'))
+        .map(subpath => subpath.replace(/^\./, 'cwk-gen'));
+
+    it('should export the same names from import and require', () => {
+        const script = `
+            import { createRequire } from 'module';
+            const require = createRequire(process.cwd() + '/');
+            const names = {};
+            for (const id of ${JSON.stringify(subpaths)}) {
+                const esm = await import(id);
+                names[id] = {
+                    esm: Object.keys(esm).filter(name => name !== 'default').sort(),
+                    cjs: Object.keys(require(id)).sort()
+                };
+            }
+            console.log(JSON.stringify(names));
+        `;
+        Object.entries(run(script)).forEach(([id, { esm, cjs }]) => {
+            expect({ [id]: esm }).toEqual({ [id]: cjs });
+        });
+    });
+
+    it('should share one module instance between import and require', () => {
+        const script = `
+            import { createRequire } from 'module';
+            import cwkGen, { generateRankCard, RenderError } from 'cwk-gen';
+            import { generateRankCard as rankOnly } from 'cwk-gen/rank';
+            const require = createRequire(process.cwd() + '/');
+            const cjs = require('cwk-gen');
+            console.log(JSON.stringify([
+                cwkGen === cjs,
+                generateRankCard === cjs.generateRankCard,
+                rankOnly === cjs.generateRankCard,
+                new RenderError('x') instanceof cjs.RenderError
+            ]));
+        `;
+        expect(run(script)).toEqual([true, true, true, true]);
+    });
+
+    it('should not load the other generators from a subpath', () => {
+        const script = `
+            require('cwk-gen/rank');
+            console.log(JSON.stringify(Object.keys(require.cache).filter(file => file.includes('generators'))));
+        `;
+        const loaded = run(script, false).map(file => path.basename(file));
+        expect(loaded).toEqual(['rank.js']);
+    });
+
+    it('should keep resolving deep imports of src', () => {
+        const script = `
+            const utils = require('cwk-gen/utils');
+            console.log(JSON.stringify([require('cwk-gen/src/utils') === utils, require('cwk-gen/src/utils.js') === utils]));
+        `;
+        expect(run(script, false)).toEqual([true, true]);
+    });
+});
@@ -0,0 +1,156 @@
+const http = require('http');
+const { createCanvas } = require('@napi-rs/canvas');
+const { checkUrl, checkImage, inspectImage, isPrivateAddress, fetchImage } = require('../src/fetch');
+const { ImagePolicyError } = require('../src/errors');
+
+const png = (width, height) => createCanvas(width, height).toBuffer('image/png');
+const limits = {
+    timeout: 5000,
+    maxBytes: 1024 * 1024,
+    maxRedirects: 2,
+    allowedHosts: null,
+    blockedHosts: [],
+    allowPrivateAddresses: false,
+    maxPixels: 10000
+};
+
+describe('Image Fetching', () => {
+    describe('isPrivateAddress', () => {
+        it('should flag loopback, private and link-local addresses', () => {
+            ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+                .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+        });
+
+        it('should allow public addresses and host names', () => {
+            ['8.8.8.8', '162.159.128.233', '2606:4700::6810:84e5', 'cdn.discordapp.com']
+                .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+        });
+    });
+
+    describe('checkUrl', () => {
+        const codeOf = (url, options = limits) => {
+            try {
+                checkUrl(url, options);
+                return null;
+            } catch (error) {
+                expect(error).toBeInstanceOf(ImagePolicyError);
+                return error.code;
+            }
+        };
+
+        it('should reject non-http URLs and private IP literals', () => {
+            expect(codeOf('file:///etc/passwd')).toBe('INVALID_URL');
+            expect(codeOf('not a url')).toBe('INVALID_URL');
+            expect(codeOf('http://127.0.0.1/a.png')).toBe('PRIVATE_ADDRESS');
+            expect(codeOf('http://[::1]/a.png')).toBe('PRIVATE_ADDRESS');
+            expect(codeOf('http://127.0.0.1/a.png', { ...limits, allowPrivateAddresses: true })).toBeNull();
+        });
+
+        it('should apply the host lists', () => {
+            const options = { ...limits, allowedHosts: ['*.discordapp.com', 'i.imgur.com'], blockedHosts: ['media.discordapp.com'] };
+            expect(codeOf('https://cdn.discordapp.com/avatars/1/a.png', options)).toBeNull();
+            expect(codeOf('https://I.IMGUR.com/a.png', options)).toBeNull();
+            expect(codeOf('https://media.discordapp.com/a.png', options)).toBe('HOST_NOT_ALLOWED');
+            expect(codeOf('https://example.com/a.png', options)).toBe('HOST_NOT_ALLOWED');
+        });
+    });
+
+    describe('inspectImage', () => {
+        it('should read the type and size from the header', () => {
+            expect(inspectImage(png(30, 20))).toEqual({ type: 'image/png', width: 30, height: 20 });
+            expect(inspectImage(createCanvas(30, 20).toBuffer('image/jpeg'))).toEqual({ type: 'image/jpeg', width: 30, height: 20 });
+            expect(inspectImage(createCanvas(30, 20).toBuffer('image/webp'))).toMatchObject({ type: 'image/webp', width: 30, height: 20 });
+        });
+
+        it('should not recognize other content', () => {
+            expect(inspectImage(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+            expect(inspectImage(Buffer.from('<html></html>'))).toBeNull();
+        });
+    });
+
+    describe('checkImage', () => {
+        it('should reject unsupported types and images over the pixel limit', () => {
+            expect(() => checkImage(Buffer.from('<html><body></body></html>'), limits)).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_IMAGE_TYPE' }));
+            expect(() => checkImage(png(200, 200), limits)).toThrow(expect.objectContaining({ code: 'TOO_MANY_PIXELS' }));
+            expect(checkImage(png(100, 100), limits).type).toBe('image/png');
+        });
+    });
+
+    describe('fetchImage', () => {
+        let server;
+        let base;
+        const local = { ...limits, allowPrivateAddresses: true };
+
+        beforeAll(done => {
+            server = http.createServer((req, res) => {
+                if (req.url === '/image.png') {
+                    res.writeHead(200, { 'Content-Type': 'image/png', ETag: '"v1"' });
+                    return res.end(png(10, 10));
+                }
+                if (req.url === '/large.png') {
+                    res.writeHead(200, { 'Content-Type': 'image/png' });
+                    return res.end(Buffer.concat([png(10, 10), Buffer.alloc(2 * 1024 * 1024)]));
+                }
+                if (req.url === '/page') {
+                    res.writeHead(200, { 'Content-Type': 'image/png' });
+                    return res.end('<html></html>');
+                }
+                const hops = req.url.match(/^\/redirect\/(\d+)$/);
+                if (hops) {
+                    res.writeHead(302, { Location: Number(hops[1]) > 1 ? `/redirect/${hops[1] - 1}` : '/image.png' });
+                    return res.end();
+                }
+                if (req.url === '/metadata') {
+                    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' });
+                    return res.end();
+                }
+                res.writeHead(404);
+                res.end();
+            });
+            server.listen(0, '127.0.0.1', () => {
+                base = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            server.close(done);
+        });
+
+        it('should download images with their validators', async () => {
+            const result = await fetchImage(`${base}/image.png`, {}, local);
+            expect(result.status).toBe(200);
+            expect(result.etag).toBe('"v1"');
+            expect(inspectImage(result.buffer).width).toBe(10);
+        });
+
+        it('should reject private addresses by default', async () => {
+            await expect(fetchImage(`${base}/image.png`)).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+            await expect(fetchImage(`http://localhost:${server.address().port}/image.png`))
+                .rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+
+            // Not even over a connection a request that allowed them left open
+            const url = `http://localhost:${server.address().port}/image.png`;
+            expect((await fetchImage(url, {}, local)).status).toBe(200);
+            await expect(fetchImage(url)).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+        });
+
+        it('should follow redirects up to the limit', async () => {
+            expect((await fetchImage(`${base}/redirect/2`, {}, local)).status).toBe(200);
+            await expect(fetchImage(`${base}/redirect/3`, {}, local)).rejects.toMatchObject({ code: 'TOO_MANY_REDIRECTS' });
+        });
+
+        it('should check every redirect target', async () => {
+            await expect(fetchImage(`${base}/metadata`, {}, { ...local, blockedHosts: ['169.254.169.254'] }))
+                .rejects.toMatchObject({ code: 'HOST_NOT_ALLOWED' });
+        });
+
+        it('should stop reading responses over maxBytes', async () => {
+            await expect(fetchImage(`${base}/large.png`, {}, local)).rejects.toMatchObject({ code: 'IMAGE_TOO_LARGE' });
+        });
+
+        it('should sniff the content instead of trusting the content type', async () => {
+            await expect(fetchImage(`${base}/page`, {}, local)).rejects.toMatchObject({ code: 'UNSUPPORTED_IMAGE_TYPE' });
+        });
+    });
+});
@@ -0,0 +1,46 @@
+const { registerFormatter, applyFormatters } = require('../src/formatters');
+const { formatText } = require('../src/layout/bindings');
+
+describe('Placeholders', () => {
+    it('should fill variables into text', () => {
+        expect(formatText('Welcome {username} to {server}!', { username: 'Jane', server: 'CWK' })).toBe('Welcome Jane to CWK!');
+        expect(formatText('{missing} left', {})).toBe(' left');
+    });
+
+    it('should write numbers and dates for display', () => {
+        expect(formatText('{memberCount} members', { memberCount: 12345 })).toBe('12,345 members');
+        expect(formatText('since {joinedAt}', { joinedAt: new Date(2024, 2, 20) })).toBe('since Mar 20, 2024');
+    });
+
+    it('should apply the built-in formatters', () => {
+        expect(formatText('{xp:compact}', { xp: 1234 })).toBe('1.2k');
+        expect(formatText('{xp:compact}', { xp: 2500000 })).toBe('2.5m');
+        expect(formatText('{name:upper} {name:lower}', { name: 'Jane' })).toBe('JANE jane');
+        expect(formatText('{joinedAt:date}', { joinedAt: '2023-01-05T12:00:00' })).toBe('Jan 5, 2023');
+    });
+
+    it('should write ordinals', () => {
+        const ordinals = [1, 2, 3, 4, 11, 12, 13, 21, 102, 1233].map(n => formatText('{n:ordinal}', { n }));
+        expect(ordinals).toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '102nd', '1,233rd']);
+    });
+
+    it('should chain formatters left to right', () => {
+        expect(formatText('{xp:compact:upper}', { xp: 1500 })).toBe('1.5K');
+    });
+
+    it('should leave values a formatter does not apply to alone', () => {
+        expect(applyFormatters('n/a', ['compact'])).toBe('n/a');
+        expect(applyFormatters(undefined, ['upper'])).toBeUndefined();
+    });
+
+    it('should reject unknown formatters', () => {
+        expect(() => formatText('{xp:sparkly}', { xp: 1 })).toThrow(/Unknown formatter "sparkly"/);
+    });
+
+    it('should register custom formatters', () => {
+        registerFormatter('stars', value => '★'.repeat(value));
+        expect(formatText('{rating:stars}', { rating: 3 })).toBe('★★★');
+        expect(() => registerFormatter('bad name', () => '')).toThrow(TypeError);
+        expect(() => registerFormatter('nope', 'not a function')).toThrow(TypeError);
+    });
+});
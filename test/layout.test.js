@@ -0,0 +1,170 @@
+const { resolveLength, anchorBox, toFontString } = require('../src/layout/units');
+const { resolveBinding, resolveProps, isConditionMet } = require('../src/layout/bindings');
+const { registerTemplate, getTemplate, validateTemplate, renderTemplate } = require('../src/layout');
+const { resolveOutputOptions } = require('../src/utils');
+const { inspectImage } = require('../src/fetch');
+
+describe('Layout Engine', () => {
+    describe('resolveLength', () => {
+        it('should pass pixel values through', () => {
+            expect(resolveLength(120, 800)).toBe(120);
+            expect(resolveLength('120', 800)).toBe(120);
+        });
+
+        it('should resolve percentages against the reference size', () => {
+            expect(resolveLength('50%', 800)).toBe(400);
+        });
+
+        it('should resolve sums of percentages and pixels', () => {
+            expect(resolveLength('100% - 150', 800)).toBe(650);
+            expect(resolveLength('25% + 10', 400)).toBe(110);
+            expect(resolveLength('100% - 100 - 80', 600)).toBe(420);
+        });
+
+        it('should treat missing values as zero', () => {
+            expect(resolveLength(undefined, 800)).toBe(0);
+        });
+
+        it('should reject invalid lengths', () => {
+            expect(() => resolveLength('wide', 800)).toThrow(TypeError);
+            expect(() => resolveLength({}, 800)).toThrow(TypeError);
+        });
+    });
+
+    describe('anchorBox', () => {
+        it('should place the anchor point on the position', () => {
+            expect(anchorBox(100, 50, 40, 20)).toEqual({ x: 100, y: 50, width: 40, height: 20 });
+            expect(anchorBox(100, 50, 40, 20, 'center')).toEqual({ x: 80, y: 40, width: 40, height: 20 });
+            expect(anchorBox(100, 50, 40, 20, 'bottom-right')).toEqual({ x: 60, y: 30, width: 40, height: 20 });
+        });
+
+        it('should reject unknown anchors', () => {
+            expect(() => anchorBox(0, 0, 10, 10, 'middle')).toThrow(TypeError);
+        });
+    });
+
+    describe('toFontString', () => {
+        it('should build canvas font strings', () => {
+            expect(toFontString({ family: 'Poppins', size: 25, weight: 'bold' })).toBe('bold 25px Poppins');
+            expect(toFontString({ family: 'Poppins', size: 12, style: 'italic' })).toBe('italic 12px Poppins');
+            expect(toFontString()).toBe('16px sans-serif');
+        });
+
+        it('should turn family stacks into CSS family lists', () => {
+            expect(toFontString({ family: ['Poppins', 'Noto Sans JP', 'sans-serif'], size: 20 })).toBe('20px Poppins, "Noto Sans JP", sans-serif');
+            expect(toFontString({ family: "Space Mono, 'Noto Sans'", weight: 'bold' })).toBe('bold 16px "Space Mono", "Noto Sans"');
+            expect(toFontString({ family: [] })).toBe('16px sans-serif');
+        });
+    });
+
+    describe('bindings', () => {
+        const data = { username: 'Jane', avatarSize: 100, background: { image: Buffer.from('x') }, stats: [] };
+
+        it('should keep raw values for single placeholders', () => {
+            expect(resolveBinding('{avatarSize}', data)).toBe(100);
+            expect(resolveBinding('{background.image}', data)).toBe(data.background.image);
+            expect(resolveBinding('{missing}', data)).toBeUndefined();
+        });
+
+        it('should interpolate placeholders inside strings', () => {
+            expect(resolveBinding('Hi {username}!', data)).toBe('Hi Jane!');
+            expect(resolveBinding('100% - {avatarSize} - 80', data)).toBe('100% - 100 - 80');
+            expect(resolveBinding('{missing} left', data)).toBe(' left');
+        });
+
+        it('should apply formatters to placeholders', () => {
+            expect(resolveBinding('{username:upper}', data)).toBe('JANE');
+            expect(resolveBinding('{avatarSize:ordinal} place', data)).toBe('100th place');
+        });
+
+        it('should resolve nested props but not child layers', () => {
+            const layer = {
+                type: 'group',
+                font: { family: 'Arial', size: '{avatarSize}' },
+                layers: [{ type: 'text', text: '{username}' }]
+            };
+            const resolved = resolveProps(layer, data);
+            expect(resolved.font.size).toBe(100);
+            expect(resolved.layers[0].text).toBe('{username}');
+        });
+
+        it('should evaluate if conditions', () => {
+            expect(isConditionMet(undefined)).toBe(true);
+            expect(isConditionMet([])).toBe(false);
+            expect(isConditionMet([1])).toBe(true);
+            expect(isConditionMet('  ')).toBe(false);
+            expect(isConditionMet(false)).toBe(false);
+        });
+    });
+
+    describe('templates', () => {
+        it('should ship the generator templates', () => {
+            ['welcome', 'goodbye', 'rank', 'profile', 'banner', 'leaderboard'].forEach(name => {
+                expect(() => validateTemplate(getTemplate(name))).not.toThrow();
+            });
+        });
+
+        it('should return copies from getTemplate', () => {
+            const template = getTemplate('rank');
+            template.layers.pop();
+            expect(getTemplate('rank').layers.length).toBe(template.layers.length + 1);
+        });
+
+        it('should register custom templates', () => {
+            registerTemplate('minimal', { width: 100, height: 50, layers: [{ type: 'text', text: '{username}' }] });
+            expect(getTemplate('minimal').layers[0].text).toBe('{username}');
+        });
+
+        it('should reject templates with unknown layer types', () => {
+            expect(() => registerTemplate('broken', { layers: [{ type: 'sparkles' }] })).toThrow(/unknown type "sparkles"/);
+            expect(() => registerTemplate('broken', { layers: [{ type: 'group' }] })).toThrow(TypeError);
+            expect(() => registerTemplate('broken', { layers: [{ type: 'repeat', items: [] }] })).toThrow(TypeError);
+            expect(() => getTemplate('broken')).toThrow();
+        });
+    });
+
+    describe('output', () => {
+        const template = { width: 40, height: 20, layers: [{ type: 'shape', fill: '#336699' }] };
+
+        it('should normalize output options', () => {
+            expect(resolveOutputOptions()).toEqual({ format: 'png' });
+            expect(resolveOutputOptions(undefined, 'gif')).toEqual({ format: 'gif' });
+            expect(resolveOutputOptions('webp')).toEqual({ format: 'webp', quality: undefined });
+            expect(resolveOutputOptions({ format: 'jpeg', quality: 70 })).toEqual({ format: 'jpeg', quality: 70 });
+        });
+
+        it('should reject invalid output options', () => {
+            expect(() => resolveOutputOptions('tiff')).toThrow(/Output format must be one of/);
+            expect(() => resolveOutputOptions({ format: 'png', quality: 80 })).toThrow(/only applies to/);
+            expect(() => resolveOutputOptions({ format: 'jpeg', quality: 101 })).toThrow(/between 0 and 100/);
+            expect(() => resolveOutputOptions('jpeg', 'gif')).toThrow(TypeError);
+            expect(() => resolveOutputOptions(undefined, 'jpeg')).toThrow(/"png" or "gif"/);
+        });
+
+        it('should encode the requested format', async () => {
+            const jpeg = await renderTemplate(template, {}, { output: { format: 'jpeg', quality: 60 } });
+            const webp = await renderTemplate(template, {}, { output: 'webp' });
+            expect(inspectImage(jpeg)).toEqual({ type: 'image/jpeg', width: 40, height: 20 });
+            expect(inspectImage(webp)).toEqual({ type: 'image/webp', width: 40, height: 20 });
+            expect(jpeg.warnings).toEqual([]);
+        });
+
+        it('should return the canvas for further drawing', async () => {
+            const canvas = await renderTemplate(template, {}, { output: 'canvas' });
+            expect(canvas.width).toBe(40);
+            expect(Array.from(canvas.getContext('2d').getImageData(0, 0, 1, 1).data)).toEqual([0x33, 0x66, 0x99, 255]);
+            expect(canvas.warnings).toEqual([]);
+        });
+
+        it('should resolve with a result object when asked', async () => {
+            const result = await renderTemplate(template, {}, { output: 'jpeg', resolveWithObject: true });
+            expect(result).toMatchObject({ mimeType: 'image/jpeg', width: 40, height: 20, format: 'jpeg', warnings: [], canvas: null });
+            expect(Buffer.isBuffer(result.buffer)).toBe(true);
+            ['load', 'layout', 'draw', 'encode', 'total'].forEach(stage => {
+                expect(result.timings[stage]).toBeGreaterThanOrEqual(0);
+            });
+            expect(result.timings.total).toBeGreaterThanOrEqual(result.timings.draw);
+            await expect(renderTemplate(template, {}, { resolveWithObject: 'yes' })).rejects.toThrow(/resolveWithObject/);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const { createCanvas } = require('@napi-rs/canvas');
+const { createPlayground } = require('../src/playground');
+const { getSchema, describeOptions } = require('../src/playground/schema');
+const { inspectImage } = require('../src/fetch');
+const { isFontRegistered } = require('../src/utils');
+
+/**
+ * Make a request and collect the JSON or text response
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.method="GET"]
+ * @param {object} [options.headers]
+ * @param {Buffer|object} [options.body] - Objects are sent as JSON
+ * @returns {Promise<{status: number, headers: object, text: string, json: function(): *}>}
+ */
+function request(url, { method = 'GET', headers = {}, body } = {}) {
+    const isJson = body !== undefined && !Buffer.isBuffer(body);
+    const requestHeaders = isJson ? { 'Content-Type': 'application/json', ...headers } : { 'Content-Type': 'application/octet-stream', ...headers };
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method, headers: requestHeaders }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString();
+                resolve({ status: res.statusCode, headers: res.headers, text, json: () => JSON.parse(text) });
+            });
+        });
+        req.on('error', reject);
+        req.end(isJson ? JSON.stringify(body) : body);
+    });
+}
+
+describe('playground schema', () => {
+    it('should read form fields from the generator docs', () => {
+        const fields = Object.fromEntries(describeOptions('welcome').map(field => [field.name, field]));
+        expect(fields.username).toMatchObject({ kind: 'text', required: true });
+        expect(fields.avatarSize).toMatchObject({ kind: 'number', required: false, default: '200' });
+        expect(fields.avatarURL.kind).toBe('image');
+        expect(fields['background.image'].kind).toBe('image');
+        expect(fields['avatar.shape']).toMatchObject({ kind: 'select', choices: expect.arrayContaining(['circle', 'hexagon']) });
+        expect(fields.output.choices).not.toContain('canvas');
+        expect(fields.resolveWithObject).toBeUndefined();
+        expect(fields.background).toBeUndefined();
+    });
+
+    it('should have fields and a sample for every generator', () => {
+        const schema = getSchema();
+        expect(Object.keys(schema)).toEqual(['welcome', 'goodbye', 'rank', 'profile', 'banner', 'leaderboard']);
+        for (const { fields, sample } of Object.values(schema)) {
+            const names = fields.map(field => field.name);
+            expect(fields.filter(field => field.required).map(field => field.name).every(name => name in sample)).toBe(true);
+            expect(Object.keys(sample).every(name => names.includes(name))).toBe(true);
+        }
+        expect(schema.leaderboard.fields.find(field => field.name === 'entries').kind).toBe('json');
+    });
+});
+
+describe('createPlayground', () => {
+    let server;
+    let url;
+    const post = (route, body, headers) => request(`${url}${route}`, { method: 'POST', body, headers });
+
+    beforeAll(async () => {
+        server = createPlayground({ maxUploadBytes: 128 * 1024 });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    it('should serve the page and the schema', async () => {
+        const page = await request(`${url}/`);
+        expect(page.status).toBe(200);
+        expect(page.headers['content-type']).toMatch(/^text\/html/);
+        expect(page.text).toContain('cwk-gen playground');
+        expect((await request(`${url}/schema`)).json()).toEqual(getSchema());
+    });
+
+    it('should render the samples', async () => {
+        const schema = getSchema();
+        const response = await post('/render/rank', schema.rank.sample);
+        expect(response.status).toBe(200);
+        const result = response.json();
+        expect(result).toMatchObject({ mimeType: 'image/png', width: 800, height: 200, warnings: [] });
+        expect(result.timings.total).toEqual(expect.any(Number));
+        const image = Buffer.from(result.image.replace('data:image/png;base64,', ''), 'base64');
+        expect(inspectImage(image)).toEqual({ type: 'image/png', width: 800, height: 200 });
+    });
+
+    it('should render uploaded images', async () => {
+        const canvas = createCanvas(40, 20);
+        canvas.getContext('2d').fillRect(0, 0, 40, 20);
+        const upload = await post('/uploads?name=bg.png', canvas.toBuffer('image/png'));
+        expect(upload.status).toBe(200);
+        const { source, name } = upload.json();
+        expect(name).toBe('bg.png');
+        expect(source).toMatch(/^upload:[0-9a-f]+$/);
+
+        const banner = { serverName: 'CWK', memberCount: 3, width: 200, height: 100, background: { image: source }, output: 'webp' };
+        const response = await post('/render/banner', banner);
+        expect(response.status).toBe(200);
+        expect(response.json()).toMatchObject({ mimeType: 'image/webp', width: 200, height: 100 });
+
+        const gone = await post('/render/banner', { ...banner, background: { image: 'upload:123' } });
+        expect(gone.status).toBe(400);
+        expect(gone.json().error.message).toMatch(/upload:123 is gone/);
+    });
+
+    it('should register uploaded fonts', async () => {
+        const font = fs.readFileSync(path.join(__dirname, '../assets/fonts/SpaceMono-Bold.ttf'));
+        const response = await post('/fonts?name=SpaceMono-Bold.ttf&family=Playground%20Mono', font);
+        expect(response.json()).toEqual({ family: 'Playground Mono' });
+        expect(isFontRegistered('Playground Mono')).toBe(true);
+    });
+
+    it('should reject bad uploads and renders', async () => {
+        expect((await post('/uploads?name=notes.txt', Buffer.from('hello'))).json().error.message).toMatch(/notes\.txt is not a PNG, JPEG/);
+        expect((await post('/uploads', Buffer.alloc(129 * 1024))).status).toBe(413);
+        expect((await post('/fonts?name=font.txt&family=X', Buffer.from('x'))).json().error.message).toMatch(/Fonts must be/);
+        expect((await post('/fonts?name=font.ttf', Buffer.from('x'))).json().error.message).toMatch(/family is required/);
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect((await post('/fonts?name=font.ttf&family=Broken', Buffer.from('not a font'))).json().error.message).toMatch(/could not be registered/);
+        error.mockRestore();
+
+        expect((await post('/render/rank', { username: '' })).json().error.message).toBe('Username must be a non-empty string.');
+        expect((await post('/render/banner', { serverName: 'CWK', memberCount: 1, output: 'canvas' })).status).toBe(400);
+        expect((await post('/render/sparkles', {})).json().error.message).toMatch(/Unknown batch job type/);
+        expect((await request(`${url}/render/rank`)).status).toBe(404);
+    });
+
+    it('should only answer requests addressed to localhost', async () => {
+        const rebound = await request(`${url}/schema`, { headers: { Host: `evil.example:${server.address().port}` } });
+        expect(rebound.status).toBe(403);
+        expect((await request(`${url}/schema`, { headers: { Host: `localhost:${server.address().port}` } })).status).toBe(200);
+    });
+
+    it('should remove its uploads when it closes', async () => {
+        const playground = createPlayground();
+        await new Promise(resolve => playground.listen(0, '127.0.0.1', resolve));
+        const { port } = playground.address();
+        await request(`http://127.0.0.1:${port}/uploads?name=a.png`, { method: 'POST', body: createCanvas(4, 4).toBuffer('image/png') });
+        const dirs = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('cwk-gen-playground-'));
+        const before = dirs().length;
+        await new Promise(resolve => playground.close(resolve));
+        expect(dirs().length).toBe(before - 1);
+        expect(() => createPlayground({ maxUploadBytes: 0 })).toThrow(/maxUploadBytes must be a positive integer/);
+    });
+});
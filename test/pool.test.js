@@ -0,0 +1,117 @@
+const path = require('path');
+const { createCanvas } = require('@napi-rs/canvas');
+const { createRenderPool, serializeError } = require('../src/pool');
+const { generateServerBanner } = require('../src/generators/banner');
+const { registerFonts } = require('../src/utils');
+const { ValidationError, ImagePolicyError, RenderError } = require('../src/errors');
+
+const background = createCanvas(100, 50).toBuffer('image/png');
+const banner = memberCount => ({ serverName: 'CWK', memberCount, width: 200, height: 80, background });
+// Big enough to still be rendering when it is cancelled
+const slowBanner = { serverName: 'CWK', memberCount: 1, width: 4000, height: 3000, output: 'webp' };
+
+describe('createRenderPool', () => {
+    let pool;
+
+    beforeAll(() => {
+        pool = createRenderPool({ size: 1 });
+    });
+
+    afterAll(() => pool.close());
+
+    it('should render the same image as the main thread', async () => {
+        const [pooled, local] = await Promise.all([pool.generateServerBanner(banner(5)), generateServerBanner(banner(5))]);
+        expect(Buffer.isBuffer(pooled)).toBe(true);
+        expect(pooled.equals(local)).toBe(true);
+        expect(pooled.warnings).toEqual([]);
+
+        const result = await pool.generateServerBanner({ ...banner(5), output: 'jpeg', resolveWithObject: true });
+        expect(result).toMatchObject({ mimeType: 'image/jpeg', width: 200, height: 80, warnings: [] });
+        expect(Buffer.isBuffer(result.buffer)).toBe(true);
+    });
+
+    it('should use fonts registered after the workers started', async () => {
+        registerFonts([{ path: path.join(__dirname, '../assets/fonts/SpaceMono-Bold.ttf'), family: 'Pool Mono' }]);
+        const options = { ...banner(7), font: 'Pool Mono' };
+        const [pooled, local] = await Promise.all([pool.generateServerBanner(options), generateServerBanner(options)]);
+        // A worker without the font would draw the text in a fallback font
+        expect(pooled.equals(local)).toBe(true);
+        expect(pooled.equals(await generateServerBanner({ ...options, font: 'sans-serif' }))).toBe(false);
+    });
+
+    it('should reject with the library error classes', async () => {
+        const invalid = await pool.generateRankCard({ username: '' }).catch(error => error);
+        expect(invalid).toBeInstanceOf(ValidationError);
+        expect(invalid.message).toBe('Username must be a non-empty string.');
+
+        const blocked = await pool.generateServerBanner({ ...banner(1), background: 'http://127.0.0.1/bg.png' }).catch(error => error);
+        expect(blocked).toBeInstanceOf(ImagePolicyError);
+        expect(blocked.code).toBe('PRIVATE_ADDRESS');
+
+        await expect(pool.generateServerBanner({ ...banner(1), output: 'canvas' })).rejects.toThrow(/not available from a render pool/);
+    });
+
+    it('should queue jobs while every worker is busy', async () => {
+        const jobs = [1, 2, 3].map(n => pool.generateServerBanner(banner(n)));
+        expect(pool.pending).toBe(2);
+        const images = await Promise.all(jobs);
+        expect(images).toHaveLength(3);
+        expect(pool.pending).toBe(0);
+    });
+
+    it('should cancel queued and running jobs', async () => {
+        const controller = new AbortController();
+        const running = pool.generateServerBanner(slowBanner, { signal: controller.signal });
+        const queued = pool.generateServerBanner(banner(2), { signal: controller.signal });
+        const next = pool.generateServerBanner(banner(3));
+        controller.abort();
+
+        await expect(running).rejects.toThrow(/aborted/);
+        await expect(queued).rejects.toThrow(/aborted/);
+        // The worker that was stopped is replaced
+        await expect(next).resolves.toBeInstanceOf(Buffer);
+    });
+
+    it('should reject with a RenderError when the signal has no reason', async () => {
+        // Node 16 signals have no `reason`
+        const aborted = new AbortController();
+        aborted.abort();
+        Object.defineProperty(aborted.signal, 'reason', { value: undefined });
+        await expect(pool.generateServerBanner(banner(2), { signal: aborted.signal }))
+            .rejects.toMatchObject({ name: 'RenderError', code: 'RENDER_ABORTED' });
+
+        const controller = new AbortController();
+        Object.defineProperty(controller.signal, 'reason', { value: undefined });
+        const running = pool.generateServerBanner(slowBanner, { signal: controller.signal });
+        controller.abort();
+        await expect(running).rejects.toMatchObject({ name: 'RenderError', code: 'RENDER_ABORTED' });
+    });
+
+    it('should time out renders', async () => {
+        const error = await pool.generateServerBanner(slowBanner, { timeout: 1 }).catch(err => err);
+        expect(error).toBeInstanceOf(RenderError);
+        expect(error.code).toBe('RENDER_TIMEOUT');
+        await expect(pool.generateServerBanner(banner(4))).resolves.toBeInstanceOf(Buffer);
+    });
+
+    it('should reject renders once closed', async () => {
+        const closing = createRenderPool({ size: 1 });
+        const queued = expect(closing.generateServerBanner(banner(1))).rejects.toMatchObject({ code: 'POOL_CLOSED' });
+        await closing.close();
+        await queued;
+        await expect(closing.generateServerBanner(banner(1))).rejects.toMatchObject({ code: 'POOL_CLOSED' });
+    });
+
+    it('should validate its options', () => {
+        expect(() => createRenderPool({ size: 0 })).toThrow(/Pool size must be a positive integer/);
+        expect(() => createRenderPool({ timeout: -1 })).toThrow(TypeError);
+    });
+
+    it('should serialize errors with their details', () => {
+        const cause = new Error('socket hang up');
+        cause.code = 'ECONNRESET';
+        const data = serializeError(new ImagePolicyError('Too big', 'IMAGE_TOO_LARGE', 'https://example.com/a.png'));
+        expect(data).toMatchObject({ name: 'ImagePolicyError', code: 'IMAGE_TOO_LARGE', source: 'https://example.com/a.png' });
+        expect(serializeError(new RenderError('Failed', { cause })).cause).toMatchObject({ message: 'socket hang up', code: 'ECONNRESET' });
+    });
+});
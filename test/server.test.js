@@ -0,0 +1,273 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createServer, signRenderURL } = require('../src/server');
+const { createRenderPool } = require('../src/pool');
+const { inspectImage, configureFetch } = require('../src/fetch');
+
+const banner = { serverName: 'CWK', memberCount: 12, width: 200, height: 80, background: { color: '#335' } };
+// Big enough to take a while
+const slowBanner = { serverName: 'CWK', memberCount: 1, width: 4000, height: 3000, output: 'webp' };
+
+/**
+ * Make a request and collect the response
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.method="GET"]
+ * @param {object} [options.headers]
+ * @param {string|object} [options.body] - Objects are sent as JSON
+ * @returns {Promise<{status: number, headers: object, body: Buffer, json: function(): *}>}
+ */
+function request(url, { method = 'GET', headers = {}, body } = {}) {
+    const data = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+    const requestHeaders = typeof body === 'object' ? { 'Content-Type': 'application/json', ...headers } : headers;
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method, headers: requestHeaders }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const buffer = Buffer.concat(chunks);
+                resolve({ status: res.statusCode, headers: res.headers, body: buffer, json: () => JSON.parse(buffer.toString()) });
+            });
+        });
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+/**
+ * Start a server on a free port
+ * @param {object} [options] - createServer options
+ * @returns {Promise<{server: http.Server, url: string}>}
+ */
+function listen(options) {
+    const server = createServer(options);
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+describe('createServer', () => {
+    let server;
+    let url;
+    const post = (route, body, headers) => request(`${url}${route}`, { method: 'POST', body, headers });
+
+    beforeAll(async () => {
+        ({ server, url } = await listen({
+            secret: 's3cret',
+            routes: { leaderboard: false, welcome: { maxBodyBytes: 64 } }
+        }));
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    it('should render JSON options and cache the image by options', async () => {
+        const first = await post('/render/banner', banner);
+        expect(first.status).toBe(200);
+        expect(first.headers['content-type']).toBe('image/png');
+        expect(first.headers['x-cache']).toBe('MISS');
+        expect(first.headers['server-timing']).toMatch(/total;dur=/);
+        expect(inspectImage(first.body)).toEqual({ type: 'image/png', width: 200, height: 80 });
+
+        // Same options in another order
+        const second = await post('/render/banner', { height: 80, width: 200, ...banner });
+        expect(second.headers['x-cache']).toBe('HIT');
+        expect(second.headers.etag).toBe(first.headers.etag);
+        expect(second.body.equals(first.body)).toBe(true);
+
+        const revalidated = await post('/render/banner', banner, { 'If-None-Match': first.headers.etag });
+        expect(revalidated.status).toBe(304);
+
+        const jpeg = await post('/render/banner', { ...banner, output: { format: 'jpeg', quality: 70 } });
+        expect(jpeg.headers['content-type']).toBe('image/jpeg');
+        expect(jpeg.headers['x-cache']).toBe('MISS');
+    });
+
+    it('should reject invalid options with the generator checks', async () => {
+        const invalid = await post('/render/rank', { username: '' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.json()).toEqual({ error: { code: 'INVALID_OPTION', message: 'Username must be a non-empty string.' } });
+
+        const rank = { username: 'Jane', avatarURL: 'https://cdn.discordapp.com/a.png', level: 1, xp: 1, requiredXp: 2, rank: 1 };
+        const cases = [
+            [{ ...rank, avatarURL: '/etc/passwd' }, /must be http\(s\) URLs/],
+            [{ ...rank, background: { fallback: ['./bg.png'] } }, /must be http\(s\) URLs/],
+            [{ ...rank, template: { width: 10, height: 10, layers: [] } }, /registered template/],
+            [{ ...rank, output: 'canvas' }, /can't be sent over HTTP/],
+            [{ ...rank, width: 10000 }, /at most 4096/],
+            [{ ...rank, width: '10000' }, /width must be a number/],
+            [{ ...rank, height: '3000' }, /height must be a number/],
+            [{ ...rank, avatarSize: 5000 }, /avatarSize must be at most 4096/],
+            [{ ...rank, avatar: { border: { width: 5000 } } }, /avatar\.border\.width must be at most 4096/],
+            [[rank], /Options object is required/]
+        ];
+        for (const [options, message] of cases) {
+            const response = await post('/render/rank', options);
+            expect(response.status).toBe(400);
+            expect(response.json().error.message).toMatch(message);
+        }
+
+        const blocked = await post('/render/banner', { ...banner, background: 'http://127.0.0.1/bg.png' });
+        expect(blocked.status).toBe(422);
+        expect(blocked.json().error.code).toBe('PRIVATE_ADDRESS');
+    });
+
+    it('should reject bad requests', async () => {
+        expect((await post('/render/banner', '{"serverName":', { 'Content-Type': 'application/json' })).json().error.code).toBe('INVALID_JSON');
+        expect((await post('/render/banner', 'serverName=CWK', { 'Content-Type': 'text/plain' })).status).toBe(415);
+        expect((await post('/render/welcome', { username: 'Jane'.repeat(20) })).status).toBe(413);
+        expect((await post('/render/leaderboard', { entries: [] })).status).toBe(404);
+        expect((await post('/render/sparkles', {})).status).toBe(404);
+
+        const put = await request(`${url}/render/banner`, { method: 'PUT' });
+        expect(put.status).toBe(405);
+        expect(put.headers.allow).toBe('GET, POST');
+    });
+
+    it('should render signed GET URLs', async () => {
+        const signed = signRenderURL('banner', banner, { secret: 's3cret', baseURL: url, expiresIn: 60000 });
+        const response = await request(signed);
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('image/png');
+        expect(response.headers['cache-control']).toBe('public, max-age=300');
+
+        const tampered = signed.replace(/options=[^&]+/, `options=${Buffer.from(JSON.stringify({ ...banner, memberCount: 99 })).toString('base64url')}`);
+        expect((await request(tampered)).json().error.code).toBe('INVALID_SIGNATURE');
+        expect((await request(signRenderURL('banner', banner, { secret: 'guess', baseURL: url }))).status).toBe(403);
+        expect((await request(`${url}/render/banner`)).status).toBe(403);
+
+        const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() - 120000);
+        const expired = signRenderURL('banner', banner, { secret: 's3cret', baseURL: url, expiresIn: 60000 });
+        now.mockRestore();
+        expect((await request(expired)).json().error.code).toBe('URL_EXPIRED');
+    });
+
+    it('should report its health', async () => {
+        const response = await request(`${url}/health`);
+        expect(response.status).toBe(200);
+        expect(response.json()).toMatchObject({
+            status: 'ok',
+            version: require('../package.json').version,
+            routes: { banner: { active: 0 } },
+            cache: { entries: expect.any(Number), hits: expect.any(Number) },
+            pool: null
+        });
+        expect(response.json().routes.leaderboard).toBeUndefined();
+    });
+
+    it('should validate its options', () => {
+        expect(() => createServer({ secret: '' })).toThrow(/secret must be a non-empty string/);
+        expect(() => createServer({ limits: { maxConcurrent: 0 } })).toThrow(/maxConcurrent must be a positive integer/);
+        expect(() => createServer({ limits: { maxPixels: 1 } })).toThrow(/Unknown limits "maxPixels"/);
+        expect(() => createServer({ routes: { sparkles: true } })).toThrow(/Unknown route "sparkles"/);
+        expect(() => createServer({ pool: {} })).toThrow(/render pool/);
+        expect(() => signRenderURL('banner', banner, {})).toThrow(/secret is required/);
+        expect(() => signRenderURL('sparkles', banner, { secret: 's' })).toThrow(/Unknown render type/);
+    });
+});
+
+describe('createServer limits', () => {
+    it('should limit concurrent renders and time them out', async () => {
+        const { server, url } = await listen({ cache: false, routes: { banner: { maxConcurrent: 1, timeout: 20 } } });
+        const post = body => request(`${url}/render/banner`, { method: 'POST', body });
+        try {
+            const slow = post(slowBanner);
+            // Let the first request start rendering
+            await new Promise(resolve => setTimeout(resolve, 5));
+            const busy = await post(banner);
+            expect(busy.status).toBe(429);
+            expect(busy.headers['retry-after']).toBe('1');
+
+            const timedOut = await slow;
+            expect(timedOut.status).toBe(504);
+            expect(timedOut.json().error.code).toBe('RENDER_TIMEOUT');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('should cap every size that grows the canvas', async () => {
+        const { server, url } = await listen({ limits: { maxSize: 500 } });
+        const post = (type, body) => request(`${url}/render/${type}`, { method: 'POST', body });
+        const avatar = fs.readFileSync(path.join(__dirname, 'fixtures/avatar.png'));
+        const avatars = http.createServer((req, res) => res.end(avatar));
+        await new Promise(resolve => avatars.listen(0, '127.0.0.1', resolve));
+        const avatarURL = `http://127.0.0.1:${avatars.address().port}/a.png`;
+        const entries = Array.from({ length: 8 }, (_, i) => ({ username: `User ${i}`, avatarURL, level: 1, xp: 1, requiredXp: 2, rank: i + 1 }));
+        configureFetch({ allowPrivateAddresses: true });
+        try {
+            expect((await post('banner', { ...banner, width: '1000' })).json().error.message).toBe('width must be a number.');
+            expect((await post('banner', { ...banner, width: 1000 })).json().error.message).toBe('width must be at most 500.');
+            expect((await post('leaderboard', { entries })).json().error.message).toMatch(/Leaderboard pages must be at most 500 tall/);
+            expect((await post('leaderboard', { entries, perPage: 5, rowHeight: 120 })).status).toBe(400);
+            // Header, rows with their gaps and footer: 80 + 2 * 180 + 10 + 50
+            const boundary = { entries, width: 500, perPage: 2, rowHeight: 180 };
+            const fits = await post('leaderboard', boundary);
+            expect(fits.status).toBe(200);
+            expect(inspectImage(fits.body)).toMatchObject({ width: 500, height: 500 });
+            expect((await post('leaderboard', { ...boundary, rowHeight: 181 })).json().error.message).toMatch(/Leaderboard pages must be at most 500 tall/);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            await new Promise(resolve => avatars.close(resolve));
+            configureFetch({ allowPrivateAddresses: false });
+        }
+    });
+
+    it('should limit the number of badges, stats and entries', async () => {
+        const { server, url } = await listen({ limits: { maxBadges: 2, maxStats: 3 }, routes: { leaderboard: { maxEntries: 4 } } });
+        const post = (type, body) => request(`${url}/render/${type}`, { method: 'POST', body });
+        const list = length => Array.from({ length }, (_, i) => ({ name: `Item ${i}`, value: i, icon: 'https://cdn.discordapp.com/a.png' }));
+        const entries = Array.from({ length: 5 }, (_, i) => ({ username: `User ${i}`, avatarURL: 'https://cdn.discordapp.com/a.png', level: 1, xp: 1, requiredXp: 2, rank: i + 1 }));
+        try {
+            const badges = await post('profile', { username: 'Jane', avatarURL: 'https://cdn.discordapp.com/a.png', badges: list(3) });
+            expect(badges.status).toBe(400);
+            expect(badges.json().error.message).toBe('badges must have at most 2 items.');
+            expect((await post('profile', { username: 'Jane', avatarURL: 'https://cdn.discordapp.com/a.png', stats: list(4) })).json().error.message).toBe('stats must have at most 3 items.');
+            expect((await post('leaderboard', { entries })).json().error.message).toBe('entries must have at most 4 items.');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+        expect(() => createServer({ limits: { maxBadges: 0 } })).toThrow(/Limits maxBadges must be a positive integer/);
+    });
+
+    it('should render in a render pool', async () => {
+        const pool = createRenderPool({ size: 1 });
+        const { server, url } = await listen({ pool });
+        try {
+            const response = await request(`${url}/render/banner`, { method: 'POST', body: banner });
+            expect(response.status).toBe(200);
+            expect(inspectImage(response.body)).toEqual({ type: 'image/png', width: 200, height: 80 });
+            expect((await request(`${url}/health`)).json().pool).toEqual({ size: 1, pending: 0 });
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            await pool.close();
+        }
+    });
+});
+
+describe('cwk-gen serve', () => {
+    it('should serve until it is stopped', async () => {
+        const child = spawn(process.execPath, [path.join(__dirname, '../bin/cwk-gen.js'), 'serve', '--port', '0'], {
+            stdio: ['ignore', 'ignore', 'pipe']
+        });
+        const exited = new Promise(resolve => child.on('exit', resolve));
+        try {
+            const url = await new Promise((resolve, reject) => {
+                let output = '';
+                child.stderr.on('data', chunk => {
+                    output += chunk;
+                    const match = /Listening on (\S+?),? /.exec(output);
+                    if (match) resolve(match[1]);
+                });
+                child.on('exit', () => reject(new Error(output)));
+            });
+            expect((await request(`${url}/health`)).json().status).toBe('ok');
+        } finally {
+            child.kill('SIGTERM');
+        }
+        expect(await exited).toBe(0);
+    });
+});
@@ -0,0 +1,50 @@
+const { registerTheme, getTheme, resolveTheme, THEME_TOKENS } = require('../src/themes');
+
+describe('Themes', () => {
+    it('should ship the built-in presets with every token set', () => {
+        ['default', 'dark', 'light', 'discord-blurple', 'neon'].forEach(name => {
+            const theme = getTheme(name);
+            THEME_TOKENS.forEach(token => expect(theme[token]).toBeDefined());
+        });
+    });
+
+    it('should keep the classic defaults in the default theme', () => {
+        const theme = resolveTheme();
+        expect(theme.color).toBe('#7289DA');
+        expect(theme.textColor).toBe('#FFFFFF');
+        expect(theme.font).toBe('sans-serif');
+        expect(theme.shadow).toBe(true);
+    });
+
+    it('should register themes on top of the default theme', () => {
+        registerTheme('guild-a', { color: '#123456' });
+        const theme = getTheme('guild-a');
+        expect(theme.color).toBe('#123456');
+        expect(theme.textColor).toBe('#FFFFFF');
+    });
+
+    it('should inherit from the theme named in extends', () => {
+        registerTheme('guild-b', { extends: 'neon', textColor: '#000000' });
+        const theme = getTheme('guild-b');
+        expect(theme.textColor).toBe('#000000');
+        expect(theme.progressColor).toBe(getTheme('neon').progressColor);
+        expect(theme.extends).toBeUndefined();
+    });
+
+    it('should resolve inline theme objects', () => {
+        expect(resolveTheme({ extends: 'light', color: '#ABCDEF' }).color).toBe('#ABCDEF');
+        expect(resolveTheme({ extends: 'light' }).textColor).toBe(getTheme('light').textColor);
+    });
+
+    it('should return copies that cannot change the registry', () => {
+        getTheme('dark').color = '#000000';
+        expect(getTheme('dark').color).not.toBe('#000000');
+    });
+
+    it('should reject unknown themes and tokens', () => {
+        expect(() => resolveTheme('does-not-exist')).toThrow(TypeError);
+        expect(() => registerTheme('typo', { textColour: '#FFF' })).toThrow(/textColour/);
+        expect(() => registerTheme('', {})).toThrow(TypeError);
+        expect(() => registerTheme('bad', null)).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const root = path.join(__dirname, '..');
+
+// Generator sources and the option interfaces that declare their JSDoc options
+const generatorOptions = {
+    welcome: 'WelcomeImageOptions',
+    goodbye: 'GoodbyeImageOptions',
+    rank: 'RankCardOptions',
+    profile: 'ProfileCardOptions',
+    banner: 'ServerBannerOptions',
+    leaderboard: 'LeaderboardOptions'
+};
+
+/**
+ * Create a program from tsconfig.json, which compiles the declarations and test/types/usage.ts
+ * @returns {ts.Program}
+ */
+function createProgram() {
+    const configPath = path.join(root, 'tsconfig.json');
+    const { config } = ts.readConfigFile(configPath, ts.sys.readFile);
+    const { options, fileNames } = ts.parseJsonConfigFileContent(config, ts.sys, root);
+    return ts.createProgram(fileNames, options);
+}
+
+/**
+ * Option names documented with @param options.<name> in a generator's JSDoc
+ * @param {string} file
+ * @returns {string[]}
+ */
+function documentedOptions(file) {
+    const source = fs.readFileSync(path.join(root, 'src/generators', `${file}.js`), 'utf8');
+    return [...source.matchAll(/^\s*\* @param \{.*?\}\s+\[?options\.(\w+)/gm)].map(match => match[1]);
+}
+
+describe('TypeScript declarations', () => {
+    let program;
+
+    beforeAll(() => {
+        program = createProgram();
+    });
+
+    it('should compile the usage examples, and reject the invalid ones', () => {
+        const diagnostics = ts.getPreEmitDiagnostics(program)
+            .map(diagnostic => ts.formatDiagnostic(diagnostic, {
+                getCanonicalFileName: fileName => fileName,
+                getCurrentDirectory: () => root,
+                getNewLine: () => '\n'
+            }));
+        expect(diagnostics).toEqual([]);
+    });
+
+    it('should declare every option the generators document', () => {
+        const checker = program.getTypeChecker();
+        const declarations = program.getSourceFile(path.join(root, 'src/index.d.ts'));
+        const exported = checker.getExportsOfModule(checker.getSymbolAtLocation(declarations));
+
+        Object.entries(generatorOptions).forEach(([file, name]) => {
+            const symbol = exported.find(item => item.name === name);
+            const declared = checker.getDeclaredTypeOfSymbol(symbol).getProperties().map(property => property.name);
+            expect({ [name]: declared.sort() }).toEqual({ [name]: documentedOptions(file).sort() });
+        });
+    });
+
+    it('should declare everything the package exports', () => {
+        const checker = program.getTypeChecker();
+        const declarations = program.getSourceFile(path.join(root, 'src/index.d.ts'));
+        const declared = checker.getExportsOfModule(checker.getSymbolAtLocation(declarations)).map(item => item.name);
+        expect(declared).toEqual(expect.arrayContaining(Object.keys(require('../src'))));
+    });
+
+    it('should only declare utils that exist', () => {
+        const checker = program.getTypeChecker();
+        const declarations = program.getSourceFile(path.join(root, 'src/utils.d.ts'));
+        const declared = checker.getExportsOfModule(checker.getSymbolAtLocation(declarations))
+            .filter(item => (item.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(item) : item).flags & ts.SymbolFlags.Value)
+            .map(item => item.name);
+        expect(Object.keys(require('../src/utils'))).toEqual(expect.arrayContaining(declared));
+    });
+});
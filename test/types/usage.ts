@@ -0,0 +1,140 @@
+// Type-level test for src/index.d.ts, compiled by test/types.test.js. Lines marked @ts-expect-error must fail to compile.
+import {
+    generateWelcomeImage,
+    generateRankCard,
+    generateProfileCard,
+    generateServerBanner,
+    generateLeaderboard,
+    renderTemplate,
+    renderBatch,
+    createRenderPool,
+    createServer,
+    signRenderURL,
+    createPlayground,
+    loadFont,
+    registerFonts,
+    registerFontDirectory,
+    configureCache,
+    getCacheStats,
+    setLogger,
+    ImagePolicyError,
+    RenderError,
+    RenderedImage,
+    RenderResult,
+    RenderedCanvas,
+    Background
+} from '../../src';
+import { generateRankCard as rankOnly } from '../../src/generators/rank';
+import { clipToShape, wrapText, AVATAR_SHAPES } from '../../src/utils';
+
+async function usage(): Promise<void> {
+    const welcome: RenderedImage = await generateWelcomeImage({
+        username: 'Jane',
+        avatarURL: 'https://cdn.discordapp.com/avatars/1/a.png',
+        background: { image: Buffer.alloc(0), fit: 'cover', gradient: { colors: ['#000', { offset: 1, color: '#fff' }] }, fallback: ['a.png'] },
+        avatar: { shape: 'hexagon', border: { width: 4, gradient: { type: 'conic', colors: ['red', 'blue'] } }, status: 'dnd' },
+        avatarFallback: 'initials',
+        format: 'gif'
+    });
+    const bytes: Buffer = welcome;
+    const codes: string[] = welcome.warnings.map(warning => warning.code);
+
+    const backgrounds: Background[] = ['https://example.com/bg.png', Buffer.alloc(0), { color: '#123456' }];
+
+    const result: RenderResult = await generateRankCard({
+        username: 'Jane',
+        avatarURL: 'avatar.png',
+        level: 5,
+        xp: 10,
+        requiredXp: 100,
+        rank: 1,
+        output: { format: 'jpeg', quality: 80 },
+        resolveWithObject: true
+    });
+    const total: number = result.timings.total;
+
+    const canvas: RenderedCanvas = await generateServerBanner({ serverName: 'CWK', memberCount: 10, output: 'canvas' });
+    canvas.getContext('2d').fillRect(0, 0, 1, 1);
+
+    await generateProfileCard({
+        username: 'Jane',
+        avatarURL: 'avatar.png',
+        stats: [{ name: 'Level', value: '{level}' }],
+        badges: [{ name: 'Early', icon: 'early.png' }],
+        variables: { level: 5 },
+        theme: { extends: 'dark', textColor: '#fff' }
+    });
+
+    await generateLeaderboard({ entries: [{ username: 'Jane', avatarURL: 'a.png', level: 1, xp: 1, requiredXp: 2, rank: 1, status: 'idle' }] });
+    await renderTemplate('rank', { username: 'Jane' }, { output: 'webp' });
+
+    const results = await renderBatch([
+        { type: 'banner', options: { serverName: 'CWK', memberCount: 1 } },
+        { type: 'rank', options: { username: 'Jane', avatarURL: 'a.png', level: 1, xp: 1, requiredXp: 2, rank: 1 }, id: 42 }
+    ], { concurrency: 2 });
+    results.forEach(entry => {
+        if (entry.status === 'rejected') {
+            const message: string = entry.reason.message;
+        }
+    });
+
+    const pool = createRenderPool({ size: 2, timeout: 1000 });
+    const pooled: RenderedImage = await pool.generateRankCard({ username: 'Jane', avatarURL: 'a.png', level: 1, xp: 1, requiredXp: 2, rank: 1 }, { signal: new AbortController().signal });
+    await pool.close();
+
+    const server = createServer({ secret: 's3cret', pool, routes: { leaderboard: false, rank: { maxConcurrent: 4 } }, cache: false });
+    server.listen(3000);
+    const url: string = signRenderURL('rank', { username: 'Jane' }, { secret: 's3cret', baseURL: 'http://localhost:3000', expiresIn: 60000 });
+    createPlayground({ maxUploadBytes: 1024 * 1024 }).listen(4000, '127.0.0.1');
+
+    loadFont('./fonts/Poppins.ttf', { family: 'Poppins', weight: 'bold' });
+    registerFonts([{ path: './fonts/Poppins.ttf', family: 'Poppins' }]);
+    const families: string[] = registerFontDirectory('./fonts', { recursive: true }).map(font => font.family);
+    await generateWelcomeImage({ username: 'Jane', avatarURL: 'a.png', font: ['Poppins', 'Noto Sans JP', 'sans-serif'] });
+    configureCache({ ttl: 1000, store: null });
+    const hits: number = getCacheStats().images.hits;
+    setLogger(null);
+
+    try {
+        await generateWelcomeImage({ username: 'Jane', avatarURL: 'a.png' });
+    } catch (error) {
+        if (error instanceof ImagePolicyError) {
+            const code: string = error.code;
+            const source: string | undefined = error.source;
+        } else if (error instanceof RenderError) {
+            const cause: unknown = error.cause;
+        }
+    }
+
+    // Subpath entry points
+    const fromSubpath: RenderedImage = await rankOnly({ username: 'Jane', avatarURL: 'a.png', level: 1, xp: 1, requiredXp: 2, rank: 1 });
+    const clipped = clipToShape(canvas, 64, AVATAR_SHAPES[0]);
+    const lines: string = wrapText(clipped.getContext('2d'), 'Hello there', 100);
+
+    // @ts-expect-error username is required
+    await generateWelcomeImage({ avatarURL: 'a.png' });
+    // @ts-expect-error level must be a number
+    await generateRankCard({ username: 'Jane', avatarURL: 'a.png', level: '5', xp: 1, requiredXp: 2, rank: 1 });
+    // @ts-expect-error unknown option
+    await generateServerBanner({ serverName: 'CWK', memberCount: 1, membersTxt: 'typo' });
+    // @ts-expect-error unknown avatar shape
+    await generateProfileCard({ username: 'Jane', avatarURL: 'a.png', avatar: { shape: 'star' } });
+    // @ts-expect-error stats need a name and value
+    await generateProfileCard({ username: 'Jane', avatarURL: 'a.png', stats: [{ label: 'Level' }] });
+    // @ts-expect-error a Buffer is returned unless resolveWithObject is set
+    const notResult: RenderResult = await generateServerBanner({ serverName: 'CWK', memberCount: 1 });
+    // @ts-expect-error pools can't return a canvas
+    await pool.generateServerBanner({ serverName: 'CWK', memberCount: 1, output: 'canvas' });
+    // @ts-expect-error unknown route
+    createServer({ routes: { sparkles: false } });
+    // @ts-expect-error a font stack is a list of family names
+    await generateRankCard({ username: 'Jane', avatarURL: 'a.png', level: 1, xp: 1, requiredXp: 2, rank: 1, font: [{ family: 'Poppins' }] });
+    // @ts-expect-error fonts need a family
+    loadFont('./fonts/Poppins.ttf', {});
+    // @ts-expect-error unknown batch job type
+    await renderBatch([{ type: 'sparkles', options: {} }]);
+    // @ts-expect-error unknown avatar shape
+    clipToShape(canvas, 64, 'star');
+}
+
+export { usage };
@@ -1,4 +1,36 @@
-const { wrapText, applyTextShadow } = require('../src/utils');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCanvas, GlobalFonts } = require('@napi-rs/canvas');
+const {
+    wrapText,
+    applyTextShadow,
+    isGifBuffer,
+    toAnimatedAvatarURL,
+    buildFrameTimeline,
+    resolveBackgroundConfig,
+    drawImageFit,
+    formatDuration,
+    parseRichText,
+    loadRichTextImages,
+    registerEmojiSet,
+    wrapRichText,
+    measureRichText,
+    fitText,
+    cropToShape,
+    resolveAvatarOptions,
+    resolveAvatarFallback,
+    getDefaultAvatarURL,
+    createInitialsAvatar,
+    registerFontDirectory,
+    checkFontFamilies,
+    getRegisteredFonts,
+    isFontRegistered,
+    clearCache,
+    getCacheStats
+} = require('../src/utils');
+const { toFontString } = require('../src/layout/units');
+const { setLogger } = require('../src/logger');
 
 describe('Utility Functions', () => {
     describe('wrapText', () => {
@@ -165,4 +197,483 @@ describe('Utility Functions', () => {
             expect(mockCtxShadow.shadowOffsetY).toBe(2); // Default
         });
     });
+
+    describe('isGifBuffer', () => {
+        it('should detect GIF signatures', () => {
+            expect(isGifBuffer(Buffer.from('GIF89a....'))).toBe(true);
+            expect(isGifBuffer(Buffer.from('GIF87a....'))).toBe(true);
+        });
+
+        it('should reject other data', () => {
+            expect(isGifBuffer(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]))).toBe(false);
+            expect(isGifBuffer(Buffer.from('GIF'))).toBe(false);
+            expect(isGifBuffer('GIF89a')).toBe(false);
+        });
+    });
+
+    describe('toAnimatedAvatarURL', () => {
+        it('should switch animated Discord avatars to gif', () => {
+            expect(toAnimatedAvatarURL('https://cdn.discordapp.com/avatars/1/a_abc123.png'))
+                .toBe('https://cdn.discordapp.com/avatars/1/a_abc123.gif');
+            expect(toAnimatedAvatarURL('https://cdn.discordapp.com/avatars/1/a_abc123.webp?size=256'))
+                .toBe('https://cdn.discordapp.com/avatars/1/a_abc123.gif?size=256');
+        });
+
+        it('should leave static avatars untouched', () => {
+            const url = 'https://cdn.discordapp.com/avatars/1/abc123.png';
+            expect(toAnimatedAvatarURL(url)).toBe(url);
+        });
+    });
+
+    describe('buildFrameTimeline', () => {
+        it('should produce a single frame for still sources', () => {
+            const still = [{ buffer: 'a', delay: 0 }];
+            const timeline = buildFrameTimeline(null, still);
+            expect(timeline).toHaveLength(1);
+            expect(timeline[0].frames).toEqual([null, still[0]]);
+            expect(timeline[0].delay).toBeGreaterThan(0);
+        });
+
+        it('should follow the longest source and loop shorter ones', () => {
+            const bg = [{ id: 'bg0', delay: 50 }, { id: 'bg1', delay: 50 }];
+            const avatar = [{ id: 'av0', delay: 30 }, { id: 'av1', delay: 40 }, { id: 'av2', delay: 60 }];
+            const timeline = buildFrameTimeline(bg, avatar);
+            expect(timeline.map(f => f.delay)).toEqual([30, 40, 60]);
+            expect(timeline.map(f => f.frames.map(frame => frame.id))).toEqual([
+                ['bg0', 'av0'],
+                ['bg1', 'av1'],
+                ['bg0', 'av2']
+            ]);
+        });
+    });
+
+    describe('resolveBackgroundConfig', () => {
+        const defaults = {
+            image: null,
+            color: null,
+            gradient: null,
+            fit: 'cover',
+            position: 'center',
+            blur: 0,
+            opacity: 1,
+            overlayColor: null,
+            overlayOpacity: 1,
+            fallback: []
+        };
+
+        it('should treat strings and Buffers as the background image', () => {
+            const buffer = Buffer.from('x');
+            expect(resolveBackgroundConfig('bg.png', { color: '#000' })).toEqual({ ...defaults, image: 'bg.png', color: '#000' });
+            expect(resolveBackgroundConfig(buffer).image).toBe(buffer);
+        });
+
+        it('should merge config objects over the defaults', () => {
+            const config = resolveBackgroundConfig({ blur: 4, color: '#fff' }, { color: '#000', overlayOpacity: 0.5 });
+            expect(config).toEqual({ ...defaults, blur: 4, color: '#fff', overlayOpacity: 0.5 });
+        });
+
+        it('should normalize fallback sources to an array', () => {
+            expect(resolveBackgroundConfig({ image: 'a.png', fallback: 'b.png' }).fallback).toEqual(['b.png']);
+            expect(resolveBackgroundConfig({ fallback: ['b.png', null, 'c.png'] }).fallback).toEqual(['b.png', 'c.png']);
+        });
+
+        it('should reject invalid backgrounds', () => {
+            expect(() => resolveBackgroundConfig(42)).toThrow(TypeError);
+            expect(() => resolveBackgroundConfig({ fit: 'stretch' })).toThrow(/fit must be one of/);
+            expect(() => resolveBackgroundConfig({ position: 'middle' })).toThrow(TypeError);
+            expect(() => resolveBackgroundConfig({ opacity: 2 })).toThrow(/opacity/);
+            expect(() => resolveBackgroundConfig({ gradient: { colors: ['#000'] } })).toThrow(/gradient/);
+            expect(() => resolveBackgroundConfig({ gradient: { type: 'diamond', colors: ['#000', '#fff'] } })).toThrow(/type/);
+        });
+    });
+
+    describe('drawImageFit', () => {
+        const image = { width: 200, height: 100 };
+        const box = { x: 10, y: 20, width: 100, height: 100 };
+        const mockCtx = () => ({
+            save: jest.fn(),
+            restore: jest.fn(),
+            beginPath: jest.fn(),
+            rect: jest.fn(),
+            clip: jest.fn(),
+            translate: jest.fn(),
+            fillRect: jest.fn(),
+            createPattern: jest.fn(() => 'pattern'),
+            drawImage: jest.fn()
+        });
+
+        it('should stretch with fill', () => {
+            const ctx = mockCtx();
+            drawImageFit(ctx, image, box, 'fill');
+            expect(ctx.drawImage).toHaveBeenCalledWith(image, 10, 20, 100, 100);
+        });
+
+        it('should crop with cover and letterbox with contain', () => {
+            const cover = mockCtx();
+            drawImageFit(cover, image, box, 'cover');
+            expect(cover.drawImage).toHaveBeenCalledWith(image, -40, 20, 200, 100);
+            expect(cover.clip).toHaveBeenCalled();
+
+            const contain = mockCtx();
+            drawImageFit(contain, image, box, 'contain', 'top');
+            expect(contain.drawImage).toHaveBeenCalledWith(image, 10, 20, 100, 50);
+        });
+
+        it('should align cropped images to the position', () => {
+            const ctx = mockCtx();
+            drawImageFit(ctx, image, box, 'cover', 'left');
+            expect(ctx.drawImage).toHaveBeenCalledWith(image, 10, 20, 200, 100);
+        });
+
+        it('should repeat the image with tile', () => {
+            const ctx = mockCtx();
+            drawImageFit(ctx, image, box, 'tile');
+            expect(ctx.createPattern).toHaveBeenCalledWith(image, 'repeat');
+            expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 100, 100);
+        });
+    });
+
+    describe('formatDuration', () => {
+        const DAY = 24 * 60 * 60 * 1000;
+
+        it('should use the two largest units', () => {
+            expect(formatDuration(365 * DAY + 60 * DAY)).toBe('1 year, 2 months');
+            expect(formatDuration(3 * DAY + 5 * 60 * 60 * 1000)).toBe('3 days, 5 hours');
+            expect(formatDuration(45 * 60 * 1000)).toBe('45 minutes');
+        });
+
+        it('should handle very short durations', () => {
+            expect(formatDuration(10 * 1000)).toBe('less than a minute');
+        });
+    });
+
+    describe('parseRichText', () => {
+        const describeRuns = runs => runs.map(run => `${run.bold ? 'B' : ''}${run.italic ? 'I' : ''}[${run.text}]`).join('');
+
+        it('should switch styles on markdown markers', () => {
+            expect(describeRuns(parseRichText('Hi **bold** *it* ***both***'))).toBe('[Hi ]B[bold][ ]I[it][ ]BI[both]');
+        });
+
+        it('should keep unclosed markers as text', () => {
+            expect(describeRuns(parseRichText('5 * 3 = 15'))).toBe('[5 * 3 = 15]');
+            expect(describeRuns(parseRichText('**open *x*'))).toBe('[**open ]I[x]');
+        });
+
+        it('should turn custom emoji into CDN images', () => {
+            const [, emoji] = parseRichText('hi <a:party:123456789012345678>!');
+            expect(emoji.emoji).toBe('<a:party:123456789012345678>');
+            expect(emoji.source).toBe('https://cdn.discordapp.com/emojis/123456789012345678.png');
+            expect(emoji.text).toBe(':party:');
+        });
+
+        it('should turn Unicode emoji into emoji set images', () => {
+            const runs = parseRichText('ok 👍🏽 ❤️');
+            expect(runs.filter(run => run.emoji).map(run => run.source.split('/').pop())).toEqual(['1f44d-1f3fd.png', '2764.png']);
+        });
+
+        it('should honor the markdown and emoji switches', () => {
+            expect(describeRuns(parseRichText('**a** 😀', { markdown: false, emoji: false }))).toBe('[**a** 😀]');
+        });
+    });
+
+    describe('wrapRichText', () => {
+        const mockCtx = { measureText: text => ({ width: text.length * 10 }) };
+        const font = { family: 'sans-serif', size: 20 };
+
+        it('should wrap styled runs at spaces', () => {
+            const lines = wrapRichText(mockCtx, parseRichText('aaa **bbb** ccc'), font, 75);
+            expect(lines.map(line => line.map(run => run.text).join(''))).toEqual(['aaa bbb', 'ccc']);
+            expect(lines[0][2].bold).toBe(true);
+        });
+
+        it('should measure emoji at the font size', () => {
+            const runs = [{ text: 'ab', bold: false, italic: false }, { text: ':x:', emoji: '<:x:1>', image: {}, bold: false, italic: false }];
+            expect(measureRichText(mockCtx, runs, font)).toBe(40);
+        });
+
+        it('should keep newlines as line breaks', () => {
+            const lines = wrapRichText(mockCtx, parseRichText('one\ntwo'), font);
+            expect(lines.map(line => line.map(run => run.text).join(''))).toEqual(['one', 'two']);
+        });
+    });
+
+    describe('fitText', () => {
+        // Every character is half the font size wide
+        const mockCtx = {
+            font: '16px sans-serif',
+            measureText(text) {
+                return { width: text.length * parseInt(this.font.match(/(\d+)px/)[1], 10) / 2 };
+            }
+        };
+        const font = { family: 'sans-serif', size: 20 };
+
+        it('should keep the font size when the text fits', () => {
+            const fitted = fitText(mockCtx, 'short', { maxWidth: 100, font });
+            expect(fitted).toMatchObject({ lines: ['short'], truncated: false });
+            expect(fitted.font.size).toBe(20);
+        });
+
+        it('should shrink the font until the text fits', () => {
+            // 20 characters need a 10px font to fit in 100px
+            const fitted = fitText(mockCtx, 'abcdefghijklmnopqrst', { maxWidth: 100, font, minSize: 8 });
+            expect(fitted.font.size).toBe(10);
+            expect(fitted.lines).toEqual(['abcdefghijklmnopqrst']);
+        });
+
+        it('should truncate with an ellipsis below the minimum size', () => {
+            const fitted = fitText(mockCtx, 'abcdefghijklmnopqrstuvwxyz', { maxWidth: 100, font, minSize: 16 });
+            expect(fitted.font.size).toBe(16);
+            expect(fitted.truncated).toBe(true);
+            expect(fitted.lines).toEqual(['abcdefghijk…']);
+        });
+
+        it('should wrap into as many lines as the box height allows', () => {
+            const fitted = fitText(mockCtx, 'aaaa bbbb cccc dddd', { maxWidth: 100, maxHeight: 48, font, lineHeight: 24 });
+            expect(fitted.lines).toEqual(['aaaa bbbb', 'cccc dddd']);
+            expect(fitted.font.size).toBe(20);
+        });
+
+        it('should cut off extra lines', () => {
+            const fitted = fitText(mockCtx, 'aaaa bbbb cccc dddd eeee', { maxWidth: 100, maxLines: 2, font, minSize: 20 });
+            expect(fitted.lines).toEqual(['aaaa bbbb', 'cccc dddd…']);
+            expect(fitted.truncated).toBe(true);
+        });
+
+        it('should fit rich text runs', () => {
+            const fitted = fitText(mockCtx, parseRichText('**abcdefghij** klmnopqrstuvwxyz'), { maxWidth: 100, font, minSize: 16 });
+            const [line] = fitted.lines;
+            expect(line[0].bold).toBe(true);
+            expect(line.map(run => run.text).join('')).toMatch(/…$/);
+            expect(measureRichText(mockCtx, line, fitted.font)).toBeLessThanOrEqual(100);
+        });
+
+        it('should require a width', () => {
+            expect(() => fitText(mockCtx, 'text', { font })).toThrow(TypeError);
+        });
+    });
+
+    describe('cropToShape', () => {
+        const { createCanvas, loadImage } = require('@napi-rs/canvas');
+        const square = () => {
+            const canvas = createCanvas(40, 40);
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#FF0000';
+            ctx.fillRect(0, 0, 40, 40);
+            return canvas.toBuffer('image/png');
+        };
+        const alphaAt = async (buffer, x, y) => {
+            const canvas = createCanvas(40, 40);
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(await loadImage(buffer), 0, 0);
+            return ctx.getImageData(x, y, 1, 1).data[3];
+        };
+
+        it('should clear the corners and keep the center', async () => {
+            const cropped = await cropToShape(square(), 40, 'circle');
+            expect(await alphaAt(cropped, 1, 1)).toBe(0);
+            expect(await alphaAt(cropped, 20, 20)).toBe(255);
+        });
+
+        it('should cache one mask per shape and size', async () => {
+            await clearCache();
+            await cropToShape(square(), 40, 'hexagon');
+            await cropToShape(square(), 40, 'squircle');
+            await cropToShape(square(), 40, 'hexagon');
+            expect(getCacheStats().masks).toBe(2);
+        });
+
+        it('should reject unknown shapes', async () => {
+            await expect(cropToShape(square(), 40, 'star')).rejects.toMatchObject({ name: 'ValidationError', message: expect.stringMatching(/Unknown avatar shape/) });
+        });
+
+        it('should type decode and render failures', async () => {
+            await expect(cropToShape(Buffer.alloc(64, 7), 40)).rejects.toMatchObject({ name: 'ImageLoadError', code: 'IMAGE_LOAD_FAILED' });
+
+            const cause = new Error('boom');
+            const proto = Object.getPrototypeOf(createCanvas(1, 1));
+            const encode = jest.spyOn(proto, 'encode').mockRejectedValue(cause);
+            const error = await cropToShape(square(), 40).catch(e => e);
+            encode.mockRestore();
+            expect(error).toMatchObject({ name: 'RenderError', code: 'RENDER_FAILED', cause });
+        });
+    });
+
+    describe('loadRichTextImages', () => {
+        afterEach(() => registerEmojiSet('https://cdn.jsdelivr.net/gh/jdecked/twemoji@15.1.0/assets/72x72/{codepoint}.png'));
+
+        it('should keep the decoded emoji images within their size limit', async () => {
+            await clearCache();
+            // Two 2100x2100 images take 35 MB decoded, more than the 32 MB the emoji cache holds
+            const images = ['#FF0000', '#00FF00'].map(color => {
+                const canvas = createCanvas(2100, 2100);
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = color;
+                ctx.fillRect(0, 0, 10, 10);
+                return canvas.toBuffer('image/png');
+            });
+            registerEmojiSet(emoji => (emoji === '😀' ? images[0] : images[1]));
+            const [first] = await loadRichTextImages(parseRichText('😀'));
+            expect(first.image.width).toBe(2100);
+            expect(getCacheStats()).toMatchObject({ emoji: 1, emojiBytes: 2100 * 2100 * 4 });
+
+            const [second] = await loadRichTextImages(parseRichText('🎉'));
+            expect(second.image.width).toBe(2100);
+            expect(getCacheStats()).toMatchObject({ emoji: 1, emojiBytes: 2100 * 2100 * 4 });
+        });
+    });
+
+    describe('resolveAvatarOptions', () => {
+        const defaults = { borderWidth: 8, borderColor: '#FFFFFF' };
+
+        it('should fill in the defaults', () => {
+            expect(resolveAvatarOptions(undefined, defaults)).toEqual({
+                shape: 'circle',
+                border: { width: 8, color: '#FFFFFF' },
+                status: null,
+                frame: null
+            });
+        });
+
+        it('should merge border settings over the defaults', () => {
+            const gradient = { colors: ['#FF0000', '#0000FF'] };
+            const avatar = resolveAvatarOptions({ shape: 'squircle', status: 'dnd', border: { gradient } }, defaults);
+            expect(avatar.shape).toBe('squircle');
+            expect(avatar.status).toBe('dnd');
+            expect(avatar.border).toEqual({ width: 8, color: '#FFFFFF', gradient });
+        });
+
+        it('should reject invalid settings', () => {
+            expect(() => resolveAvatarOptions({ shape: 'star' }, defaults)).toThrow(TypeError);
+            expect(() => resolveAvatarOptions({ status: 'away' }, defaults)).toThrow(TypeError);
+            expect(() => resolveAvatarOptions({ border: { width: -1 } }, defaults)).toThrow(TypeError);
+            expect(() => resolveAvatarOptions({ border: { gradient: { colors: ['#FFF'] } } }, defaults)).toThrow(TypeError);
+        });
+    });
+    describe('avatar fallbacks', () => {
+        it('should pick the Discord default avatar from the user ID', () => {
+            expect(getDefaultAvatarURL('80351110224678912', 'Nelly')).toBe('https://cdn.discordapp.com/embed/avatars/5.png');
+            expect(getDefaultAvatarURL(undefined, 'Nelly')).toMatch(/^https:\/\/cdn\.discordapp\.com\/embed\/avatars\/[0-5]\.png$/);
+            expect(getDefaultAvatarURL(undefined, 'Nelly')).toBe(getDefaultAvatarURL(undefined, 'Nelly'));
+        });
+
+        it('should draw initials avatars', async () => {
+            const { loadImage } = require('@napi-rs/canvas');
+            const image = await loadImage(createInitialsAvatar('Jane Doe', 64));
+            expect(image.width).toBe(64);
+        });
+
+        it('should resolve the avatarFallback option into sources', () => {
+            const buffer = Buffer.from('x');
+            expect(resolveAvatarFallback(undefined, { username: 'Jane' })).toEqual([]);
+            expect(resolveAvatarFallback(buffer, { username: 'Jane' })).toEqual([buffer]);
+            const [url, initials] = resolveAvatarFallback('default', { username: 'Jane', userId: '80351110224678912' });
+            expect(url).toBe('https://cdn.discordapp.com/embed/avatars/5.png');
+            expect(Buffer.isBuffer(initials())).toBe(true);
+            expect(resolveAvatarFallback('initials', { username: 'Jane' })).toHaveLength(1);
+        });
+
+        it('should reject invalid fallbacks and user IDs', () => {
+            expect(() => resolveAvatarFallback('robot', { username: 'Jane' })).toThrow(TypeError);
+            expect(() => resolveAvatarFallback('default', { username: 'Jane', userId: 'abc' })).toThrow(/User ID/);
+        });
+    });
+    describe('fonts', () => {
+        /**
+         * Wrap a TrueType font in an uncompressed WOFF, which registerFontDirectory can't read names from
+         * @param {Buffer} ttf
+         * @returns {Buffer}
+         */
+        const toWoff = ttf => {
+            const numTables = ttf.readUInt16BE(4);
+            const header = Buffer.alloc(44 + numTables * 20);
+            const tables = [];
+            let offset = header.length;
+            for (let i = 0; i < numTables; i++) {
+                const record = 12 + i * 16;
+                const entry = 44 + i * 20;
+                const start = ttf.readUInt32BE(record + 8);
+                const length = ttf.readUInt32BE(record + 12);
+                ttf.copy(header, entry, record, record + 4);
+                header.writeUInt32BE(offset, entry + 4);
+                header.writeUInt32BE(length, entry + 8);
+                header.writeUInt32BE(length, entry + 12);
+                header.writeUInt32BE(ttf.readUInt32BE(record + 4), entry + 16);
+                const table = Buffer.alloc((length + 3) & ~3);
+                ttf.copy(table, 0, start, start + length);
+                tables.push(table);
+                offset += table.length;
+            }
+            header.write('wOFF', 0, 'latin1');
+            ttf.copy(header, 4, 0, 4);
+            header.writeUInt32BE(offset, 8);
+            header.writeUInt16BE(numTables, 12);
+            header.writeUInt32BE(ttf.length, 16);
+            return Buffer.concat([header, ...tables]);
+        };
+
+        const fontsDir = path.join(__dirname, '../assets/fonts');
+        const logger = { error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+        let dir;
+
+        beforeAll(() => {
+            setLogger(logger);
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwk-gen-fonts-'));
+            fs.mkdirSync(path.join(dir, 'nested'));
+            fs.copyFileSync(path.join(fontsDir, 'SpaceMono-Bold.ttf'), path.join(dir, 'nested/Bold.ttf'));
+            fs.writeFileSync(path.join(dir, 'Mono Fallback-Regular.woff'), toWoff(fs.readFileSync(path.join(fontsDir, 'SpaceMono-Regular.ttf'))));
+            fs.writeFileSync(path.join(dir, 'Broken.ttf'), 'not a font');
+            fs.writeFileSync(path.join(dir, 'README.txt'), 'fonts');
+        });
+
+        beforeEach(() => {
+            Object.values(logger).forEach(method => method.mockClear());
+        });
+
+        afterAll(() => {
+            setLogger({ error: console.error, warn: console.warn });
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should register the bundled fonts when loaded', () => {
+            expect(isFontRegistered('Space Mono')).toBe(true);
+            expect(getRegisteredFonts().filter(font => font.family === 'Space Mono').map(font => path.basename(font.path)))
+                .toEqual(expect.arrayContaining(['SpaceMono-Regular.ttf', 'SpaceMono-Bold.ttf']));
+        });
+
+        it('should register the fonts in a directory under the names stored in them', () => {
+            // The WOFF is named after its file
+            expect(registerFontDirectory(dir)).toEqual([
+                { path: path.join(dir, 'Mono Fallback-Regular.woff'), family: 'Mono Fallback' }
+            ]);
+            expect(logger.error).toHaveBeenCalledWith('Failed to register font Broken.ttf', expect.objectContaining({ path: path.join(dir, 'Broken.ttf') }));
+
+            expect(registerFontDirectory(dir, { recursive: true }).map(font => font.family)).toContain('Space Mono');
+            expect(isFontRegistered('Mono Fallback')).toBe(true);
+            expect(() => registerFontDirectory(path.join(dir, 'missing'))).toThrow(/Font directory not found/);
+        });
+
+        it('should check font stacks and warn about unknown families', () => {
+            checkFontFamilies(['Space Mono', 'Missing Font', 'sans-serif'], 'test');
+            checkFontFamilies('Space Mono, Other Missing', 'test');
+            expect(logger.warn.mock.calls.map(([message]) => /'(.+?)'/.exec(message)[1])).toEqual(['Missing Font', 'Other Missing']);
+
+            expect(() => checkFontFamilies([], 'test')).toThrow(TypeError);
+            expect(() => checkFontFamilies(['Space Mono', 3], 'test')).toThrow(/array of font families/);
+            expect(() => checkFontFamilies({ family: 'Space Mono' }, 'test')).toThrow(TypeError);
+        });
+
+        // Needs a font with Cyrillic, Space Mono has none
+        const cyrillicFont = GlobalFonts.families.map(font => font.family).find(family => family !== 'Space Mono' && family !== 'Mono Fallback');
+        (cyrillicFont ? it : it.skip)('should take missing glyphs from the next family of a stack', () => {
+            const ctx = createCanvas(10, 10).getContext('2d');
+            const width = family => {
+                ctx.font = toFontString({ family, size: 40 });
+                return ctx.measureText('Ж').width;
+            };
+            ctx.font = toFontString({ family: 'Space Mono', size: 40 });
+            const missingGlyph = ctx.measureText('\uFFFF').width;
+            expect(width('Space Mono')).toBe(missingGlyph);
+            expect(width(['Space Mono', cyrillicFont])).toBe(width(cyrillicFont));
+        });
+    });
 });
@@ -0,0 +1,187 @@
+// Visual regression harness: node test/visual.js [--update] [case...]
+// Renders each generator with the fixtures in test/fixtures and the bundled SpaceMono fonts, and compares
+// the renders to the golden PNGs in test/golden. --update writes the renders as the new goldens instead.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pixelmatch = require('pixelmatch');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { renderBatch } = require('../src/batch');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+// Renders and diff images of failed comparisons
+const OUTPUT_DIR = path.join(os.tmpdir(), 'cwk-gen-visual');
+// Bundled with the package and registered when it loads
+const FONT_FAMILY = 'Space Mono';
+
+// How far a render may drift from its golden. `threshold` is pixelmatch's per-pixel color distance (0-1)
+// and absorbs anti-aliasing differences between platforms, `maxDiffRatio` the share of pixels that may differ.
+const TOLERANCE = { threshold: 0.1, maxDiffRatio: 0.001 };
+
+const avatar = path.join(FIXTURES, 'avatar.png');
+const background = path.join(FIXTURES, 'background.png');
+const common = { font: FONT_FAMILY, background };
+
+const CASES = {
+    welcome: {
+        type: 'welcome',
+        options: { ...common, username: 'Jane', avatarURL: avatar, memberCount: 1234, serverName: 'CWK', message: 'Welcome to {server}, you are our {memberCount:ordinal} member!' }
+    },
+    goodbye: {
+        type: 'goodbye',
+        options: { ...common, username: 'Jane', avatarURL: avatar, memberCount: 1233, joinedAt: '2024-01-01T00:00:00Z', leftAt: '2024-03-15T12:00:00Z' }
+    },
+    rank: {
+        type: 'rank',
+        options: { ...common, username: 'Jane', avatarURL: avatar, level: 12, xp: 3400, requiredXp: 5000, rank: 3 }
+    },
+    'rank-styled': {
+        type: 'rank',
+        options: {
+            ...common,
+            username: 'Jane_Doe',
+            avatarURL: avatar,
+            level: 42,
+            xp: 45000,
+            requiredXp: 60000,
+            rank: 1,
+            avatar: { shape: 'hexagon', border: { width: 4, gradient: { colors: ['#F472B6', '#60A5FA'] } }, status: 'online' }
+        }
+    },
+    profile: {
+        type: 'profile',
+        options: {
+            ...common,
+            username: 'Jane',
+            avatarURL: avatar,
+            bio: 'Level {level} builder, {xp:compact} XP so far',
+            variables: { level: 12, xp: 3400 },
+            stats: [{ name: 'Messages', value: '5,120' }, { name: 'Voice', value: '42h' }],
+            badges: [{ name: 'Early', icon: avatar }]
+        }
+    },
+    banner: {
+        type: 'banner',
+        options: { ...common, serverName: 'CWK Community', memberCount: 12345, membersText: '{memberCount:compact} Members' }
+    },
+    leaderboard: {
+        type: 'leaderboard',
+        options: {
+            ...common,
+            serverName: 'CWK',
+            entries: ['Jane', 'Sam', 'Alex', 'Robin'].map((username, i) => ({
+                username, avatarURL: avatar, level: 20 - i * 3, xp: 900 - i * 150, requiredXp: 1000, rank: i + 1
+            }))
+        }
+    }
+};
+
+/**
+ * Render a case to PNG
+ * @param {string} name - Key of CASES
+ * @returns {Promise<Buffer>}
+ */
+async function renderCase(name) {
+    const [result] = await renderBatch([{ type: CASES[name].type, options: CASES[name].options }]);
+    if (result.status === 'rejected') throw result.reason;
+    return result.value;
+}
+
+/**
+ * Decode a PNG to RGBA pixels
+ * @param {Buffer} buffer
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>}
+ */
+async function decodePixels(buffer) {
+    const image = await loadImage(buffer);
+    const ctx = createCanvas(image.width, image.height).getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, image.width, image.height);
+}
+
+/**
+ * Compare two images with a perceptual diff
+ * @param {Buffer} actual - PNG
+ * @param {Buffer} expected - PNG
+ * @param {object} [options]
+ * @param {number} [options.threshold=TOLERANCE.threshold] - Per-pixel color distance that counts as different, 0-1
+ * @returns {Promise<{sameSize: boolean, mismatched: number, ratio: number, diff?: Buffer}>} `diff` is a PNG
+ *  with the differing pixels in red, `ratio` the share of pixels that differ
+ */
+async function compareImages(actual, expected, { threshold = TOLERANCE.threshold } = {}) {
+    const [a, b] = await Promise.all([decodePixels(actual), decodePixels(expected)]);
+    if (a.width !== b.width || a.height !== b.height) {
+        return { sameSize: false, mismatched: a.width * a.height, ratio: 1 };
+    }
+    const canvas = createCanvas(a.width, a.height);
+    const ctx = canvas.getContext('2d');
+    const diff = ctx.createImageData(a.width, a.height);
+    const mismatched = pixelmatch(a.data, b.data, diff.data, a.width, a.height, { threshold });
+    ctx.putImageData(diff, 0, 0);
+    return { sameSize: true, mismatched, ratio: mismatched / (a.width * a.height), diff: canvas.toBuffer('image/png') };
+}
+
+/**
+ * Render a case and compare it to its golden, or write it as the golden
+ * @param {string} name - Key of CASES
+ * @param {object} [options]
+ * @param {boolean} [options.update=false] - Write the render as the golden
+ * @returns {Promise<{name: string, status: string, ratio?: number, output?: string}>} `status` is match, mismatch,
+ *  missing or updated. For mismatches `output` is the directory holding <name>.actual.png and <name>.diff.png
+ */
+async function checkGolden(name, { update = false } = {}) {
+    const golden = path.join(GOLDEN_DIR, `${name}.png`);
+    const actual = await renderCase(name);
+    if (update) {
+        await fs.promises.mkdir(GOLDEN_DIR, { recursive: true });
+        await fs.promises.writeFile(golden, actual);
+        return { name, status: 'updated' };
+    }
+    const expected = await fs.promises.readFile(golden).catch(() => null);
+    if (!expected) {
+        return { name, status: 'missing' };
+    }
+
+    const { ratio, diff } = await compareImages(actual, expected);
+    if (ratio <= TOLERANCE.maxDiffRatio) {
+        return { name, status: 'match', ratio };
+    }
+    await fs.promises.mkdir(OUTPUT_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(OUTPUT_DIR, `${name}.actual.png`), actual);
+    if (diff) await fs.promises.writeFile(path.join(OUTPUT_DIR, `${name}.diff.png`), diff);
+    return { name, status: 'mismatch', ratio, output: OUTPUT_DIR };
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const update = args.includes('--update');
+    const names = args.filter(arg => arg !== '--update');
+    const unknown = names.find(name => !CASES[name]);
+    if (unknown) {
+        console.error(`Unknown case "${unknown}". Cases: ${Object.keys(CASES).join(', ')}`);
+        process.exit(2);
+    }
+
+    (async () => {
+        let failed = 0;
+        for (const name of names.length > 0 ? names : Object.keys(CASES)) {
+            const result = await checkGolden(name, { update });
+            const ratio = result.ratio === undefined ? '' : ` (${(result.ratio * 100).toFixed(3)}% of pixels differ)`;
+            console.log(`${name.padEnd(12)} ${result.status}${ratio}`);
+            if (result.status === 'mismatch' || result.status === 'missing') failed++;
+        }
+        if (failed > 0) {
+            console.log(`\n${failed} failed. Renders and diffs are in ${OUTPUT_DIR}, run with --update to accept them.`);
+            process.exitCode = 1;
+        }
+    })();
+}
+
+module.exports = {
+    CASES,
+    TOLERANCE,
+    renderCase,
+    compareImages,
+    checkGolden
+};
@@ -0,0 +1,43 @@
+const { createCanvas } = require('@napi-rs/canvas');
+const { CASES, TOLERANCE, compareImages, checkGolden } = require('./visual');
+
+/**
+ * A PNG of a filled square
+ * @param {object} [options]
+ * @param {number} [options.x=10] - Left edge of the square
+ * @param {string} [options.color="#3B82F6"]
+ * @param {number} [options.width=40] - Canvas width
+ * @returns {Buffer}
+ */
+function square({ x = 10, color = '#3B82F6', width = 40 } = {}) {
+    const canvas = createCanvas(width, 40);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, width, 40);
+    ctx.fillStyle = color;
+    ctx.fillRect(x, 10, 20, 20);
+    return canvas.toBuffer('image/png');
+}
+
+describe('visual regression', () => {
+    // Goldens are in test/golden. After an intended change, review the renders and run: npm run test:visual -- --update
+    it.each(Object.keys(CASES))('should render %s like its golden', async name => {
+        const result = await checkGolden(name);
+        expect(result).toMatchObject({ name, status: 'match' });
+        expect(result.ratio).toBeLessThanOrEqual(TOLERANCE.maxDiffRatio);
+    });
+});
+
+describe('compareImages', () => {
+    it('should ignore differences below the threshold', async () => {
+        expect(await compareImages(square(), square())).toMatchObject({ sameSize: true, mismatched: 0, ratio: 0 });
+        expect((await compareImages(square({ color: '#3B82F7' }), square())).mismatched).toBe(0);
+    });
+
+    it('should count moved and recolored pixels', async () => {
+        // Moving the square by 2px changes two 20px columns on each side
+        expect((await compareImages(square({ x: 12 }), square())).mismatched).toBe(80);
+        expect((await compareImages(square({ color: '#F97316' }), square())).ratio).toBe(0.25);
+        expect(await compareImages(square({ width: 41 }), square())).toEqual({ sameSize: false, mismatched: 41 * 40, ratio: 1 });
+    });
+});